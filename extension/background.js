@@ -11,6 +11,24 @@ chrome.runtime.onInstalled.addListener((details) => {
             chuck_config: {
                 serverUrl: 'ws://127.0.0.2:1350/chat.ws',
                 debug: false,
+                bitsUsdRate: null,
+                queueMaxSize: 5000,
+                queueOverflow: 'drop_oldest',
+                batchInterval: 100,
+                batchMaxSize: 200,
+                reconnectBaseDelay: 1000,
+                reconnectMaxDelay: 60000,
+                reconnectJitter: 0.5,
+                reconnectMaxAttempts: 0,
+                deliveryAcks: false,
+                recorderContinuous: false,
+                recorderMaxEvents: 10000,
+                recorderMaxMegabytes: 16,
+                recorderRetentionMinutes: 10,
+                recorderMaxPayload: 1048576,
+                targets: [],
+                authToken: null,
+                authMethod: 'challenge',
                 platforms: {
                     kick: true,
                     odysee: true,
@@ -27,19 +45,16 @@ chrome.runtime.onInstalled.addListener((details) => {
     }
 });
 
-// Handle messages from content scripts or popup
+// Handle requests from content scripts or popup
+// Requests are { method, params } and answered with { result } or { error }
+// Config is only read here; the popup writes extension storage itself
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'getConfig') {
+    if (sender.id !== chrome.runtime.id) return;
+
+    if (message.method === 'get_config') {
         chrome.storage.sync.get('chuck_config', (result) => {
-            sendResponse(result.chuck_config);
+            sendResponse({ result: result.chuck_config ?? null });
         });
         return true; // Keep message channel open for async response
     }
-
-    if (message.type === 'setConfig') {
-        chrome.storage.sync.set({ chuck_config: message.config }, () => {
-            sendResponse({ success: true });
-        });
-        return true;
-    }
 });
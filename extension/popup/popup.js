@@ -6,6 +6,24 @@
 const DEFAULTS = {
     serverUrl: 'ws://127.0.0.2:1350/chat.ws',
     debug: false,
+    bitsUsdRate: null,
+    queueMaxSize: 5000,
+    queueOverflow: 'drop_oldest',
+    batchInterval: 100,
+    batchMaxSize: 200,
+    reconnectBaseDelay: 1000,
+    reconnectMaxDelay: 60000,
+    reconnectJitter: 0.5,
+    reconnectMaxAttempts: 0,
+    deliveryAcks: false,
+    recorderContinuous: false,
+    recorderMaxEvents: 10000,
+    recorderMaxMegabytes: 16,
+    recorderRetentionMinutes: 10,
+    recorderMaxPayload: 1048576,
+    targets: [],
+    authToken: null,
+    authMethod: 'challenge', // The only method that works without handing the page the token
     platforms: {
         kick: true,
         odysee: true,
@@ -36,10 +54,43 @@ async function saveConfig(config) {
     });
 }
 
+// Targets as edited in the popup: one per line, URL then platform keys; a leading # disables it
+function formatTargets(targets = []) {
+    return targets
+        .map(target => `${target.enabled === false ? '# ' : ''}${[target.url, ...(target.platforms ?? [])].join(' ')}`)
+        .join('\n');
+}
+
+function parseTargets(text) {
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(line => line.replace(/^#\s*/, ''))
+        .map(line => {
+            const enabled = !line.startsWith('#');
+            const [url, ...platforms] = line.replace(/^#\s*/, '').split(/\s+/);
+            return { url, platforms: platforms.map(platform => platform.toLowerCase()), enabled };
+        });
+}
+
 // Update UI with config values
 function updateUI(config) {
     document.getElementById('serverUrl').value = config.serverUrl || DEFAULTS.serverUrl;
+    document.getElementById('targets').value = formatTargets(config.targets);
+    document.getElementById('authToken').value = config.authToken ?? '';
+    const authMethod = document.getElementById('authMethod');
+    authMethod.value = config.authMethod || DEFAULTS.authMethod;
+    // Configs saved before the token was kept from pages may name a method that can't connect
+    if (authMethod.selectedOptions[0]?.disabled !== false) {
+        authMethod.value = DEFAULTS.authMethod;
+    }
     document.getElementById('debug').checked = config.debug || false;
+    document.getElementById('bitsUsdRate').value = config.bitsUsdRate ?? '';
+    document.getElementById('queueMaxSize').value = config.queueMaxSize ?? DEFAULTS.queueMaxSize;
+    document.getElementById('queueOverflow').value = config.queueOverflow || DEFAULTS.queueOverflow;
+    document.getElementById('deliveryAcks').checked = config.deliveryAcks ?? DEFAULTS.deliveryAcks;
+    document.getElementById('recorderContinuous').checked = config.recorderContinuous ?? DEFAULTS.recorderContinuous;
+    document.getElementById('recorderRetentionMinutes').value = config.recorderRetentionMinutes ?? DEFAULTS.recorderRetentionMinutes;
+    document.getElementById('recorderMaxMegabytes').value = config.recorderMaxMegabytes ?? DEFAULTS.recorderMaxMegabytes;
 
     platformIds.forEach(id => {
         const checkbox = document.getElementById(`platform-${id}`);
@@ -59,13 +110,131 @@ function getConfigFromUI() {
         }
     });
 
+    const bitsUsdRate = parseFloat(document.getElementById('bitsUsdRate').value);
+    const queueMaxSize = parseInt(document.getElementById('queueMaxSize').value, 10);
+    const recorderRetentionMinutes = parseFloat(document.getElementById('recorderRetentionMinutes').value);
+    const recorderMaxMegabytes = parseFloat(document.getElementById('recorderMaxMegabytes').value);
+
     return {
         serverUrl: document.getElementById('serverUrl').value || DEFAULTS.serverUrl,
+        targets: parseTargets(document.getElementById('targets').value),
+        authToken: document.getElementById('authToken').value.trim() || null,
+        authMethod: document.getElementById('authMethod').value,
         debug: document.getElementById('debug').checked,
+        bitsUsdRate: bitsUsdRate > 0 ? bitsUsdRate : null,
+        queueMaxSize: queueMaxSize > 0 ? queueMaxSize : DEFAULTS.queueMaxSize,
+        queueOverflow: document.getElementById('queueOverflow').value,
+        deliveryAcks: document.getElementById('deliveryAcks').checked,
+        recorderContinuous: document.getElementById('recorderContinuous').checked,
+        recorderRetentionMinutes: recorderRetentionMinutes >= 0 ? recorderRetentionMinutes : DEFAULTS.recorderRetentionMinutes,
+        recorderMaxMegabytes: recorderMaxMegabytes > 0 ? recorderMaxMegabytes : DEFAULTS.recorderMaxMegabytes,
         platforms
     };
 }
 
+// How often the status panel asks the active tab for fresh numbers
+const STATUS_REFRESH_MS = 1000;
+
+const STATE_LABELS = {
+    connecting: 'Connecting',
+    authenticating: 'Authenticating',
+    open: 'Connected',
+    backing_off: 'Reconnecting',
+    failed: 'Gave up',
+    auth_failed: 'Authentication failed',
+    stopped: 'Platform disabled',
+};
+
+// Call a page method through the active tab's content script; resolves with its result
+async function callTab(method, params = {}) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) return null;
+
+    try {
+        const response = await chrome.tabs.sendMessage(tab.id, { method, params });
+        return response?.result ?? null;
+    } catch (e) {
+        // No content script on this tab
+        return null;
+    }
+}
+
+async function requestStatus() {
+    return callTab('get_status');
+}
+
+// Run a recorder command ('start', 'stop', 'clear' or 'download') on the active tab
+async function sendRecorderCommand(command) {
+    return callTab(`${command}_recording`);
+}
+
+// Fill the status panel from a Seed.getStatus() snapshot
+function updateStatusPanel(status) {
+    const text = (id, value) => {
+        document.getElementById(id).textContent = value;
+    };
+
+    updateRecordingPanel(status?.recorder ?? null);
+
+    const dot = document.getElementById('statusDot');
+    if (!status) {
+        dot.className = 'state-dot';
+        text('statusState', 'No CHUCK on this tab');
+        ['statusPlatform', 'statusTargets', 'statusViewers', 'statusMessages', 'statusQueued', 'statusTraffic'].forEach(id => text(id, '-'));
+        return;
+    }
+
+    dot.className = `state-dot ${status.state ?? ''}`;
+    let state = STATE_LABELS[status.state] ?? 'Not connected';
+    if (status.state === 'backing_off' && status.reconnectAttempts) {
+        state += ` (attempt ${status.reconnectAttempts})`;
+    }
+    if (status.state === 'auth_failed' && status.authError) {
+        state += `: ${status.authError}`;
+    }
+    text('statusState', state);
+    text('statusPlatform', status.channel ? `${status.platform} / ${status.channel}` : status.platform);
+    const targets = status.targets ?? [];
+    const open = targets.filter(target => target.state === 'open').length;
+    text('statusTargets', targets.length > 1 ? `${open} of ${targets.length} connected` : (targets[0]?.url ?? '-'));
+    text('statusViewers', status.viewers ?? '-');
+    text('statusMessages', `${status.sent?.messages ?? 0} (${status.messagesPerMinute ?? 0}/min)`);
+    const unacked = status.unacked ? ` + ${status.unacked} unacknowledged` : '';
+    text('statusQueued', status.dropped ? `${status.queued}${unacked} (${status.dropped} dropped)` : `${status.queued}${unacked}`);
+
+    const totals = status.recorder?.totals;
+    text('statusTraffic', totals
+        ? `${totals.events} (${totals.byStatus?.unhandled ?? 0} unhandled)`
+        : '-');
+}
+
+// Show recorder state and enable the buttons that apply to it
+function updateRecordingPanel(recorder) {
+    const buttons = {
+        recordStart: recorder && !recorder.recording,
+        recordStop: recorder?.recording,
+        recordClear: recorder?.totalEvents > 0,
+        recordDownload: recorder?.totalEvents > 0,
+    };
+    for (const [id, enabled] of Object.entries(buttons)) {
+        document.getElementById(id).disabled = !enabled;
+    }
+
+    const state = document.getElementById('recordingState');
+    if (!recorder) {
+        state.textContent = '-';
+        return;
+    }
+    const unhandled = recorder.byStatus?.unhandled ?? 0;
+    const recording = recorder.continuous ? 'Recording in background' : 'Recording';
+    state.textContent = `${recorder.recording ? recording : 'Stopped'}, ${recorder.totalEvents} events`
+        + (unhandled ? ` (${unhandled} unhandled)` : '');
+}
+
+async function refreshStatus() {
+    updateStatusPanel(await requestStatus());
+}
+
 // Show status message
 function showStatus(message, isError = false) {
     const status = document.getElementById('status');
@@ -82,9 +251,31 @@ document.addEventListener('DOMContentLoaded', async () => {
     const config = await loadConfig();
     updateUI(config);
 
+    // Keep the status panel live while the popup is open
+    refreshStatus();
+    setInterval(refreshStatus, STATUS_REFRESH_MS);
+
+    // Recording buttons
+    const recorderCommands = {
+        recordStart: 'start',
+        recordStop: 'stop',
+        recordClear: 'clear',
+        recordDownload: 'download',
+    };
+    for (const [id, command] of Object.entries(recorderCommands)) {
+        document.getElementById(id).addEventListener('click', async () => {
+            const status = await sendRecorderCommand(command);
+            if (!status) {
+                showStatus('No CHUCK on this tab', true);
+            }
+            updateStatusPanel(status);
+        });
+    }
+
     // Save button
     document.getElementById('save').addEventListener('click', async () => {
-        const config = getConfigFromUI();
+        // Keep settings that have no field in the popup
+        const config = { ...DEFAULTS, ...(await loadConfig()), ...getConfigFromUI() };
         await saveConfig(config);
         showStatus('Settings saved!');
     });
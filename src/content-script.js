@@ -5,6 +5,14 @@
  * This runs in an isolated world and injects the main script into the page context
  */
 
+import { signChallenge } from './core/auth.js';
+import { Bridge, BridgeSource, BridgeMethod } from './core/bridge.js';
+import { withoutSecrets } from './core/config.js';
+import { signsChallengesFor } from './core/connection.js';
+
+// Listen before injecting so requests made while the page script starts are answered
+const bridge = new Bridge(window, BridgeSource.CONTENT, BridgeSource.PAGE).listen();
+
 // Inject the main script into the page context
 // This is necessary because content scripts run in an isolated world
 // and cannot directly patch window.WebSocket, window.fetch, etc.
@@ -15,13 +23,80 @@ script.onload = function() {
 };
 (document.head || document.documentElement).appendChild(script);
 
-// Listen for messages from the injected script
-window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
-    if (!event.data || event.data.source !== 'CHUCK') return;
+// Extension storage is out of the page's reach, so config goes through the background script
+// The site's own scripts can call these too: config is read-only here and the auth token never leaves.
+// Challenges are only signed for the configured backends, never for a server the caller picks.
+bridge.handle(BridgeMethod.GET_CONFIG, async () => forPage(await sendToBackground(BridgeMethod.GET_CONFIG)));
+bridge.handle(BridgeMethod.SIGN_CHALLENGE, async ({ nonce, url }) => {
+    const config = await sendToBackground(BridgeMethod.GET_CONFIG);
+    if (!config?.authToken) {
+        throw new Error('No auth token is set');
+    }
+    if (!signsChallengesFor(config, url)) {
+        throw new Error(`Not a challenge target: ${url}`);
+    }
+    return signChallenge(config.authToken, String(nonce ?? ''));
+});
+
+// Push popup changes to the page so running Seeds pick them up without a reload
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes.chuck_config) {
+        bridge.notify('config_changed', { config: forPage(changes.chuck_config.newValue ?? null) });
+    }
+});
+
+// Id the page knows the current auth token by; a new one makes its Seeds reconnect
+let authToken = null;
+let authTokenId = null;
+
+/**
+ * Config without secrets, for the page
+ * @param {Object|null} config - Stored config
+ * @returns {Object|null}
+ */
+function forPage(config) {
+    if ((config?.authToken ?? null) !== authToken) {
+        authToken = config?.authToken ?? null;
+        authTokenId = authToken ? crypto.randomUUID() : null;
+    }
+    return withoutSecrets(config, authTokenId);
+}
+
+bridge.on('log', ({ message }) => {
+    console.log('[CHUCK Content]', message);
+});
 
-    // Forward messages to background script if needed
-    if (event.data.type === 'log') {
-        console.log('[CHUCK Content]', event.data.message);
+/**
+ * Call a method on the background script
+ * @param {string} method - BridgeMethod
+ * @param {Object} params - Method parameters
+ * @returns {Promise<*>} The result; rejects with the background's error
+ */
+async function sendToBackground(method, params = {}) {
+    const response = await chrome.runtime.sendMessage({ method, params });
+    if (response?.error !== undefined) {
+        throw new Error(response.error);
     }
+    return response?.result;
+}
+
+// Methods the popup and background may call on the page
+const PAGE_METHODS = new Set([
+    BridgeMethod.GET_STATUS,
+    BridgeMethod.START_RECORDING,
+    BridgeMethod.STOP_RECORDING,
+    BridgeMethod.CLEAR_RECORDING,
+    BridgeMethod.DOWNLOAD_RECORDING,
+]);
+
+// Relay popup and background requests to the injected script
+// Frames without a Seed time out and answer with an error after the real answer has won.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (sender.id !== chrome.runtime.id) return;
+    if (!PAGE_METHODS.has(message?.method)) return;
+
+    bridge.request(message.method, message.params)
+        .then((result) => sendResponse({ result }))
+        .catch((e) => sendResponse({ error: e.message }));
+    return true; // Keep message channel open for async response
 });
@@ -0,0 +1,81 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Backend authentication
+ *
+ * A backend that listens beyond loopback can require a shared secret so that
+ * arbitrary pages can't push updates into it. The secret is configured as
+ * authToken and presented in one of several ways, depending on what the
+ * backend supports.
+ */
+
+/**
+ * How the shared secret is presented to the backend
+ */
+export const AuthMethod = {
+    MESSAGE: 'message',         // Sent as an 'auth' message before any update
+    SUBPROTOCOL: 'subprotocol', // Offered as a WebSocket subprotocol when connecting
+    QUERY: 'query',             // Added to the URL as ?token=
+    CHALLENGE: 'challenge',     // Never sent; the server's nonce is signed with it instead
+};
+
+/**
+ * Socket message types that belong to authentication
+ */
+export const AuthMessage = {
+    AUTH: 'auth',                // Client: { token }
+    CHALLENGE: 'auth_challenge', // Server: { nonce }
+    RESPONSE: 'auth_response',   // Client: { signature }, the hex HMAC-SHA256 of the nonce
+    OK: 'auth_ok',               // Server: credentials accepted
+    FAILED: 'auth_failed',       // Server: { reason }
+};
+
+/**
+ * Close codes a backend uses to refuse credentials
+ * 1008 is the standard policy violation; 4401 and 4403 mirror HTTP 401 and 403.
+ */
+export const AUTH_FAILURE_CLOSE_CODES = [1008, 4401, 4403];
+
+// Prefix of the subprotocol that carries the token
+const SUBPROTOCOL_PREFIX = 'chuck.auth.';
+
+/**
+ * URL and subprotocols to open a socket to a target with
+ * @param {Object} target - Target from resolveTargets()
+ * @returns {{url: string, protocols: string[]}}
+ */
+export function getSocketOptions(target) {
+    if (!target.token) {
+        return { url: target.url, protocols: [] };
+    }
+
+    switch (target.authMethod) {
+        case AuthMethod.QUERY: {
+            const url = new URL(target.url);
+            url.searchParams.set('token', target.token);
+            return { url: url.toString(), protocols: [] };
+        }
+        case AuthMethod.SUBPROTOCOL:
+            // Subprotocols may only contain token characters, so the secret is base64url encoded
+            return { url: target.url, protocols: ['chuck', `${SUBPROTOCOL_PREFIX}${base64url(target.token)}`] };
+        default:
+            return { url: target.url, protocols: [] };
+    }
+}
+
+/**
+ * Sign a server challenge with the shared secret
+ * @param {string} token - Shared secret
+ * @param {string} nonce - Challenge from the server
+ * @returns {Promise<string>} Hex HMAC-SHA256 of the nonce
+ */
+export async function signChallenge(token, nonce) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(token), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(nonce));
+    return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function base64url(text) {
+    const bytes = new TextEncoder().encode(text);
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
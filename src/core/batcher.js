@@ -0,0 +1,127 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Coalescing of outbound updates
+ *
+ * Platforms report every message as it is parsed, and some replay whole chat
+ * histories one message at a time. Rather than a frame per message, updates
+ * collected over a short interval are merged and sent as one.
+ */
+
+import { DEFAULTS } from './config.js';
+import { LivestreamUpdate } from './message.js';
+
+export class UpdateBatcher {
+    interval = DEFAULTS.batchInterval;
+    maxSize = DEFAULTS.batchMaxSize;
+
+    // Update collecting merged changes, null when nothing is waiting
+    pending = null;
+    timer = null;
+
+    /**
+     * @param {Function} send - Called with each merged update
+     * @param {number} interval - Longest time in ms an update waits for others
+     * @param {number} maxSize - Messages, events and removals per batch before it is sent early
+     */
+    constructor(send, interval = DEFAULTS.batchInterval, maxSize = DEFAULTS.batchMaxSize) {
+        this.send = send;
+        this.interval = interval;
+        this.maxSize = maxSize;
+    }
+
+    /**
+     * Number of messages, events and removals waiting
+     */
+    get size() {
+        const pending = this.pending;
+        return (pending?.messages?.length ?? 0) + (pending?.events?.length ?? 0) + (pending?.removals?.length ?? 0);
+    }
+
+    /**
+     * Merge an update into the pending batch
+     * The batch is sent once the interval has passed or it reaches maxSize.
+     * @param {LivestreamUpdate} update - Update to send
+     */
+    add(update) {
+        // Updates for another channel don't belong in this batch
+        if (this.pending && (this.pending.platform !== update.platform || this.pending.channel !== update.channel)) {
+            this.flush();
+        }
+
+        this.pending ??= new LivestreamUpdate(update.platform, update.channel);
+        mergeUpdate(this.pending, update);
+
+        if (this.size >= this.maxSize) {
+            this.flush();
+        } else if (this.timer === null) {
+            this.timer = setTimeout(() => this.flush(), this.interval);
+        }
+    }
+
+    /**
+     * Send the pending batch now
+     * @returns {boolean} False if nothing was waiting
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const update = this.pending;
+        this.pending = null;
+        if (!update) return false;
+
+        this.send(update);
+        return true;
+    }
+}
+
+/**
+ * Merge an update into a batch
+ * A message or event seen again replaces the earlier copy, a removal drops
+ * the removed message if it hasn't been sent yet, and the latest viewer count
+ * wins. Removals are kept either way, as the message may have gone out in an
+ * earlier batch.
+ * @param {LivestreamUpdate} batch - Update collecting the batch; modified in place
+ * @param {LivestreamUpdate} update - Update to merge in
+ * @returns {LivestreamUpdate} The batch
+ */
+export function mergeUpdate(batch, update) {
+    if (update.messages?.length) {
+        batch.messages = mergeById(batch.messages, update.messages);
+    }
+    if (update.events?.length) {
+        batch.events = mergeById(batch.events, update.events);
+    }
+    if (update.removals?.length) {
+        const removed = new Set(update.removals);
+        batch.messages = batch.messages?.filter(message => !removed.has(message.id));
+        if (batch.messages?.length === 0) batch.messages = undefined;
+        batch.removals = [...(batch.removals ?? []), ...update.removals];
+    }
+    if (update.viewers !== undefined) {
+        batch.viewers = update.viewers;
+    }
+    return batch;
+}
+
+// Position of each id in a batch's messages or events, so merging stays linear
+const positions = new WeakMap();
+
+function mergeById(items = [], added) {
+    let index = positions.get(items);
+    if (!index) {
+        index = new Map(items.map((item, position) => [item?.id, position]));
+        positions.set(items, index);
+    }
+
+    for (const item of added) {
+        const position = item?.id ? index.get(item.id) : undefined;
+        if (position === undefined) {
+            if (item?.id) index.set(item.id, items.length);
+            items.push(item);
+        } else {
+            items[position] = item;
+        }
+    }
+    return items;
+}
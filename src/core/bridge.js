@@ -0,0 +1,204 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Request/response bridge between the injected page script and the content script
+ *
+ * Both sides share a window and talk over postMessage. Requests carry an id
+ * that the response echoes, so any number of calls can be in flight. Messages
+ * are only accepted from the same window and origin, and only when tagged with
+ * the other side's source.
+ *
+ * The streaming site's own scripts share that window and origin and can post
+ * the same messages, so nothing the content script answers may change stored
+ * config or reveal a secret.
+ */
+
+/**
+ * Source tag of each side of the bridge
+ */
+export const BridgeSource = {
+    PAGE: 'CHUCK',            // Injected script running Seed
+    CONTENT: 'CHUCK_CONTENT', // Extension content script
+};
+
+/**
+ * Methods callable over the bridge
+ */
+export const BridgeMethod = {
+    // Answered by the page
+    GET_STATUS: 'get_status',
+    START_RECORDING: 'start_recording',
+    STOP_RECORDING: 'stop_recording',
+    CLEAR_RECORDING: 'clear_recording',
+    DOWNLOAD_RECORDING: 'download_recording',
+    // Answered by the content script
+    GET_CONFIG: 'get_config',         // Config without secrets; see withoutSecrets()
+    SIGN_CHALLENGE: 'sign_challenge', // { nonce }, signed with the auth token the page never sees
+};
+
+/**
+ * Kinds of message sent over the bridge
+ */
+export const BridgeMessageKind = {
+    REQUEST: 'request',   // { id, method, params }
+    RESPONSE: 'response', // { id, result } or { id, error }
+    NOTIFY: 'notify',     // { type, payload }, no response
+};
+
+export class Bridge {
+    // Milliseconds to wait for a response before a request fails
+    static timeout = 1000;
+
+    target = null;
+    source = null;
+    peer = null;
+
+    // Request handlers by method
+    handlers = new Map();
+    // Notification listeners by type
+    listeners = new Map();
+    // Resolvers of requests waiting on a response, by id
+    pending = new Map();
+    nextId = 1;
+
+    /**
+     * @param {Window} target - Window both sides post to
+     * @param {string} source - BridgeSource of this side
+     * @param {string} peer - BridgeSource of the other side
+     */
+    constructor(target, source, peer) {
+        this.target = target;
+        this.source = source;
+        this.peer = peer;
+    }
+
+    /**
+     * Origin messages are posted to and accepted from
+     * Opaque origins cannot be targeted, so they fall back to '*'.
+     */
+    get origin() {
+        const origin = this.target.location?.origin;
+        return origin && origin !== 'null' ? origin : '*';
+    }
+
+    /**
+     * Start receiving messages from the other side
+     * @returns {Bridge} this
+     */
+    listen() {
+        this.target.addEventListener('message', (event) => this.onMessage(event));
+        return this;
+    }
+
+    /**
+     * Answer requests for a method
+     * @param {string} method - BridgeMethod
+     * @param {Function} handler - Called with the request params; may return a promise
+     * @returns {Bridge} this
+     */
+    handle(method, handler) {
+        this.handlers.set(method, handler);
+        return this;
+    }
+
+    /**
+     * Listen for notifications of a type
+     * @param {string} type - Notification type
+     * @param {Function} listener - Called with the notification payload
+     * @returns {Function} Call to stop listening
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.listeners.get(type).delete(listener);
+    }
+
+    /**
+     * Call a method on the other side
+     * @param {string} method - BridgeMethod
+     * @param {Object} params - Passed to the remote handler
+     * @param {number} timeout - Milliseconds to wait for a response
+     * @returns {Promise<*>} The handler's result; rejects on a remote error or timeout
+     */
+    request(method, params = {}, timeout = Bridge.timeout) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Bridge request timed out: ${method}`));
+            }, timeout);
+
+            this.pending.set(id, (response) => {
+                clearTimeout(timer);
+                if (response.error !== undefined) {
+                    reject(new Error(response.error));
+                } else {
+                    resolve(response.result);
+                }
+            });
+            this._post({ kind: BridgeMessageKind.REQUEST, id, method, params });
+        });
+    }
+
+    /**
+     * Send a one-way notification to the other side
+     * @param {string} type - Notification type
+     * @param {Object} payload - Passed to the remote listeners
+     */
+    notify(type, payload = {}) {
+        this._post({ kind: BridgeMessageKind.NOTIFY, type, payload });
+    }
+
+    /**
+     * Handle a window message event
+     * @param {MessageEvent} event
+     */
+    onMessage(event) {
+        if (event.source !== this.target) return;
+        if (this.origin !== '*' && event.origin !== this.origin) return;
+
+        const data = event.data;
+        if (!data || data.source !== this.peer) return;
+
+        switch (data.kind) {
+            case BridgeMessageKind.REQUEST:
+                this._respond(data);
+                break;
+            case BridgeMessageKind.RESPONSE:
+                this.pending.get(data.id)?.(data);
+                this.pending.delete(data.id);
+                break;
+            case BridgeMessageKind.NOTIFY:
+                for (const listener of this.listeners.get(data.type) ?? []) {
+                    try {
+                        listener(data.payload);
+                    } catch (e) {
+                        console.error('[CHUCK] Bridge listener failed:', e);
+                    }
+                }
+                break;
+        }
+    }
+
+    /** @private */
+    async _respond(data) {
+        const handler = this.handlers.get(data.method);
+        if (!handler) {
+            this._post({ kind: BridgeMessageKind.RESPONSE, id: data.id, error: `Unknown method: ${data.method}` });
+            return;
+        }
+
+        try {
+            const result = await handler(data.params ?? {});
+            this._post({ kind: BridgeMessageKind.RESPONSE, id: data.id, result });
+        } catch (e) {
+            this._post({ kind: BridgeMessageKind.RESPONSE, id: data.id, error: e?.message ?? String(e) });
+        }
+    }
+
+    /** @private */
+    _post(message) {
+        this.target.postMessage({ source: this.source, ...message }, this.origin);
+    }
+}
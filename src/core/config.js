@@ -3,10 +3,30 @@
  * Configuration management with storage abstraction
  */
 
+import { BridgeMethod } from './bridge.js';
+
 // Default configuration
 const DEFAULTS = {
-    serverUrl: 'ws://127.0.0.2:1350/chat.ws',
+    serverUrl: 'ws://127.0.0.2:1350/chat.ws', // Only target when targets is empty
+    targets: [], // Backend targets: { url, platforms: [] for all, enabled }; each gets its own connection
+    authToken: null, // Shared secret the backend requires; null connects without credentials
+    authMethod: 'message', // How authToken is presented: 'message', 'subprotocol', 'query' or 'challenge'
     debug: false,
+    bitsUsdRate: null, // USD per Twitch Bit; null forwards cheers as 'BITS'
+    queueMaxSize: 5000, // Updates kept while the backend is unreachable
+    queueOverflow: 'drop_oldest', // 'drop_oldest' or 'drop_newest' once the queue is full
+    batchInterval: 100, // ms updates are collected and merged before sending; 0 sends each at once
+    batchMaxSize: 200, // Messages, events and removals per batch before it is sent early
+    reconnectBaseDelay: 1000, // First reconnect delay in ms, doubled on every failed attempt
+    reconnectMaxDelay: 60000, // Upper bound for the reconnect delay in ms
+    reconnectJitter: 0.5, // Fraction of each delay that is randomized (0 to 1)
+    reconnectMaxAttempts: 0, // Attempts before giving up; 0 retries forever
+    deliveryAcks: false, // Number updates and resend any the backend hasn't acknowledged after a reconnect
+    recorderContinuous: false, // Record traffic in the background, keeping only the most recent
+    recorderMaxEvents: 10000, // Events a recording holds; a manual one stops there, a background one drops the oldest
+    recorderMaxMegabytes: 16, // Size of recorded payloads a recording holds, in MB
+    recorderRetentionMinutes: 10, // Minutes a background recording keeps events for; 0 keeps them until over budget
+    recorderMaxPayload: 1048576, // Characters kept of each recorded payload; longer ones are cut. 0 keeps them whole
     platforms: {
         kick: true,
         odysee: true,
@@ -28,6 +48,44 @@ const isUserscript = typeof GM_getValue !== 'undefined';
  */
 export class Config {
     static _cache = null;
+    static _bridge = null;
+    static _listeners = new Set();
+    static _watching = false;
+
+    // Milliseconds each read through the bridge waits; the extension's service
+    // worker answers through the content script and may take seconds to wake
+    static bridgeTimeouts = [5000, 10000];
+    // Milliseconds before reading again once every attempt timed out
+    static bridgeRetryDelay = 30000;
+    // Whether defaults were handed out because the content script didn't answer
+    static _fallback = false;
+    static _bridgeRetry = null;
+
+    /**
+     * Read and write config through the content script
+     * Only used where neither extension nor userscript storage is reachable,
+     * which is the case for the script the extension injects into the page.
+     * @param {Bridge} bridge - Page side of the bridge
+     */
+    static useBridge(bridge) {
+        if (isExtension || isUserscript) return;
+        this._bridge = bridge;
+        this._cache = null;
+
+        // The content script watches extension storage for us
+        bridge.on('config_changed', ({ config }) => this._applyChange(config));
+    }
+
+    /**
+     * Subscribe to config changes, including ones made in the popup or another tab
+     * @param {Function} listener - Called with (config, changedKeys)
+     * @returns {Function} Call to unsubscribe
+     */
+    static onChange(listener) {
+        this._watch();
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
 
     /**
      * Get a configuration value
@@ -47,8 +105,16 @@ export class Config {
      * @returns {Promise<void>}
      */
     static async set(key, value) {
-        const config = await this._loadConfig();
-        config[key] = value;
+        await this.update({ [key]: value });
+    }
+
+    /**
+     * Set several configuration values in one save
+     * @param {Object} values - Keys and values to change
+     * @returns {Promise<void>}
+     */
+    static async update(values) {
+        const config = { ...(await this._loadConfig()), ...values };
         await this._saveConfig(config);
     }
 
@@ -69,6 +135,22 @@ export class Config {
         this._cache = null;
     }
 
+    /**
+     * Sign a backend challenge with the auth token kept from the page
+     * Through the bridge, the config has authTokenId in place of authToken and
+     * the content script signs with the stored token instead, for configured
+     * challenge targets only.
+     * @param {string} nonce - Challenge from the backend
+     * @param {string} url - Target URL of the backend that sent it
+     * @returns {Promise<string>} Hex HMAC-SHA256 of the nonce
+     */
+    static async signChallenge(nonce, url) {
+        if (!this._bridge) {
+            throw new Error('No content script to sign with');
+        }
+        return await this._bridge.request(BridgeMethod.SIGN_CHALLENGE, { nonce, url });
+    }
+
     /**
      * Load configuration from storage
      * @private
@@ -98,18 +180,63 @@ export class Config {
             } catch (e) {
                 console.warn('[CHUCK] Failed to load userscript config:', e);
             }
+        } else if (this._bridge) {
+            const stored = await this._requestBridgeConfig();
+            if (stored === undefined) {
+                // Left uncached so the config is read again instead of running on defaults for good
+                console.warn('[CHUCK] Content script did not answer; running on default config until it does.');
+                this._fallback = true;
+                this._retryBridgeConfig();
+                return config;
+            }
+            if (this._fallback) {
+                // Tell whoever started on the defaults what the config really is
+                this._applyChange(stored);
+                return this._cache;
+            }
+            if (stored) {
+                config = { ...DEFAULTS, ...stored };
+            }
         }
 
         this._cache = config;
         return config;
     }
 
+    /**
+     * Read stored config through the content script, waiting longer on every attempt
+     * @returns {Promise<Object|null|undefined>} Stored config; null when nothing is stored, undefined when nothing answered
+     * @private
+     */
+    static async _requestBridgeConfig() {
+        for (const timeout of this.bridgeTimeouts) {
+            try {
+                return await this._bridge.request(BridgeMethod.GET_CONFIG, {}, timeout);
+            } catch (e) {
+                console.warn('[CHUCK] Failed to load config from content script:', e);
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Read config through the content script again later, until it answers
+     * @private
+     */
+    static _retryBridgeConfig() {
+        if (this._bridgeRetry) return;
+        this._bridgeRetry = setTimeout(() => {
+            this._bridgeRetry = null;
+            if (this._fallback) this._loadConfig();
+        }, this.bridgeRetryDelay);
+    }
+
     /**
      * Save configuration to storage
      * @private
      */
     static async _saveConfig(config) {
-        this._cache = config;
+        this._applyChange(config);
 
         if (isExtension) {
             try {
@@ -124,7 +251,71 @@ export class Config {
                 console.warn('[CHUCK] Failed to save userscript config:', e);
             }
         }
+        // Through the bridge, nothing is saved: extension storage only takes writes
+        // from the popup and background, so a change made here lasts until the page reloads
+    }
+
+    /**
+     * Listen for changes to stored config made outside this script
+     * @private
+     */
+    static _watch() {
+        if (this._watching) return;
+        this._watching = true;
+
+        if (isExtension) {
+            chrome.storage.onChanged?.addListener((changes, area) => {
+                if (area === 'sync' && changes.chuck_config) {
+                    this._applyChange(changes.chuck_config.newValue);
+                }
+            });
+        } else if (isUserscript && typeof GM_addValueChangeListener !== 'undefined') {
+            GM_addValueChangeListener('chuck_config', (name, oldValue, newValue) => {
+                try {
+                    this._applyChange(newValue ? JSON.parse(newValue) : null);
+                } catch (e) {
+                    console.warn('[CHUCK] Failed to read changed userscript config:', e);
+                }
+            });
+        }
     }
+
+    /**
+     * Replace the cached config and tell listeners which keys changed
+     * @param {Object|null} stored - New stored config; missing keys fall back to defaults
+     * @private
+     */
+    static _applyChange(stored) {
+        const previous = this._cache ?? DEFAULTS;
+        const config = { ...DEFAULTS, ...(stored ?? {}) };
+        this._cache = config;
+        this._fallback = false;
+
+        const changed = Object.keys(config).filter(key => JSON.stringify(config[key]) !== JSON.stringify(previous[key]));
+        if (changed.length === 0) return;
+
+        for (const listener of this._listeners) {
+            try {
+                listener(config, changed);
+            } catch (e) {
+                console.error('[CHUCK] Config change listener failed:', e);
+            }
+        }
+    }
+}
+
+/**
+ * Config as the page may see it
+ * Scripts of the streaming site share the page with CHUCK's injected script and
+ * can ask the content script for config too, so the auth token is replaced by
+ * an id that only tells whether one is set and when it changes.
+ * @param {Object|null} config - Stored config
+ * @param {?string} authTokenId - Stands in for the token; null when none is set
+ * @returns {Object|null}
+ */
+export function withoutSecrets(config, authTokenId = null) {
+    if (!config) return config;
+    return { ...config, authToken: null, authTokenId: config.authToken ? authTokenId : null };
 }
 
 // Export defaults for reference
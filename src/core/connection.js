@@ -0,0 +1,571 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Connections to backend targets
+ *
+ * Every target gets its own socket, outbound queue and reconnect backoff, so
+ * an unreachable staging server never holds up production.
+ */
+
+import { AUTH_FAILURE_CLOSE_CODES, AuthMessage, AuthMethod, getSocketOptions, signChallenge } from './auth.js';
+import { Config, DEFAULTS } from './config.js';
+import { Feature, MessageType, PROTOCOL_VERSION, createHello, parseWelcome } from './protocol.js';
+import { OutboundQueue } from './queue.js';
+import { SERVER_COMMAND_SCHEMA, validate } from './schema.js';
+
+/**
+ * States of a connection to the backend
+ */
+export const ConnectionState = {
+    CONNECTING: 'connecting',         // Socket created, waiting for it to open
+    AUTHENTICATING: 'authenticating', // Socket open, waiting for the backend to accept the challenge response
+    OPEN: 'open',                     // Connected; updates are sent immediately
+    BACKING_OFF: 'backing_off',       // Closed; waiting before the next attempt
+    FAILED: 'failed',                 // Gave up after reconnectMaxAttempts; call reconnect() to retry
+    AUTH_FAILED: 'auth_failed',       // Backend refused the credentials; not retried until they change or reconnect()
+    STOPPED: 'stopped',               // Platform disabled in config; nothing is sent until it is enabled again
+};
+
+// How long the backend gets to challenge and accept us in challenge mode
+const AUTH_TIMEOUT_MS = 10000;
+
+// Most updates sent without an ack before sending pauses
+const ACK_WINDOW = 1000;
+
+/**
+ * Backend targets from config, with defaults filled in
+ * Without configured targets, serverUrl is the only target.
+ * Every target authenticates with authToken and authMethod. In the page the
+ * extension injects into, only authTokenId is known and challenges are signed
+ * by the content script.
+ * @param {Object} config - Full config
+ * @returns {Array<{id: string, url: string, platforms: string[], enabled: boolean, token: ?string, tokenId: ?string, authMethod: string}>}
+ */
+export function resolveTargets(config) {
+    const auth = {
+        token: config.authToken || null,
+        tokenId: config.authToken ? null : config.authTokenId || null,
+        authMethod: config.authMethod ?? DEFAULTS.authMethod,
+    };
+
+    const targets = (Array.isArray(config.targets) ? config.targets : []).filter(target => target?.url);
+    if (targets.length === 0) {
+        return [{ id: 'default', url: config.serverUrl ?? DEFAULTS.serverUrl, platforms: [], enabled: true, ...auth }];
+    }
+
+    const ids = new Set();
+    return targets.map((target, index) => {
+        // Targets are known by URL unless named; the same URL twice gets numbered
+        let id = target.id ?? target.url;
+        if (ids.has(id)) id = `${id}#${index}`;
+        ids.add(id);
+
+        return {
+            id,
+            url: target.url,
+            platforms: (target.platforms ?? []).map(platform => String(platform).toLowerCase()),
+            enabled: target.enabled !== false,
+            ...auth,
+        };
+    });
+}
+
+/**
+ * Whether a target takes updates from a platform
+ * @param {Object} target - Target from resolveTargets()
+ * @param {string} platformKey - Platform key as used in config.platforms
+ * @returns {boolean}
+ */
+export function targetAccepts(target, platformKey) {
+    return target.enabled && (target.platforms.length === 0 || target.platforms.includes(platformKey));
+}
+
+/**
+ * Whether the content script may sign a challenge from a backend
+ * Only enabled targets that authenticate by challenge qualify, so the page
+ * can't have challenges from any other server answered with the token.
+ * @param {Object} config - Stored config, token included
+ * @param {string} url - URL of the backend that sent the challenge
+ * @returns {boolean}
+ */
+export function signsChallengesFor(config, url) {
+    return resolveTargets(config).some(target =>
+        target.enabled && target.url === url && target.token !== null && target.authMethod === AuthMethod.CHALLENGE);
+}
+
+/**
+ * Socket, queue and reconnect state for one backend target
+ */
+export class Connection {
+    seed = null;
+    target = null;
+
+    socket = null;
+    reconnectTimeout = null;
+    authTimeout = null;
+    authError = null; // Why the backend last refused our credentials
+    server = null; // What the backend said about itself in its welcome; null for backends without one
+    acks = DEFAULTS.deliveryAcks; // Number updates and keep them until the backend acknowledges them
+    seq = 0; // Sequence number of the last update sent on this socket
+    queue = null; // OutboundQueue of updates waiting for the socket
+    state = null; // ConnectionState, null before the first attempt
+    reconnectAttempts = 0;
+
+    // Throughput counters for status reporting
+    sentCounts = { messages: 0, events: 0, removals: 0, updates: 0 };
+    sentMessageTimes = []; // Send times of recent messages, for the per-minute rate
+
+    reconnectBaseDelay = DEFAULTS.reconnectBaseDelay;
+    reconnectMaxDelay = DEFAULTS.reconnectMaxDelay;
+    reconnectJitter = DEFAULTS.reconnectJitter;
+    reconnectMaxAttempts = DEFAULTS.reconnectMaxAttempts;
+
+    /**
+     * @param {Seed} seed - Seed whose updates this connection carries
+     * @param {Object} target - Target from resolveTargets()
+     */
+    constructor(seed, target) {
+        this.seed = seed;
+        this.target = target;
+
+        // Updates survive reloads per platform and target until the backend takes them
+        this.queue = new OutboundQueue(`${seed.platform}|${target.id}`);
+    }
+
+    /**
+     * Apply queue and reconnect settings
+     * @param {Object} config - Full config
+     */
+    configure(config) {
+        this.queue.maxSize = config.queueMaxSize ?? DEFAULTS.queueMaxSize;
+        this.queue.overflow = config.queueOverflow ?? DEFAULTS.queueOverflow;
+        this.reconnectBaseDelay = config.reconnectBaseDelay ?? DEFAULTS.reconnectBaseDelay;
+        this.reconnectMaxDelay = config.reconnectMaxDelay ?? DEFAULTS.reconnectMaxDelay;
+        this.reconnectJitter = config.reconnectJitter ?? DEFAULTS.reconnectJitter;
+        this.reconnectMaxAttempts = config.reconnectMaxAttempts ?? DEFAULTS.reconnectMaxAttempts;
+        this.acks = config.deliveryAcks ?? DEFAULTS.deliveryAcks;
+        return this;
+    }
+
+    //
+    // Socket
+    //
+    connect() {
+        // Clear any pending reconnect timeout
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+            this.reconnectTimeout = null;
+        }
+
+        // Don't create if already open or connecting
+        if (this.socket !== null &&
+            (this.socket.readyState === WebSocket.OPEN ||
+             this.socket.readyState === WebSocket.CONNECTING)) {
+            this.log('Chat socket already exists and is open/connecting.');
+            return this.socket;
+        }
+
+        if (this.target.tokenId && this.target.authMethod !== AuthMethod.CHALLENGE) {
+            // Every other method would put the token on a socket the page can read
+            const reason = 'The extension keeps the auth token from the page; only challenge/response works there';
+            this.seed.warn(`${this.target.id}: Not connecting:`, reason);
+            this.authError = reason;
+            this.setState(ConnectionState.AUTH_FAILED, { reason });
+            return null;
+        }
+
+        this.log('Creating chat socket.');
+        this.setState(ConnectionState.CONNECTING, { attempt: this.reconnectAttempts });
+        const { url, protocols } = getSocketOptions(this.target);
+        const ws = protocols.length > 0
+            ? new WebSocket.oldWebSocket(url, protocols)
+            : new WebSocket.oldWebSocket(url);
+        ws.addEventListener('open', (event) => this.onSocketOpen(ws, event));
+        ws.addEventListener('message', (event) => this.onSocketMessage(ws, event));
+        ws.addEventListener('close', (event) => this.onSocketClose(ws, event));
+        ws.addEventListener('error', (event) => this.onSocketError(ws, event));
+
+        ws.chuck_socket = true;
+        this.socket = ws;
+
+        return this.socket;
+    }
+
+    /**
+     * Close the socket on purpose, without scheduling a reconnect
+     */
+    close() {
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+            this.reconnectTimeout = null;
+        }
+        clearTimeout(this.authTimeout);
+        this.authTimeout = null;
+
+        // Forget the socket first so onSocketClose() doesn't reconnect it
+        const ws = this.socket;
+        this.socket = null;
+        ws?.close();
+    }
+
+    /**
+     * Reconnect now, starting the backoff over (e.g. after FAILED)
+     */
+    reconnect() {
+        this.reconnectAttempts = 0;
+        this.authError = null;
+        return this.connect();
+    }
+
+    /**
+     * Whether the target has an auth token, known here or only to the content script
+     */
+    get hasCredentials() {
+        return Boolean(this.target.token || this.target.tokenId);
+    }
+
+    /**
+     * Whether updates can be written to the socket now
+     */
+    get ready() {
+        return this.socket?.readyState === WebSocket.OPEN && this.state !== ConnectionState.AUTHENTICATING;
+    }
+
+    onSocketOpen(ws, event) {
+        this.debug('Chat socket opened.');
+        this.reconnectAttempts = 0;
+
+        if (this.hasCredentials && this.target.authMethod === AuthMethod.CHALLENGE) {
+            // Hold updates back until the backend accepts our answer to its challenge
+            this.setState(ConnectionState.AUTHENTICATING);
+            this.authTimeout = setTimeout(() => this.onAuthFailed(ws, 'Backend did not complete the challenge in time'), AUTH_TIMEOUT_MS);
+            return;
+        }
+
+        if (this.target.token && this.target.authMethod === AuthMethod.MESSAGE) {
+            // Sent ahead of the queue, so the backend sees it before any update
+            ws.send(JSON.stringify({ type: AuthMessage.AUTH, data: { token: this.target.token } }));
+        }
+        this.onAuthenticated();
+    }
+
+    onAuthenticated() {
+        clearTimeout(this.authTimeout);
+        this.authTimeout = null;
+        this.authError = null;
+
+        // Updates the last socket never got acknowledged go out again first
+        this.seq = 0;
+        const resent = this.queue.requeue();
+        if (resent > 0) {
+            this.log('Resending unacknowledged updates:', resent);
+        }
+
+        // Introduce ourselves before any update; the welcome arrives whenever the backend gets to it
+        this.server = null;
+        const features = [...this.seed.getFeatures(), ...(this.acks ? [Feature.ACK] : [])];
+        this.socket.send(JSON.stringify(createHello(this.seed, features)));
+
+        this.setState(ConnectionState.OPEN);
+        this.flush();
+    }
+
+    /**
+     * Remember what the backend supports
+     * @param {*} data - Payload of the welcome message
+     */
+    onWelcome(data) {
+        this.server = parseWelcome(data);
+        this.log('Backend welcomed us. Protocol:', this.server.protocol, 'Version:', this.server.version, 'Features:', this.server.features);
+        if (this.server.protocol > PROTOCOL_VERSION) {
+            this.seed.warn(`${this.target.id}: Backend speaks a newer protocol; what this version doesn't know is ignored. Backend:`, this.server.protocol, 'CHUCK:', PROTOCOL_VERSION);
+        }
+        if (this.acks && !this.supports(Feature.ACK)) {
+            // Nothing will ever be acknowledged, so stop holding on to what was sent
+            this.seed.warn(`${this.target.id}: Backend does not acknowledge updates; delivery is unconfirmed.`);
+            this.queue.acknowledge(() => true);
+            this.flush();
+        }
+    }
+
+    /**
+     * Whether sent updates are numbered and kept until acknowledged
+     * Until the welcome says otherwise, the backend is assumed to ack.
+     */
+    get awaitingAcks() {
+        return this.acks && (this.server === null || this.supports(Feature.ACK));
+    }
+
+    /**
+     * Forget updates up to the acknowledged sequence number
+     * Acks are cumulative: { seq } confirms every update up to and including seq.
+     * @param {*} data - Payload of the ack message
+     */
+    onAck(data) {
+        const seq = data?.seq;
+        if (!Number.isInteger(seq)) {
+            this.debug('Ignoring ack without a sequence number:', data);
+            return;
+        }
+
+        const acknowledged = this.queue.acknowledge(entry => entry.seq <= seq);
+        this.debug('Backend acknowledged updates:', acknowledged, 'up to', seq);
+        // A full window may have paused sending
+        this.flush();
+    }
+
+    /**
+     * Whether the backend listed a feature in its welcome
+     * @param {string} feature - Feature from protocol.js
+     * @returns {boolean}
+     */
+    supports(feature) {
+        return this.server?.features.includes(feature) ?? false;
+    }
+
+    /**
+     * Take authentication and handshake messages; everything else is a command for the Seed
+     */
+    onSocketMessage(ws, event) {
+        let command = null;
+        try {
+            command = JSON.parse(event.data);
+        } catch (e) {
+            // Not ours; the Seed reports unparseable data
+        }
+
+        if (command !== null && this.seed.debug) {
+            const errors = validate(command, SERVER_COMMAND_SCHEMA);
+            if (errors.length > 0) {
+                this.seed.warn(`${this.target.id}: Backend sent a command that does not match the schema:`, errors.map(({ path, message }) => `${path} ${message}`), command);
+            }
+        }
+
+        switch (command?.type) {
+            case AuthMessage.CHALLENGE:
+                this.answerChallenge(ws, command.data?.nonce);
+                break;
+            case AuthMessage.OK:
+                if (ws === this.socket && this.state === ConnectionState.AUTHENTICATING) {
+                    this.debug('Backend accepted the challenge response.');
+                    this.onAuthenticated();
+                }
+                break;
+            case AuthMessage.FAILED:
+                this.onAuthFailed(ws, command.data?.reason || 'Credentials refused');
+                break;
+            case MessageType.WELCOME:
+                if (ws === this.socket) this.onWelcome(command.data);
+                break;
+            case MessageType.ACK:
+                // Sequence numbers restart with every socket, so late acks from an old one mean nothing
+                if (ws === this.socket) this.onAck(command.data);
+                break;
+            default:
+                this.seed.onChatSocketMessage(ws, event);
+        }
+    }
+
+    /**
+     * Sign the backend's nonce with the shared secret and send it back
+     */
+    async answerChallenge(ws, nonce) {
+        if (!this.hasCredentials) {
+            this.onAuthFailed(ws, 'Backend sent a challenge but no auth token is set');
+            return;
+        }
+
+        try {
+            const signature = this.target.token
+                ? await signChallenge(this.target.token, String(nonce ?? ''))
+                : await Config.signChallenge(String(nonce ?? ''), this.target.url);
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ type: AuthMessage.RESPONSE, data: { signature } }));
+            }
+        } catch (e) {
+            this.onAuthFailed(ws, `Could not sign the challenge: ${e.message}`);
+        }
+    }
+
+    /**
+     * Give up on a socket whose credentials were refused
+     * Retrying with the same secret would only be refused again, so this waits
+     * for the config to change or reconnect() to be called.
+     */
+    onAuthFailed(ws, reason) {
+        if (ws !== this.socket) return;
+
+        this.seed.warn(`${this.target.id}: Backend refused authentication:`, reason);
+        this.authError = reason;
+        this.close();
+        this.setState(ConnectionState.AUTH_FAILED, { reason });
+    }
+
+    onSocketClose(ws, event) {
+        this.debug('Chat socket closed.', event);
+        if (ws === this.socket && AUTH_FAILURE_CLOSE_CODES.includes(event?.code)) {
+            this.onAuthFailed(ws, event.reason || `Closed with code ${event.code}`);
+            return;
+        }
+
+        // Only schedule reconnect if this is our current socket
+        if (ws === this.socket) {
+            this.socket = null;
+            this.scheduleReconnect();
+        }
+    }
+
+    onSocketError(ws, event) {
+        this.debug('Chat socket errored.', event);
+        ws.close();
+    }
+
+    /**
+     * Wait before reconnecting, doubling the delay after every failed attempt
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimeout) clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+
+        if (this.reconnectMaxAttempts > 0 && this.reconnectAttempts >= this.reconnectMaxAttempts) {
+            this.seed.warn(`${this.target.id}: Giving up on chat socket after attempts:`, this.reconnectAttempts);
+            this.setState(ConnectionState.FAILED, { attempt: this.reconnectAttempts });
+            return;
+        }
+
+        const delay = this.getReconnectDelay(this.reconnectAttempts);
+        this.reconnectAttempts++;
+        this.debug('Reconnecting chat socket in ms:', delay);
+        this.setState(ConnectionState.BACKING_OFF, { attempt: this.reconnectAttempts, delay });
+        this.reconnectTimeout = setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * Reconnect delay for a given number of previous failed attempts
+     * Jitter spreads reconnects from many tabs so they don't hit the backend together.
+     * @param {number} attempt - Failed attempts so far
+     * @returns {number} Delay in ms
+     */
+    getReconnectDelay(attempt) {
+        const delay = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * 2 ** attempt);
+        const jitter = Math.min(Math.max(this.reconnectJitter, 0), 1);
+        return Math.round(delay * (1 - jitter * Math.random()));
+    }
+
+    /**
+     * Enter a connection state and let the Seed report it
+     * @param {string} state - ConnectionState
+     * @param {Object} detail - Extra fields such as attempt and delay
+     */
+    setState(state, detail = {}) {
+        this.state = state;
+        this.seed.onConnectionStateChanged(this, { state, attempt: 0, delay: null, ...detail, at: Date.now() });
+    }
+
+    //
+    // Sending
+    //
+    /**
+     * Send an update now, or queue it until the socket is open
+     * @param {LivestreamUpdate} update - Update to send
+     */
+    send(update) {
+        const ws_open = this.ready;
+        const seed_ready = this.seed.channel !== null;
+
+        // Send straight away only when nothing older is still waiting and it needn't be kept for an ack
+        if (ws_open && seed_ready && this.queue.size === 0 && !this.awaitingAcks) {
+            this.sendUpdate(update);
+            return;
+        }
+
+        if (!ws_open || !seed_ready) {
+            this.seed.warn(`${this.target.id}: Forcing messages to queue. Socket open:`, ws_open, 'Seed ready:', seed_ready);
+        }
+
+        const dropped = this.queue.dropped;
+        this.queue.push(update);
+        if (this.queue.dropped > dropped) {
+            this.seed.warn(`${this.target.id}: Outbound queue is full. Dropped updates:`, this.queue.dropped);
+        }
+        this.flush();
+    }
+
+    /**
+     * Send queued updates in order while the socket stays open
+     * @returns {number} Number of updates sent
+     */
+    flush() {
+        if (this.seed.channel === null) return 0;
+
+        const hold = this.awaitingAcks;
+        return this.queue.drain((update, entry) => {
+            if (!this.ready) return false;
+            if (hold && this.queue.inflight.length >= ACK_WINDOW) return false;
+
+            if (hold) {
+                entry.seq = ++this.seq;
+                update = { ...update, seq: entry.seq };
+            }
+            this.sendUpdate(update);
+            return true;
+        }, { hold });
+    }
+
+    /**
+     * Write an update to the open socket and count what it carried
+     * @param {LivestreamUpdate} update - Update to send, with its seq when awaiting acks
+     */
+    sendUpdate(update) {
+        this.socket.send(JSON.stringify(update));
+
+        const counts = this.sentCounts;
+        counts.updates++;
+        counts.messages += update.messages?.length ?? 0;
+        counts.events += update.events?.length ?? 0;
+        counts.removals += update.removals?.length ?? 0;
+
+        const now = Date.now();
+        for (let i = 0; i < (update.messages?.length ?? 0); i++) {
+            this.sentMessageTimes.push(now);
+        }
+        this.pruneSentMessageTimes(now);
+    }
+
+    /** Forget send times older than a minute */
+    pruneSentMessageTimes(now = Date.now()) {
+        const fresh = this.sentMessageTimes.findIndex(time => time > now - 60000);
+        this.sentMessageTimes.splice(0, fresh === -1 ? this.sentMessageTimes.length : fresh);
+    }
+
+    /**
+     * Snapshot of this connection for status reporting
+     * @returns {Object}
+     */
+    getStatus() {
+        this.pruneSentMessageTimes();
+        return {
+            id: this.target.id,
+            url: this.target.url,
+            state: this.state,
+            reconnectAttempts: this.reconnectAttempts,
+            authError: this.authError,
+            server: this.server,
+            queued: this.queue.size,
+            unacked: this.queue.inflight.length,
+            dropped: this.queue.dropped,
+            sent: { ...this.sentCounts },
+            messagesPerMinute: this.sentMessageTimes.length,
+        };
+    }
+
+    //
+    // Logging
+    //
+    log(message, ...args) {
+        this.seed.log(`${this.target.id}: ${message}`, ...args);
+    }
+
+    debug(message, ...args) {
+        this.seed._debug(`${this.target.id}: ${message}`, ...args);
+    }
+}
@@ -5,6 +5,13 @@
 
 export { Config, DEFAULTS } from './config.js';
 export { uuidv5 } from './uuid.js';
-export { ChatMessage, LivestreamUpdate } from './message.js';
+export { ChatMessage, LivestreamUpdate, StreamEvent, StreamEventType, SegmentType, parseSegments } from './message.js';
+export { LIVESTREAM_UPDATE_SCHEMA, SERVER_COMMAND_SCHEMA, validate } from './schema.js';
 export { Seed, WINDOW } from './seed.js';
+export { Connection, ConnectionState, resolveTargets, targetAccepts, signsChallengesFor } from './connection.js';
+export { PROTOCOL_VERSION, CHUCK_VERSION, MessageType, Feature, createHello, parseWelcome } from './protocol.js';
+export { AuthMethod, AuthMessage, getSocketOptions, signChallenge } from './auth.js';
 export { Recorder, EventStatus, EventType } from './recorder.js';
+export { OutboundQueue, OverflowPolicy } from './queue.js';
+export { UpdateBatcher, mergeUpdate } from './batcher.js';
+export { Bridge, BridgeSource, BridgeMethod, BridgeMessageKind } from './bridge.js';
@@ -13,6 +13,7 @@ export class LivestreamUpdate {
         this.messages = undefined;
         this.removals = undefined;
         this.viewers = undefined;
+        this.events = undefined; // Array of StreamEvent
     }
 }
 
@@ -28,8 +29,10 @@ export class ChatMessage {
         this.received_at = Date.now(); // Local timestamp for management
         this.is_placeholder = false;
 
-        this.message = '';
-        this.emojis = []; // Array of [find, replace, alt] tuples
+        this.segments = []; // Array of typed parts (see SegmentType), in order
+        this.message = ''; // Legacy: flat text, derived from segments
+        this.emojis = []; // Legacy: Array of [find, replace, alt] tuples, derived from segments
+        this.reply_to = null; // { id, username, message } of the parent message when this is a reply
 
         this.username = 'DUMMY_USER';
         this.avatar = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw=='; // Transparent pixel
@@ -43,4 +46,155 @@ export class ChatMessage {
         this.is_owner = false;
         this.is_staff = false;
     }
+
+    /**
+     * Set the message content and derive the legacy message and emojis fields from it
+     * @param {Array} segments - Array of segments (see SegmentType)
+     */
+    setSegments(segments) {
+        // Merge neighbouring text so concatenated parts read as one run
+        this.segments = segments.reduce((merged, segment) => {
+            const last = merged.at(-1);
+            if (last?.type === SegmentType.TEXT && segment.type === SegmentType.TEXT) {
+                merged[merged.length - 1] = { ...last, text: last.text + segment.text };
+            } else {
+                merged.push(segment);
+            }
+            return merged;
+        }, []);
+        this.message = this.segments.map(segment => segment.text).join('');
+        this.emojis = this.segments
+            .filter(segment => segment.type === SegmentType.EMOTE || segment.type === SegmentType.CHEERMOTE)
+            .map(segment => [segment.text, segment.url, segment.alt ?? segment.text]);
+    }
+
+    /**
+     * Set the message content from plain text
+     * @param {string} text - Message text
+     * @param {Array} emotes - Emote or cheermote segments whose text may appear in the message
+     */
+    setMessage(text, emotes = []) {
+        this.setSegments(parseSegments(text, emotes));
+    }
+}
+
+/**
+ * Kinds of message segments
+ * Every segment has a type and the literal text it covers, so joining the
+ * text of all segments gives back the original message.
+ */
+export const SegmentType = {
+    TEXT: 'text',           // { text }
+    EMOTE: 'emote',         // { text, url, alt }
+    MENTION: 'mention',     // { text, username }
+    LINK: 'link',           // { text, url }
+    CHEERMOTE: 'cheermote', // { text, url, prefix, bits }
+};
+
+const LINK_PATTERN = /https?:\/\/\S*[^\s.,!?;:)\]'"]/y;
+const MENTION_PATTERN = /@(\w+)/y;
+
+/**
+ * Split text into segments
+ * Known emote tokens become their own segment, URLs become links and
+ * @names become mentions; everything else is text.
+ * @param {string} text - Message text
+ * @param {Array} emotes - Emote or cheermote segments whose text may appear in the message
+ * @returns {Array} Array of segments
+ */
+export function parseSegments(text, emotes = []) {
+    if (!text) return [];
+
+    // Longest first so overlapping tokens prefer the most specific match
+    const tokens = [...new Map(emotes.filter(e => e?.text).map(e => [e.text, e])).values()]
+        .sort((a, b) => b.text.length - a.text.length);
+
+    const segments = [];
+    let plain = '';
+    const flush = () => {
+        if (plain) segments.push({ type: SegmentType.TEXT, text: plain });
+        plain = '';
+    };
+
+    let i = 0;
+    const match = (pattern) => {
+        pattern.lastIndex = i;
+        return pattern.exec(text);
+    };
+
+    while (i < text.length) {
+        const atWordStart = i === 0 || /\s/.test(text[i - 1]);
+
+        // Word-like tokens (Kappa, Cheer100) only match as whole words
+        const emote = tokens.find(token => text.startsWith(token.text, i) &&
+            (atWordStart || !/^\w/.test(token.text)) &&
+            (!/\w$/.test(token.text) || !/\S/.test(text.charAt(i + token.text.length))));
+        if (emote) {
+            flush();
+            segments.push({ ...emote });
+            i += emote.text.length;
+            continue;
+        }
+
+        const link = (i === 0 || !/\w/.test(text[i - 1])) && match(LINK_PATTERN);
+        if (link) {
+            flush();
+            segments.push({ type: SegmentType.LINK, text: link[0], url: link[0] });
+            i += link[0].length;
+            continue;
+        }
+
+        const mention = (i === 0 || !/[\w@]/.test(text[i - 1])) && match(MENTION_PATTERN);
+        if (mention) {
+            flush();
+            segments.push({ type: SegmentType.MENTION, text: mention[0], username: mention[1] });
+            i += mention[0].length;
+            continue;
+        }
+
+        plain += text[i];
+        i++;
+    }
+    flush();
+
+    return segments;
+}
+
+/**
+ * Kinds of non-chat stream events
+ */
+export const StreamEventType = {
+    SUBSCRIPTION: 'subscription',            // New or renewed subscription
+    GIFT_SUBSCRIPTION: 'gift_subscription',  // Subscription(s) bought for others
+    RAID: 'raid',                            // Another channel sent its viewers
+    FOLLOW: 'follow',
+    POLL: 'poll',                            // Poll created or updated
+    POLL_END: 'poll_end',
+    GOAL: 'goal',                            // Goal progress
+    PIN: 'pin',                              // Message pinned
+    UNPIN: 'unpin',
+    BAN: 'ban',                              // User banned or timed out
+    REDEMPTION: 'redemption',                // Channel-point reward redeemed
+};
+
+/**
+ * Represents a non-chat event from any platform (subs, raids, polls, pins, ...)
+ */
+export class StreamEvent {
+    constructor(id, platform, channel, type) {
+        this.id = id;
+        this.platform = platform;
+        this.channel = channel;
+        this.type = type; // StreamEventType
+        this.sent_at = Date.now(); // System timestamp for display ordering
+        this.received_at = Date.now(); // Local timestamp for management
+
+        this.actor = null; // { id, username, avatar } of whoever caused the event
+        this.target = null; // { id, username } of whoever the event applies to
+
+        this.amount = 0;
+        this.currency = 'ZWL';
+
+        this.payload = {}; // Type- and platform-specific data
+    }
 }
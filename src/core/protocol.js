@@ -0,0 +1,80 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Wire protocol between CHUCK and the backend
+ *
+ * Every socket starts with a hello from CHUCK saying who it is and what it
+ * can do. A backend that knows the protocol answers with a welcome listing
+ * its own features; older backends stay silent, and CHUCK keeps sending plain
+ * LivestreamUpdate JSON to them as before.
+ *
+ * Both sides ignore what they don't understand: unknown fields are dropped,
+ * unknown commands are logged and skipped, and a feature is only used once
+ * both sides have listed it. That way CHUCK and SNEED can be updated
+ * independently.
+ */
+
+/**
+ * Version of the wire protocol, raised on changes an older peer would misread
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * CHUCK release, taken from package.json at build time ('dev' when run unbundled)
+ */
+export const CHUCK_VERSION = typeof __CHUCK_VERSION__ === 'undefined' ? 'dev' : __CHUCK_VERSION__;
+
+/**
+ * Protocol message types
+ */
+export const MessageType = {
+    HELLO: 'hello',                   // Client: first message on every socket
+    WELCOME: 'welcome',               // Server: answer to hello with its capabilities
+    ACK: 'ack',                       // Server: { seq }, every update up to seq was received
+    INJECT_MESSAGE: 'inject_message', // Server: show a message in the page's chat
+};
+
+/**
+ * Features either side can list in hello or welcome
+ */
+export const Feature = {
+    MESSAGES: 'messages',             // Chat messages in updates
+    EVENTS: 'events',                 // Stream events in updates
+    REMOVALS: 'removals',             // Deleted message ids in updates
+    VIEWERS: 'viewers',               // Viewer counts in updates
+    INJECT_MESSAGE: 'inject_message', // The inject_message command
+    ACK: 'ack',                       // Updates carry seq and are resent until acknowledged
+};
+
+/**
+ * Hello message for a Seed
+ * @param {Seed} seed - Seed the socket carries updates for
+ * @param {string[]} features - Features to list, by default those of the Seed
+ * @returns {{type: string, data: Object}}
+ */
+export function createHello(seed, features = seed.getFeatures()) {
+    return {
+        type: MessageType.HELLO,
+        data: {
+            protocol: PROTOCOL_VERSION,
+            version: CHUCK_VERSION,
+            platform: seed.platform,
+            channel: seed.channel ?? null,
+            url: window.location?.href ?? null,
+            features,
+        },
+    };
+}
+
+/**
+ * What the backend told us about itself in its welcome
+ * Only known fields are kept, with anything malformed replaced by a default.
+ * @param {*} data - Payload of the welcome message
+ * @returns {{protocol: number, version: ?string, features: string[]}}
+ */
+export function parseWelcome(data) {
+    return {
+        protocol: Number.isInteger(data?.protocol) ? data.protocol : PROTOCOL_VERSION,
+        version: typeof data?.version === 'string' ? data.version : null,
+        features: Array.isArray(data?.features) ? data.features.filter(feature => typeof feature === 'string') : [],
+    };
+}
@@ -0,0 +1,427 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Durable outbound queue for updates waiting on the backend
+ *
+ * Updates are kept in memory and mirrored to IndexedDB so they survive page
+ * reloads and backend restarts. Without IndexedDB the queue still works, but
+ * only for the lifetime of the page.
+ *
+ * IndexedDB is shared by every tab of an origin, so records are stored under
+ * the tab that wrote them. A tab only restores its own records, and takes over
+ * those of tabs that have closed.
+ */
+
+import { DEFAULTS } from './config.js';
+
+/**
+ * What to do when a push would exceed the queue's size
+ */
+export const OverflowPolicy = {
+    DROP_OLDEST: 'drop_oldest', // Discard the oldest queued update to make room
+    DROP_NEWEST: 'drop_newest', // Refuse the incoming update
+};
+
+export class OutboundQueue {
+    static dbName = 'chuck';
+    static dbVersion = 1;
+    static storeName = 'outbound';
+    // sessionStorage key of the id this tab's records are stored under
+    static tabKey = 'chuck_queue_tab';
+    // Prefix of the Web Lock every open tab holds on its id
+    static tabLockPrefix = 'chuck-queue-tab:';
+    // Promise of this tab's id, claimed once per page
+    static _tab = null;
+
+    name = null;
+    tab = null; // Id of the tab persisted records are stored under
+    maxSize = DEFAULTS.queueMaxSize;
+    overflow = DEFAULTS.queueOverflow;
+
+    // Queued { key, update } entries, oldest first; key is null until persisted
+    entries = [];
+    // Entries sent with drain(send, { hold: true }) but not acknowledged yet, oldest first
+    inflight = [];
+    // Message and event ids currently queued
+    ids = new Set();
+    // Number of updates discarded because the queue was full
+    dropped = 0;
+
+    db = null;
+
+    /**
+     * @param {string} name - Queue name, shared across reloads of the same platform
+     * @param {number} maxSize - Most updates kept before the overflow policy applies
+     * @param {string} overflow - OverflowPolicy
+     */
+    constructor(name, maxSize = DEFAULTS.queueMaxSize, overflow = DEFAULTS.queueOverflow) {
+        this.name = name;
+        this.maxSize = maxSize;
+        this.overflow = overflow;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Load updates persisted by an earlier page and mirror new ones from now on
+     * Updates pushed before this resolves are kept and persisted after the loaded ones.
+     * @returns {Promise<number>} Number of updates restored
+     */
+    async open() {
+        let restored = [];
+        try {
+            this.tab ??= await OutboundQueue.claimTab();
+            this.db = await this._openDatabase();
+            restored = this.db ? await this._restore() : [];
+        } catch (e) {
+            console.warn('[CHUCK] Outbound queue is not persistent:', e);
+            this.db = null;
+        }
+
+        const pending = this.entries;
+        this.entries = [];
+        this.ids.clear();
+
+        for (const record of restored) {
+            const update = this._deduplicate(record.update);
+            if (update) {
+                this._append({ key: record.key, update });
+            } else {
+                this._removePersisted([record.key]);
+            }
+        }
+        for (const entry of pending) {
+            this._append(entry);
+            this._persist(entry);
+        }
+
+        return restored.length;
+    }
+
+    /**
+     * Add an update to the back of the queue
+     * Messages and events already queued are dropped from the update, and a
+     * newer viewer count replaces a queued one.
+     * @param {LivestreamUpdate} update - Update to queue
+     * @returns {boolean} False if the update was refused
+     */
+    push(update) {
+        update = this._deduplicate(update);
+        if (!update) return true;
+
+        if (isViewersOnly(update)) {
+            const index = this.entries.findIndex(entry => isViewersOnly(entry.update));
+            if (index !== -1) {
+                this._removeEntries(this.entries.splice(index, 1));
+            }
+        }
+
+        if (this.entries.length >= this.maxSize) {
+            if (this.overflow === OverflowPolicy.DROP_NEWEST) {
+                this.dropped++;
+                return false;
+            }
+            const excess = this.entries.length - this.maxSize + 1;
+            this._removeEntries(this.entries.splice(0, excess));
+            this.dropped += excess;
+        }
+
+        const entry = { key: null, update };
+        this._append(entry);
+        this._persist(entry);
+        return true;
+    }
+
+    /**
+     * Send queued updates in order until the queue is empty or send refuses one
+     * With hold, sent updates stay persisted in flight until acknowledge().
+     * @param {Function} send - Called with each update and its entry; returns false to stop
+     * @param {Object} options
+     * @param {boolean} options.hold - Keep sent updates until they are acknowledged
+     * @returns {number} Number of updates sent
+     */
+    drain(send, { hold = false } = {}) {
+        let sent = 0;
+        while (this.entries.length > 0) {
+            if (send(this.entries[0].update, this.entries[0]) === false) break;
+            sent++;
+            const entries = this.entries.splice(0, 1);
+            if (hold) {
+                this.inflight.push(...entries);
+            } else {
+                this._removeEntries(entries);
+            }
+        }
+        return sent;
+    }
+
+    /**
+     * Forget in-flight updates the backend confirmed
+     * @param {Function} confirmed - Called with each in-flight entry; true to forget it
+     * @returns {number} Number of updates forgotten
+     */
+    acknowledge(confirmed) {
+        const acknowledged = this.inflight.filter(confirmed);
+        if (acknowledged.length === 0) return 0;
+
+        const forgotten = new Set(acknowledged);
+        this.inflight = this.inflight.filter(entry => !forgotten.has(entry));
+        this._removeEntries(acknowledged);
+        return acknowledged.length;
+    }
+
+    /**
+     * Move unacknowledged updates back to the front, to be sent again
+     * @returns {number} Number of updates moved back
+     */
+    requeue() {
+        const entries = this.inflight.splice(0);
+        this.entries.unshift(...entries);
+        return entries.length;
+    }
+
+    /**
+     * Discard every queued and in-flight update
+     */
+    clear() {
+        this._removeEntries([...this.inflight.splice(0), ...this.entries.splice(0)]);
+    }
+
+    /**
+     * Drop messages and events that are already queued or repeated within the update
+     * @returns {Object|null} The remaining update, or null if nothing is left
+     * @private
+     */
+    _deduplicate(update) {
+        if (!update) return null;
+
+        const seen = new Set();
+        const fresh = (item) => {
+            if (!item?.id) return true;
+            if (this.ids.has(item.id) || seen.has(item.id)) return false;
+            seen.add(item.id);
+            return true;
+        };
+        const messages = update.messages?.filter(fresh);
+        const events = update.events?.filter(fresh);
+
+        if (!messages?.length && !events?.length && !update.removals?.length && update.viewers === undefined) {
+            return null;
+        }
+        if (messages?.length === update.messages?.length && events?.length === update.events?.length) {
+            return update;
+        }
+        return {
+            ...update,
+            messages: messages?.length ? messages : undefined,
+            events: events?.length ? events : undefined,
+        };
+    }
+
+    /** @private */
+    _append(entry) {
+        this.entries.push(entry);
+        for (const item of [...(entry.update.messages ?? []), ...(entry.update.events ?? [])]) {
+            if (item?.id) this.ids.add(item.id);
+        }
+    }
+
+    /** @private */
+    _forget(update) {
+        for (const item of [...(update.messages ?? []), ...(update.events ?? [])]) {
+            if (item?.id) this.ids.delete(item.id);
+        }
+    }
+
+    /** @private */
+    _removeEntries(entries) {
+        for (const entry of entries) {
+            this._forget(entry.update);
+            // A write still in flight deletes itself once it lands
+            entry.removed = true;
+        }
+        this._removePersisted(entries.map(entry => entry.key).filter(key => key !== null));
+    }
+
+    //
+    // Tabs
+    //
+    /**
+     * Id of this tab, kept in sessionStorage so a reload finds its own records
+     * The tab holds a Web Lock on the id while it is open, which tells other
+     * tabs its records are not theirs to take.
+     * @returns {Promise<string>}
+     */
+    static claimTab() {
+        this._tab ??= (async () => {
+            const stored = readSession(this.tabKey);
+            let id = stored ?? createTabId();
+            // A duplicated tab starts with a copy of sessionStorage, so the id may be taken
+            while (hasLocks() && !(await holdLock(`${this.tabLockPrefix}${id}`))) {
+                id = createTabId();
+            }
+            if (!stored) writeSession(this.tabKey, id);
+            return id;
+        })();
+        return this._tab;
+    }
+
+    /**
+     * Ids of the tabs that are open, from the locks they hold
+     * @returns {Promise<Set<string>|null>} null without Web Locks, when no tab can be known to be closed
+     */
+    static async liveTabs() {
+        if (!hasLocks()) return null;
+
+        const { held = [] } = await navigator.locks.query();
+        return new Set(held
+            .map(lock => lock.name ?? '')
+            .filter(name => name.startsWith(this.tabLockPrefix))
+            .map(name => name.slice(this.tabLockPrefix.length)));
+    }
+
+    /**
+     * Persisted records this tab may send: its own, and those of closed tabs
+     * Records of closed tabs are moved to this tab under a lock, so two tabs
+     * opening at once never both take them.
+     * @returns {Promise<Object[]>} Records, oldest first
+     * @private
+     */
+    async _restore() {
+        return await withLock(`chuck-queue:${this.name}`, async () => {
+            const records = await this._loadPersisted();
+            const live = await OutboundQueue.liveTabs();
+            const orphans = live ? records.filter(record => record.tab !== this.tab && !live.has(record.tab)) : [];
+            if (orphans.length > 0) {
+                await this._adoptPersisted(orphans);
+            }
+            return records.filter(record => record.tab === this.tab || orphans.includes(record));
+        });
+    }
+
+    //
+    // IndexedDB
+    //
+    /** @private */
+    _openDatabase() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(OutboundQueue.dbName, OutboundQueue.dbVersion);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(OutboundQueue.storeName, { keyPath: 'key', autoIncrement: true });
+                store.createIndex('queue', 'queue');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /** @private */
+    _loadPersisted() {
+        return new Promise((resolve, reject) => {
+            const request = this.db
+                .transaction(OutboundQueue.storeName, 'readonly')
+                .objectStore(OutboundQueue.storeName)
+                .index('queue')
+                .getAll(this.name);
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.key - b.key));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /** @private */
+    _persist(entry) {
+        if (!this.db) return;
+
+        try {
+            // Round-trip through JSON so class instances store as plain data
+            const record = { queue: this.name, tab: this.tab, update: JSON.parse(JSON.stringify(entry.update)) };
+            const request = this.db
+                .transaction(OutboundQueue.storeName, 'readwrite')
+                .objectStore(OutboundQueue.storeName)
+                .add(record);
+            request.onsuccess = () => {
+                entry.key = request.result;
+                if (entry.removed) this._removePersisted([entry.key]);
+            };
+        } catch (e) {
+            console.warn('[CHUCK] Could not persist queued update:', e);
+        }
+    }
+
+    /** @private */
+    _adoptPersisted(records) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(OutboundQueue.storeName, 'readwrite');
+            const store = transaction.objectStore(OutboundQueue.storeName);
+            records.forEach(record => store.put({ ...record, tab: this.tab }));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /** @private */
+    _removePersisted(keys) {
+        if (!this.db || keys.length === 0) return;
+
+        try {
+            const store = this.db
+                .transaction(OutboundQueue.storeName, 'readwrite')
+                .objectStore(OutboundQueue.storeName);
+            keys.forEach(key => store.delete(key));
+        } catch (e) {
+            console.warn('[CHUCK] Could not remove sent updates:', e);
+        }
+    }
+}
+
+function hasLocks() {
+    return typeof navigator !== 'undefined' && Boolean(navigator.locks);
+}
+
+/**
+ * Run a callback while holding a Web Lock, or straight away without Web Locks
+ */
+function withLock(name, callback) {
+    return hasLocks() ? navigator.locks.request(name, callback) : callback();
+}
+
+/**
+ * Take a Web Lock if it is free and hold it until the page goes away
+ * @returns {Promise<boolean>} Whether the lock was taken
+ */
+function holdLock(name) {
+    return new Promise((resolve) => {
+        navigator.locks.request(name, { ifAvailable: true }, (lock) => {
+            resolve(lock !== null);
+            return lock ? new Promise(() => {}) : undefined;
+        });
+    });
+}
+
+function createTabId() {
+    return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function readSession(key) {
+    try {
+        return sessionStorage.getItem(key);
+    } catch (e) {
+        // Missing, or blocked in sandboxed frames
+        return null;
+    }
+}
+
+function writeSession(key, value) {
+    try {
+        sessionStorage.setItem(key, value);
+    } catch (e) {
+        // Records of this page are taken over by a later one once it closes
+    }
+}
+
+function isViewersOnly(update) {
+    return update.viewers !== undefined && !update.messages?.length && !update.events?.length && !update.removals?.length;
+}
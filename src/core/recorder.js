@@ -1,8 +1,18 @@
 /**
  * CHUCK - Chat Harvesting Universal Connection Kit
  * Debug Recorder - Captures all intercepted traffic for analysis
+ *
+ * A recording is either started by hand and stops once its budget is used
+ * up, or runs continuously in the background as a ring buffer: the oldest
+ * events are dropped to stay within the budget and retention, so whatever
+ * led up to a parser breaking can be downloaded after the fact.
  */
 
+import { DEFAULTS } from './config.js';
+
+const MINUTE = 60 * 1000;
+const MEGABYTE = 1024 * 1024;
+
 /**
  * Event status indicating how CHUCK processed the event
  */
@@ -31,6 +41,7 @@ export const EventType = {
     EVENTSOURCE_MESSAGE: 'eventsource_message',
     EVENTSOURCE_ERROR: 'eventsource_error',
     CHAT_MESSAGE: 'chat_message',  // Parsed chat message sent to backend
+    STREAM_EVENT: 'stream_event',  // Parsed stream event sent to backend
     VIEWER_COUNT: 'viewer_count',  // Viewer count update
     MESSAGE_REMOVAL: 'message_removal',  // Message deletion
 };
@@ -43,8 +54,44 @@ export class Recorder {
         this.platform = platform;
         this.events = [];
         this.recording = false;
+        this.continuous = false; // Recording in the background as a ring buffer
         this.startTime = null;
-        this.maxEvents = 10000; // Prevent memory issues
+        // Budget, so a forgotten recording can't exhaust memory
+        this.maxEvents = DEFAULTS.recorderMaxEvents;
+        this.maxBytes = DEFAULTS.recorderMaxMegabytes * MEGABYTE;
+        this.retention = DEFAULTS.recorderRetentionMinutes * MINUTE; // ms; only for continuous recording, 0 keeps all
+        this.maxPayload = DEFAULTS.recorderMaxPayload; // Characters kept of each payload, 0 keeps them whole
+        this.bytes = 0; // Size of the recorded events' payloads
+        this.dropped = 0; // Events dropped from the ring buffer since recording started
+        // Counts of everything seen since load, kept even when not recording
+        this.totals = { events: 0, byType: {}, byStatus: {} };
+    }
+
+    /**
+     * Apply budget, retention, truncation and background recording from config
+     * Background recording starts or stops only when recorderContinuous
+     * changes, so a recording stopped by hand stays stopped.
+     * @param {Object} config - Full config
+     * @returns {Recorder} this
+     */
+    configure(config) {
+        this.maxEvents = config.recorderMaxEvents ?? DEFAULTS.recorderMaxEvents;
+        this.maxBytes = (config.recorderMaxMegabytes ?? DEFAULTS.recorderMaxMegabytes) * MEGABYTE;
+        this.retention = (config.recorderRetentionMinutes ?? DEFAULTS.recorderRetentionMinutes) * MINUTE;
+        this.maxPayload = config.recorderMaxPayload ?? DEFAULTS.recorderMaxPayload;
+
+        const continuous = config.recorderContinuous ?? DEFAULTS.recorderContinuous;
+        if (continuous && !this.continuous) {
+            this.continuous = true;
+            if (!this.recording) this.start();
+        } else if (!continuous && this.continuous) {
+            this.continuous = false;
+            // What was captured so far stays available for download
+            if (this.recording) this.stop();
+        }
+
+        if (this.continuous) this._trim(Date.now());
+        return this;
     }
 
     /**
@@ -58,7 +105,9 @@ export class Recorder {
         this.recording = true;
         this.startTime = Date.now();
         this.events = [];
-        console.log(`[CHUCK Recorder] Started recording for ${this.platform}`);
+        this.bytes = 0;
+        this.dropped = 0;
+        console.log(`[CHUCK Recorder] Started ${this.continuous ? 'background recording' : 'recording'} for ${this.platform}`);
     }
 
     /**
@@ -82,24 +131,26 @@ export class Recorder {
      * @param {string} note - Optional note about why event was ignored/unhandled
      */
     record(type, data, status = EventStatus.UNHANDLED, parsed = null, note = null) {
-        if (!this.recording) return;
+        this.totals.events++;
+        this.totals.byType[type] = (this.totals.byType[type] || 0) + 1;
+        this.totals.byStatus[status] = (this.totals.byStatus[status] || 0) + 1;
 
-        // Prevent memory overflow
-        if (this.events.length >= this.maxEvents) {
-            console.warn('[CHUCK Recorder] Max events reached, stopping recording');
-            this.stop();
-            return;
-        }
+        if (!this.recording) return;
 
+        const payload = this._safeStringify(data.payload);
+        const parsedText = parsed ? this._safeStringify(parsed) : null;
+        const storedPayload = this._truncate(payload);
+        const storedParsed = this._truncate(parsedText);
         const event = {
             timestamp: Date.now(),
             relativeTime: Date.now() - this.startTime,
             type,
             status,
             url: data.url || null,
-            payload: this._safeStringify(data.payload),
+            payload: storedPayload,
             payloadSize: this._getSize(data.payload),
-            parsed: parsed ? this._safeStringify(parsed) : null,
+            truncated: storedPayload !== payload || storedParsed !== parsedText, // payloadSize is still the full size
+            parsed: storedParsed,
             note,
             // Additional metadata
             meta: {
@@ -110,7 +161,38 @@ export class Recorder {
             }
         };
 
+        const size = this._eventSize(event);
+        if (!this.continuous && (this.events.length >= this.maxEvents || this.bytes + size > this.maxBytes)) {
+            // A recording started by hand is kept whole, so it ends here
+            console.warn('[CHUCK Recorder] Recording budget reached, stopping recording');
+            this.stop();
+            return;
+        }
+
         this.events.push(event);
+        this.bytes += size;
+        if (this.continuous) this._trim(event.timestamp);
+    }
+
+    /**
+     * Drop the oldest events until the ring buffer is within budget and retention
+     * @param {number} now - Current time in ms
+     */
+    _trim(now) {
+        const oldest = this.retention > 0 ? now - this.retention : -Infinity;
+        let count = 0;
+        while (count < this.events.length && (
+            this.events.length - count > this.maxEvents ||
+            this.bytes > this.maxBytes ||
+            this.events[count].timestamp < oldest
+        )) {
+            this.bytes -= this._eventSize(this.events[count]);
+            count++;
+        }
+        if (count > 0) {
+            this.events.splice(0, count);
+            this.dropped += count;
+        }
     }
 
     /**
@@ -149,6 +231,13 @@ export class Recorder {
         this.record(EventType.CHAT_MESSAGE, { payload: message }, EventStatus.HANDLED, message);
     }
 
+    /**
+     * Record a parsed stream event that was sent to backend
+     */
+    recordStreamEvent(event) {
+        this.record(EventType.STREAM_EVENT, { payload: event, eventName: event.type }, EventStatus.HANDLED, event);
+    }
+
     /**
      * Get recording statistics
      */
@@ -156,10 +245,14 @@ export class Recorder {
         const stats = {
             platform: this.platform,
             recording: this.recording,
+            continuous: this.continuous,
             totalEvents: this.events.length,
+            bytes: this.bytes,
+            dropped: this.dropped,
             duration: this.startTime ? Date.now() - this.startTime : 0,
             byType: {},
             byStatus: {},
+            totals: this.totals,
         };
 
         for (const event of this.events) {
@@ -188,8 +281,11 @@ export class Recorder {
      * Export recording as JSON object
      */
     export() {
+        // A background recording holds only the last retention period, even if nothing came in since
+        if (this.continuous) this._trim(Date.now());
         return {
             platform: this.platform,
+            url: window.location?.href ?? null, // Page the traffic came from, for replaying it
             recordingStarted: this.startTime ? new Date(this.startTime).toISOString() : null,
             recordingEnded: new Date().toISOString(),
             stats: this.getStats(),
@@ -225,7 +321,10 @@ export class Recorder {
      */
     clear() {
         this.events = [];
-        this.startTime = null;
+        this.bytes = 0;
+        this.dropped = 0;
+        // A recording still running starts over from now
+        this.startTime = this.recording ? Date.now() : null;
         console.log('[CHUCK Recorder] Cleared all events');
     }
 
@@ -250,6 +349,21 @@ export class Recorder {
         }
     }
 
+    /**
+     * Cut a stored payload down to maxPayload characters
+     */
+    _truncate(text) {
+        if (typeof text !== 'string' || this.maxPayload <= 0 || text.length <= this.maxPayload) return text;
+        return text.slice(0, this.maxPayload);
+    }
+
+    /**
+     * Size an event counts against the budget: its stored payload and parsed result
+     */
+    _eventSize(event) {
+        return (event.payload?.length ?? 0) + (event.parsed?.length ?? 0);
+    }
+
     /**
      * Get size of payload in bytes
      */
@@ -0,0 +1,325 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Schemas of what goes over the backend socket
+ *
+ * LivestreamUpdate, ChatMessage and StreamEvent are plain classes, so nothing
+ * stops a platform from filling them with the wrong kind of value. The
+ * schemas below write down their shape, and that of the commands a backend
+ * sends, as JSON Schema; validate() checks a value against one. Only the
+ * keywords the schemas use are implemented.
+ *
+ * Fields the schemas don't list are allowed: either side ignores what it
+ * doesn't know, so adding a field never breaks the other.
+ *
+ * Both schemas are published as JSON in schema/ for backends to use.
+ */
+
+import { AuthMessage } from './auth.js';
+import { SegmentType, StreamEventType } from './message.js';
+import { MessageType } from './protocol.js';
+
+// Earliest time in ms accepted as a timestamp; anything smaller was given in seconds
+const MIN_TIMESTAMP_MS = 1e12;
+
+const timestamp = {
+    type: 'integer',
+    minimum: MIN_TIMESTAMP_MS,
+    description: 'Milliseconds since the Unix epoch',
+};
+
+const currency = {
+    type: 'string',
+    minLength: 1,
+    description: 'ISO 4217 code, or a platform currency such as BITS or KICKS',
+};
+
+const channel = {
+    type: ['string', 'number', 'null'],
+    description: 'Channel the update is for; null while the platform is still finding out',
+};
+
+/**
+ * JSON Schema of a LivestreamUpdate, with ChatMessage and StreamEvent under $defs
+ */
+export const LIVESTREAM_UPDATE_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://github.com/usips/chat-harvester/schema/livestream-update.json',
+    title: 'LivestreamUpdate',
+    type: 'object',
+    required: ['platform', 'channel'],
+    properties: {
+        platform: { type: 'string', minLength: 1 },
+        channel,
+        messages: { type: 'array', items: { $ref: '#/$defs/ChatMessage' } },
+        removals: { type: 'array', items: { type: 'string', minLength: 1 } },
+        viewers: { type: 'integer', minimum: 0 },
+        events: { type: 'array', items: { $ref: '#/$defs/StreamEvent' } },
+        seq: { type: 'integer', minimum: 1, description: 'Sequence number while delivery acks are on' },
+    },
+    $defs: {
+        ChatMessage: {
+            type: 'object',
+            required: [
+                'id', 'platform', 'channel', 'sent_at', 'received_at', 'segments', 'message', 'emojis',
+                'username', 'avatar', 'amount', 'currency',
+                'is_verified', 'is_sub', 'is_mod', 'is_owner', 'is_staff',
+            ],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                platform: { type: 'string', minLength: 1 },
+                channel,
+                sent_at: timestamp,
+                received_at: timestamp,
+                is_placeholder: { type: 'boolean' },
+                segments: { type: 'array', items: { $ref: '#/$defs/Segment' } },
+                message: { type: 'string' },
+                emojis: {
+                    type: 'array',
+                    items: {
+                        type: 'array',
+                        prefixItems: [{ type: 'string' }, { type: 'string' }, { type: 'string' }],
+                        minItems: 2,
+                        maxItems: 3,
+                    },
+                },
+                reply_to: {
+                    type: ['object', 'null'],
+                    required: ['id'],
+                    properties: {
+                        id: { type: 'string' },
+                        username: { type: ['string', 'null'] },
+                        message: { type: ['string', 'null'] },
+                    },
+                },
+                username: { type: 'string' },
+                avatar: { type: 'string' },
+                amount: { type: 'number', minimum: 0 },
+                currency,
+                is_verified: { type: 'boolean' },
+                is_sub: { type: 'boolean' },
+                is_mod: { type: 'boolean' },
+                is_owner: { type: 'boolean' },
+                is_staff: { type: 'boolean' },
+            },
+        },
+        Segment: {
+            type: 'object',
+            required: ['type', 'text'],
+            properties: {
+                type: { enum: Object.values(SegmentType) },
+                text: { type: 'string' },
+                url: { type: 'string' },
+                alt: { type: 'string' },
+                username: { type: 'string' },
+                prefix: { type: 'string' },
+                bits: { type: 'integer', minimum: 0 },
+            },
+        },
+        StreamEvent: {
+            type: 'object',
+            required: ['id', 'platform', 'channel', 'type', 'sent_at', 'received_at', 'amount', 'currency', 'payload'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                platform: { type: 'string', minLength: 1 },
+                channel,
+                type: { enum: Object.values(StreamEventType) },
+                sent_at: timestamp,
+                received_at: timestamp,
+                actor: { $ref: '#/$defs/User' },
+                target: { $ref: '#/$defs/User' },
+                amount: { type: 'number', minimum: 0 },
+                currency,
+                payload: { type: 'object' },
+            },
+        },
+        User: {
+            type: ['object', 'null'],
+            properties: {
+                id: { type: ['string', 'number', 'null'] },
+                username: { type: ['string', 'null'] },
+                avatar: { type: ['string', 'null'] },
+            },
+        },
+    },
+};
+
+/**
+ * Entry of allOf that checks data against a $def when type is the given command
+ */
+function command(type, definition, { dataRequired = true } = {}) {
+    return {
+        if: { required: ['type'], properties: { type: { const: type } } },
+        then: {
+            required: dataRequired ? ['data'] : [],
+            properties: { data: { $ref: `#/$defs/${definition}` } },
+        },
+    };
+}
+
+/**
+ * JSON Schema of the messages a backend sends to CHUCK
+ * Only the commands CHUCK knows are described; any other type passes, as
+ * CHUCK skips commands it doesn't know.
+ */
+export const SERVER_COMMAND_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://github.com/usips/chat-harvester/schema/server-command.json',
+    title: 'ServerCommand',
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { type: 'string', minLength: 1 },
+    },
+    allOf: [
+        command(MessageType.WELCOME, 'Welcome'),
+        command(MessageType.ACK, 'Ack'),
+        command(MessageType.INJECT_MESSAGE, 'InjectMessage'),
+        command(AuthMessage.CHALLENGE, 'AuthChallenge'),
+        command(AuthMessage.FAILED, 'AuthFailed', { dataRequired: false }),
+    ],
+    $defs: {
+        Welcome: {
+            type: 'object',
+            properties: {
+                protocol: { type: 'integer', minimum: 1 },
+                version: { type: ['string', 'null'] },
+                features: { type: 'array', items: { type: 'string' } },
+            },
+        },
+        Ack: {
+            type: 'object',
+            required: ['seq'],
+            properties: {
+                seq: { type: 'integer', minimum: 1, description: 'Every update up to and including seq was received' },
+            },
+        },
+        InjectMessage: {
+            type: 'object',
+            required: ['message'],
+            description: 'Message to show in the page\'s chat; platforms fill in what is left out',
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                username: { type: 'string' },
+                message: { type: 'string' },
+                avatar: { type: 'string' },
+                sent_at: timestamp,
+                amount: { type: 'number', minimum: 0 },
+                currency,
+            },
+        },
+        AuthChallenge: {
+            type: 'object',
+            required: ['nonce'],
+            properties: {
+                nonce: { type: 'string', minLength: 1 },
+            },
+        },
+        AuthFailed: {
+            type: ['object', 'null'],
+            properties: {
+                reason: { type: 'string' },
+            },
+        },
+    },
+};
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema; $ref is resolved within it
+ * @returns {Array<{path: string, message: string}>} Violations, empty if the value is valid
+ */
+export function validate(value, schema = LIVESTREAM_UPDATE_SCHEMA) {
+    const errors = [];
+    check(value, schema, schema, '', errors);
+    return errors;
+}
+
+function check(value, schema, root, path, errors) {
+    if (schema.$ref) {
+        schema = resolve(root, schema.$ref);
+    }
+
+    const fail = message => errors.push({ path: path || '(root)', message });
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => isType(value, type))) {
+            fail(`must be ${types.join(' or ')}, got ${describe(value)}`);
+            return;
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.enum !== undefined && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}, got ${value}`);
+        }
+    } else if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters long`);
+        }
+    } else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        value.forEach((item, index) => {
+            const itemSchema = schema.prefixItems?.[index] ?? schema.items;
+            if (itemSchema) check(item, itemSchema, root, `${path}[${index}]`, errors);
+        });
+    } else if (value !== null && typeof value === 'object') {
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) {
+                fail(`is missing ${key}`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties ?? {})) {
+            if (value[key] !== undefined) {
+                check(value[key], propertySchema, root, path ? `${path}.${key}` : key, errors);
+            }
+        }
+    }
+
+    for (const subschema of schema.allOf ?? []) {
+        check(value, subschema, root, path, errors);
+    }
+    if (schema.if !== undefined) {
+        const matches = [];
+        check(value, schema.if, root, path, matches);
+        const branch = matches.length === 0 ? schema.then : schema.else;
+        if (branch) check(value, branch, root, path, errors);
+    }
+}
+
+function resolve(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $refs are supported: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+function isType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+    return typeof value;
+}
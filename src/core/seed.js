@@ -5,12 +5,28 @@
 
 import { Config, DEFAULTS } from './config.js';
 import { uuidv5 } from './uuid.js';
-import { ChatMessage, LivestreamUpdate } from './message.js';
+import { ChatMessage, LivestreamUpdate, StreamEvent, StreamEventType } from './message.js';
 import { Recorder, EventStatus, EventType } from './recorder.js';
+import { Connection, ConnectionState, resolveTargets, targetAccepts } from './connection.js';
+import { BridgeMethod } from './bridge.js';
+import { Feature, MessageType } from './protocol.js';
+import { UpdateBatcher } from './batcher.js';
+import { validate } from './schema.js';
 
 // Get the window object (handles userscript's unsafeWindow)
 const WINDOW = (typeof unsafeWindow !== 'undefined' ? unsafeWindow : window);
 
+// Overall state reported for several connections: the best one wins
+const STATE_PRIORITY = [
+    ConnectionState.OPEN,
+    ConnectionState.AUTHENTICATING,
+    ConnectionState.CONNECTING,
+    ConnectionState.BACKING_OFF,
+    ConnectionState.AUTH_FAILED,
+    ConnectionState.FAILED,
+    ConnectionState.STOPPED,
+];
+
 /**
  * Base class for all platform scrapers
  * Handles WebSocket/Fetch/XHR patching and communication with backend
@@ -22,19 +38,35 @@ export class Seed {
     namespace = null;
     viewers = null;
 
-    // Backend connection
-    chatSocket = null;
-    chatSocketTimeout = null;
-    chatMessageQueue = [];
-    updateQueue = [];
+    // Set while the platform is disabled in config; intercepted traffic is ignored
+    disabled = false;
+
+    // Backend connections, one per target that takes this platform
+    connections = [];
+    connectionListeners = new Set();
+    connectRequested = false; // Set once connect() has run; targets added later connect straight away
+    batcher = null; // Merges updates before they reach the connections; null sends each at once
 
     // Configuration
-    serverUrl = DEFAULTS.serverUrl;
     debug = DEFAULTS.debug;
+    configLoaded = null; // Settles once the stored config has replaced the defaults
 
     // Debug recorder
     recorder = null;
 
+    // Page side of the content script bridge, if attached
+    bridge = null;
+
+    // Bounds for the per-user index of forwarded message ids
+    static maxTrackedUsers = 1000;
+    static maxTrackedMessagesPerUser = 50;
+
+    // Longest parent text kept on a reply
+    static maxReplySnippetLength = 200;
+
+    // Map of platform user id -> message ids we have forwarded, least recently active first
+    messageIdsByUser = new Map();
+
     constructor(namespace, platform, channel) {
         this.namespace = namespace;
         this.platform = platform;
@@ -45,17 +77,14 @@ export class Seed {
 
         this.log('Initializing.');
 
-        // Load config then initialize
-        this._initAsync();
-    }
+        // Patch and bind straight away: reading config can take seconds through
+        // the extension, and a chat socket opened meanwhile would be missed
+        this.configureBatching(DEFAULTS);
+        this.recorder.configure(DEFAULTS);
+        this.syncConnections(DEFAULTS);
 
-    async _initAsync() {
-        try {
-            this.serverUrl = await Config.get('serverUrl', DEFAULTS.serverUrl);
-            this.debug = await Config.get('debug', DEFAULTS.debug);
-        } catch (e) {
-            // Config not available, use defaults
-        }
+        // Follow changes made in the popup or userscript menu without a reload
+        Config.onChange((config, changed) => this.onConfigChange(config, changed));
 
         this.eventSourcePatch();
         this.fetchPatch();
@@ -64,6 +93,126 @@ export class Seed {
 
         this.bindEvents();
         this.initUUID();
+
+        this.configLoaded = this._loadConfig();
+    }
+
+    /**
+     * Apply the stored config the same way as a later change
+     */
+    async _loadConfig() {
+        let config;
+        try {
+            config = await Config.getAll();
+        } catch (e) {
+            // Config not available, keep the defaults
+            return;
+        }
+        const changed = Object.keys(config).filter(key => JSON.stringify(config[key]) !== JSON.stringify(DEFAULTS[key]));
+        this.onConfigChange(config, changed);
+    }
+
+    /**
+     * Apply config that changed while running
+     * @param {Object} config - The full new config
+     * @param {string[]} changed - Keys that differ from before
+     */
+    onConfigChange(config, changed) {
+        this.debug = config.debug;
+        this.configureBatching(config);
+        this.recorder.configure(config);
+
+        const disabled = config.platforms?.[this.platformKey] === false;
+        if (disabled && !this.disabled) {
+            this.stop();
+        }
+        this.syncConnections(config);
+        if (!disabled && this.disabled) {
+            this.start();
+        }
+    }
+
+    /**
+     * Key of this platform in config.platforms and target platform filters
+     */
+    get platformKey() {
+        return this.constructor.name.toLowerCase();
+    }
+
+    /**
+     * Match connections to the configured targets that take this platform
+     * New targets get a connection, removed ones are closed with their queue
+     * cleared, and a target whose URL or credentials changed reconnects.
+     * @param {Object} config - Full config
+     */
+    syncConnections(config) {
+        const existing = new Map(this.connections.map(connection => [connection.target.id, connection]));
+        const targets = resolveTargets(config).filter(target => targetAccepts(target, this.platformKey));
+
+        this.connections = targets.map((target) => {
+            let connection = existing.get(target.id);
+            existing.delete(target.id);
+
+            if (connection) {
+                const changed = connection.target.url !== target.url ||
+                    connection.target.token !== target.token ||
+                    connection.target.tokenId !== target.tokenId ||
+                    connection.target.authMethod !== target.authMethod;
+                connection.target = target;
+                connection.configure(config);
+                if (changed && connection.state !== null && !this.disabled) {
+                    this.log('Backend target changed, reconnecting:', target.id, target.url);
+                    connection.close();
+                    connection.reconnect();
+                }
+                return connection;
+            }
+
+            connection = new Connection(this, target).configure(config);
+            // Restore updates left over from before a reload without holding up patching
+            connection.queue.open().then((restored) => {
+                if (restored > 0) {
+                    this.log('Restored queued updates.', target.id, restored);
+                }
+                connection.flush();
+            });
+            if (this.connectRequested && !this.disabled) {
+                connection.connect();
+            }
+            return connection;
+        });
+
+        for (const removed of existing.values()) {
+            this.log('Backend target removed:', removed.target.id);
+            removed.close();
+            removed.queue.clear();
+        }
+    }
+
+    /**
+     * Stop sending and ignore intercepted traffic, e.g. once the platform is disabled
+     * Queued updates are kept for when the platform is enabled again.
+     */
+    stop() {
+        this.log('Platform disabled, stopping.');
+        // What was collected before the platform was disabled waits in the queues
+        this.batcher?.flush();
+        this.disabled = true;
+        for (const connection of this.connections) {
+            connection.close();
+            connection.setState(ConnectionState.STOPPED);
+        }
+        return this;
+    }
+
+    /**
+     * Resume after stop()
+     */
+    start() {
+        this.log('Platform enabled, starting.');
+        this.disabled = false;
+        this.reconnect();
+        return this;
     }
 
     //
@@ -116,8 +265,16 @@ export class Seed {
     // Page Events
     //
     bindEvents() {
-        document.addEventListener('DOMContentLoaded', (event) => this.onDocumentReady(event));
-        document.addEventListener('DOMContentLoaded', (event) => this.createChatSocket());
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', (event) => this.onDocumentReady(event));
+            document.addEventListener('DOMContentLoaded', (event) => this.connect());
+        } else {
+            // Already loaded; wait for the platform's constructor to finish first
+            queueMicrotask(() => {
+                this.onDocumentReady(null);
+                this.connect();
+            });
+        }
         window.addEventListener('beforeunload', (event) => this.onBeforeUnload(event));
     }
 
@@ -128,43 +285,54 @@ export class Seed {
     onBeforeUnload(event) {
         this._debug('Window is about to unload.');
         this.sendViewerCount(0);
+        // The page won't be around for the batch timer
+        this.batcher?.flush();
+    }
+
+    /**
+     * Answer popup and background requests relayed by the extension content script
+     * Every request is answered with the resulting status so the popup can redraw.
+     * @param {Bridge} bridge - Page side of the bridge
+     */
+    attachBridge(bridge) {
+        this.bridge = bridge;
+        bridge
+            .handle(BridgeMethod.GET_STATUS, () => this.getStatus())
+            .handle(BridgeMethod.START_RECORDING, () => this.startRecording().getStatus())
+            .handle(BridgeMethod.STOP_RECORDING, () => this.stopRecording().getStatus())
+            .handle(BridgeMethod.CLEAR_RECORDING, () => this.clearRecording().getStatus())
+            .handle(BridgeMethod.DOWNLOAD_RECORDING, () => this.downloadRecording().getStatus());
+        return this;
     }
 
     //
-    // Chat Socket
+    // Backend Connections
     //
-    createChatSocket() {
-        // Clear any pending reconnect timeout
-        if (this.chatSocketTimeout) {
-            clearTimeout(this.chatSocketTimeout);
-            this.chatSocketTimeout = null;
-        }
-
-        // Don't create if already open or connecting
-        if (this.chatSocket !== null &&
-            (this.chatSocket.readyState === WebSocket.OPEN ||
-             this.chatSocket.readyState === WebSocket.CONNECTING)) {
-            this.log('Chat socket already exists and is open/connecting.');
-            return this.chatSocket;
-        }
-
-        this.log('Creating chat socket.');
-        const ws = new WebSocket.oldWebSocket(this.serverUrl);
-        ws.addEventListener('open', (event) => this.onChatSocketOpen(ws, event));
-        ws.addEventListener('message', (event) => this.onChatSocketMessage(ws, event));
-        ws.addEventListener('close', (event) => this.onChatSocketClose(ws, event));
-        ws.addEventListener('error', (event) => this.onChatSocketError(ws, event));
-
-        ws.chuck_socket = true;
-        this.chatSocket = ws;
+    /**
+     * Connect to every backend target
+     */
+    connect() {
+        this.connectRequested = true;
+        if (this.disabled) return;
+        this.connections.forEach(connection => connection.connect());
+    }
 
-        return this.chatSocket;
+    /**
+     * Reconnect to every backend target now, starting their backoff over
+     */
+    reconnect() {
+        this.connectRequested = true;
+        if (this.disabled) return;
+        this.connections.forEach(connection => connection.reconnect());
     }
 
-    onChatSocketOpen(ws, event) {
-        this._debug('Chat socket opened.');
-        this.sendChatMessages(this.chatMessageQueue);
-        this.chatMessageQueue = [];
+    /**
+     * Overall state of the backend connections
+     * OPEN if any target is connected, otherwise the most hopeful state; null before connecting.
+     */
+    get connectionState() {
+        const states = this.connections.map(connection => connection.state);
+        return STATE_PRIORITY.find(state => states.includes(state)) ?? null;
     }
 
     onChatSocketMessage(ws, event) {
@@ -180,15 +348,30 @@ export class Seed {
         }
     }
 
+    /**
+     * Features to list in the hello sent to the backend
+     * inject_message is only listed by platforms that implement injectMessage().
+     * @returns {string[]}
+     */
+    getFeatures() {
+        const features = [Feature.MESSAGES, Feature.EVENTS, Feature.REMOVALS, Feature.VIEWERS];
+        if (this.injectMessage !== Seed.prototype.injectMessage) {
+            features.push(Feature.INJECT_MESSAGE);
+        }
+        return features;
+    }
+
     /**
      * Handle commands received from the server
+     * Unknown commands are logged and ignored, so a newer backend can send
+     * commands this version doesn't know yet.
      * Subclasses can override to add custom command handlers
      * @param {string} type - The command type
      * @param {object} data - The command payload
      */
     handleServerCommand(type, data) {
         switch (type) {
-            case 'inject_message':
+            case MessageType.INJECT_MESSAGE:
                 this.injectMessage(data);
                 break;
             default:
@@ -205,34 +388,130 @@ export class Seed {
         this._debug('injectMessage not implemented for this platform:', message);
     }
 
-    onChatSocketClose(ws, event) {
-        this._debug('Chat socket closed.', event);
-        // Only schedule reconnect if this is our current socket
-        if (ws === this.chatSocket) {
-            this.chatSocket = null;
-            if (this.chatSocketTimeout) clearTimeout(this.chatSocketTimeout);
-            this.chatSocketTimeout = setTimeout(() => this.createChatSocket(), 3000);
-        }
+    /**
+     * Subscribe to connection state changes
+     * @param {Function} listener - Called with { target, state, attempt, delay, at }
+     * @returns {Function} Call to unsubscribe
+     */
+    onConnectionStateChange(listener) {
+        this.connectionListeners.add(listener);
+        return () => this.connectionListeners.delete(listener);
     }
 
-    onChatSocketError(ws, event) {
-        this._debug('Chat socket errored.', event);
-        ws.close();
+    /**
+     * Tell subscribers and the page that a connection changed state
+     * @param {Connection} connection - The connection that changed
+     * @param {Object} change - { state, attempt, delay, at }
+     */
+    onConnectionStateChanged(connection, change) {
+        change = { target: connection.target.id, ...change };
+
+        for (const listener of this.connectionListeners) {
+            try {
+                listener(change);
+            } catch (e) {
+                this.error('Connection state listener failed:', e);
+            }
+        }
+
+        // Let the extension content script know, if there is one
+        try {
+            this.bridge?.notify('connection_state', { platform: this.platform, ...change });
+        } catch (e) {
+            // Not in a page that can receive messages
+        }
     }
 
     //
     // Message Sending
     //
+    /**
+     * Send an update to the backend, merged with others from the same tick
+     * In debug mode the update is checked against the schema first, so a
+     * parser that gets a field wrong is reported by the platform that did it.
+     * @param {LivestreamUpdate} update - Update to send
+     */
     queueLivestreamUpdate(update) {
-        const ws_open = this?.chatSocket?.readyState === WebSocket.OPEN;
-        const seed_ready = this.channel !== null;
-
-        if (ws_open && seed_ready) {
-            this.chatSocket.send(JSON.stringify(update));
+        if (this.disabled) return;
+        if (this.debug) {
+            const errors = validate(update);
+            if (errors.length > 0) {
+                this.warn('Update does not match the schema:', errors.map(({ path, message }) => `${path} ${message}`), update);
+            }
+        }
+        if (this.batcher) {
+            this.batcher.add(update);
         } else {
-            this.warn('Forcing messages to queue. Socket open:', ws_open, 'Seed ready:', seed_ready);
-            this.updateQueue.push(update);
+            this.dispatchLivestreamUpdate(update);
+        }
+    }
+
+    /**
+     * Hand an update to every backend connection
+     * @param {LivestreamUpdate} update - Update to send
+     */
+    dispatchLivestreamUpdate(update) {
+        this.connections.forEach(connection => connection.send(update));
+    }
+
+    /**
+     * Set up merging of updates from batchInterval and batchMaxSize
+     * Turning batching off sends whatever was collected right away.
+     * @param {Object} config - Full config
+     */
+    configureBatching(config) {
+        const interval = config.batchInterval ?? DEFAULTS.batchInterval;
+        if (interval <= 0) {
+            this.batcher?.flush();
+            this.batcher = null;
+            return;
         }
+
+        this.batcher ??= new UpdateBatcher(update => this.dispatchLivestreamUpdate(update));
+        this.batcher.interval = interval;
+        this.batcher.maxSize = config.batchMaxSize ?? DEFAULTS.batchMaxSize;
+    }
+
+    /**
+     * Send the pending batch and queued updates on every connection that is open
+     * @returns {number} Number of updates sent
+     */
+    flushUpdateQueue() {
+        this.batcher?.flush();
+        return this.connections.reduce((sent, connection) => sent + connection.flush(), 0);
+    }
+
+    /**
+     * Snapshot of connections and throughput for the popup and console
+     * Every target carries the same updates, so sent counts and rate are those
+     * of the target furthest ahead; queued and dropped add up over all targets.
+     * @returns {Object}
+     */
+    getStatus() {
+        const targets = this.connections.map(connection => connection.getStatus());
+        const most = (field) => Math.max(0, ...targets.map(target => field(target)));
+        const state = this.connectionState;
+        return {
+            platform: this.platform,
+            channel: this.channel,
+            url: window.location?.href ?? null,
+            state,
+            reconnectAttempts: targets.find(target => target.state === state)?.reconnectAttempts ?? 0,
+            authError: targets.find(target => target.authError)?.authError ?? null,
+            viewers: this.viewers,
+            queued: targets.reduce((sum, target) => sum + target.queued, 0),
+            unacked: targets.reduce((sum, target) => sum + target.unacked, 0),
+            dropped: targets.reduce((sum, target) => sum + target.dropped, 0),
+            sent: {
+                messages: most(target => target.sent.messages),
+                events: most(target => target.sent.events),
+                removals: most(target => target.sent.removals),
+                updates: most(target => target.sent.updates),
+            },
+            messagesPerMinute: most(target => target.messagesPerMinute),
+            targets,
+            recorder: this.recorder.getStats(),
+        };
     }
 
     sendChatMessages(messages) {
@@ -254,6 +533,58 @@ export class Seed {
         this.queueLivestreamUpdate(update);
     }
 
+    /**
+     * Build reply context for a ChatMessage
+     * @param {string} id - Parent message id, mapped the same way as this platform's ChatMessage ids
+     * @param {string} username - Parent message author
+     * @param {string} text - Parent message text
+     * @returns {{id: string, username: string|null, message: string}|null}
+     */
+    prepareReplyTo(id, username, text) {
+        if (!id) return null;
+
+        const max = this.constructor.maxReplySnippetLength;
+        const snippet = text ?? '';
+        return {
+            id,
+            username: username || null,
+            message: snippet.length > max ? `${snippet.slice(0, max - 1)}…` : snippet,
+        };
+    }
+
+    /**
+     * Create a StreamEvent with a deterministic id for this platform
+     * @param {string} type - StreamEventType
+     * @param {string} sourceId - Platform-side identifier for the event
+     * @returns {StreamEvent}
+     */
+    prepareStreamEvent(type, sourceId) {
+        return new StreamEvent(
+            uuidv5(`${type}-${sourceId}`, this.namespace),
+            this.platform,
+            this.channel,
+            type
+        );
+    }
+
+    sendStreamEvents(events) {
+        this._debug('Sending stream events.', events);
+        const update = new LivestreamUpdate(this.platform, this.channel);
+
+        if (Array.isArray(events)) {
+            update.events = events;
+            events.forEach(event => this.recorder.recordStreamEvent(event));
+        } else if (events instanceof StreamEvent) {
+            update.events = [events];
+            this.recorder.recordStreamEvent(events);
+        } else {
+            this.warn('Invalid events parameter. Expected StreamEvent or Array of StreamEvent.', events);
+            return;
+        }
+
+        this.queueLivestreamUpdate(update);
+    }
+
     sendRemoveMessages(ids) {
         this._debug('Sending remove message for IDs:', ids);
         const update = new LivestreamUpdate(this.platform, this.channel);
@@ -261,6 +592,52 @@ export class Seed {
         this.queueLivestreamUpdate(update);
     }
 
+    /**
+     * Remember a forwarded message id so a later ban or timeout can remove it
+     * @param {string} userId - Platform user id
+     * @param {string} messageId - Forwarded ChatMessage id
+     */
+    trackUserMessage(userId, messageId) {
+        if (userId === undefined || userId === null || userId === '' || !messageId) return;
+        userId = String(userId);
+
+        // Re-insert to keep the Map ordered by most recent activity
+        const ids = this.messageIdsByUser.get(userId) ?? [];
+        this.messageIdsByUser.delete(userId);
+        ids.push(messageId);
+        if (ids.length > this.constructor.maxTrackedMessagesPerUser) {
+            ids.shift();
+        }
+        this.messageIdsByUser.set(userId, ids);
+
+        if (this.messageIdsByUser.size > this.constructor.maxTrackedUsers) {
+            const oldest = this.messageIdsByUser.keys().next().value;
+            this.messageIdsByUser.delete(oldest);
+        }
+    }
+
+    /**
+     * Remove and return all tracked message ids for a user
+     * @param {string} userId - Platform user id
+     * @returns {Array<string>}
+     */
+    takeUserMessages(userId) {
+        userId = String(userId);
+        const ids = this.messageIdsByUser.get(userId) ?? [];
+        this.messageIdsByUser.delete(userId);
+        return ids;
+    }
+
+    /**
+     * Remove and return every tracked message id
+     * @returns {Array<string>}
+     */
+    takeAllMessages() {
+        const ids = [...this.messageIdsByUser.values()].flat();
+        this.messageIdsByUser.clear();
+        return ids;
+    }
+
     sendViewerCount(count) {
         this._debug('Updating viewer count. Current viewers:', count);
         this.viewers = count;
@@ -282,20 +659,31 @@ export class Seed {
 
         if (sub.gifted) {
             if (sub.count > 1) {
-                message.message = `${message.username} gifted ${sub.count} subscriptions!`;
+                message.setMessage(`${message.username} gifted ${sub.count} subscriptions!`);
             } else {
-                message.message = `${message.username} gifted a subscription!`;
+                message.setMessage(`${message.username} gifted a subscription!`);
             }
         } else {
             if (sub.count > 1) {
-                message.message = `${message.username} subscribed for ${sub.count} months!`;
+                message.setMessage(`${message.username} subscribed for ${sub.count} months!`);
             } else {
-                message.message = `${message.username} subscribed for 1 month!`;
+                message.setMessage(`${message.username} subscribed for 1 month!`);
             }
         }
 
         this.log('Sending subscription message.', message);
         this.sendChatMessages([message]);
+
+        // The chat line above keeps existing overlays working; the event carries the same data structurally
+        const event = this.prepareStreamEvent(
+            sub.gifted ? StreamEventType.GIFT_SUBSCRIPTION : StreamEventType.SUBSCRIPTION,
+            sub.id
+        );
+        event.actor = { id: null, username: sub.buyer };
+        event.amount = message.amount;
+        event.currency = message.currency;
+        event.payload = sub.gifted ? { count: sub.count } : { months: sub.count };
+        this.sendStreamEvents([event]);
     }
 
     //
@@ -310,6 +698,7 @@ export class Seed {
             const es = new oldEventSource(url, config);
 
             es.addEventListener('message', function(event) {
+                if (self.disabled) return;
                 self.onEventSourceMessage(es, event);
             });
 
@@ -336,6 +725,7 @@ export class Seed {
         const newFetch = function(...args) {
             let [resource, config] = args;
             const response = oldFetch(resource, config);
+            if (self.disabled) return response;
             response.then((data) => {
                 const newData = data.clone();
                 self.onFetchResponse(newData);
@@ -384,10 +774,12 @@ export class Seed {
             ws._chuck_url = url; // Store URL for recording
             const oldWsSend = ws.send;
             ws.send = function(data) {
-                self.onWebSocketSend(ws, data);
+                if (!self.disabled) self.onWebSocketSend(ws, data);
                 return oldWsSend.apply(ws, arguments);
             };
-            ws.addEventListener('message', (event) => self.onWebSocketMessage(ws, event));
+            ws.addEventListener('message', (event) => {
+                if (!self.disabled) self.onWebSocketMessage(ws, event);
+            });
             ws.send.chuck_patched = true;
             return ws;
         };
@@ -451,7 +843,7 @@ export class Seed {
 
         const oldXhrOpen = WINDOW.XMLHttpRequest.prototype.open;
         const newXhrOpen = function(method, url, async, user, password) {
-            self.onXhrOpen(this, method, url, async, user, password);
+            if (!self.disabled) self.onXhrOpen(this, method, url, async, user, password);
             return oldXhrOpen.apply(this, arguments);
         };
         newXhrOpen.chuck_patched = true;
@@ -459,7 +851,7 @@ export class Seed {
 
         const oldXhrSend = WINDOW.XMLHttpRequest.prototype.send;
         const newXhrSend = function(body) {
-            self.onXhrSend(this, body);
+            if (!self.disabled) self.onXhrSend(this, body);
             return oldXhrSend.apply(this, arguments);
         };
         newXhrSend.chuck_patched = true;
@@ -532,4 +924,4 @@ export class Seed {
 }
 
 // Export helpers for platform classes
-export { WINDOW, uuidv5, ChatMessage, LivestreamUpdate, EventStatus, EventType };
+export { WINDOW, uuidv5, ChatMessage, LivestreamUpdate, StreamEvent, StreamEventType, EventStatus, EventType };
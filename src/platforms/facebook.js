@@ -57,8 +57,8 @@ export class Facebook extends Seed {
         );
 
         // Message content
-        message.message = commentData.preferred_body?.text ||
-                         commentData.body?.text || '';
+        message.setMessage(commentData.preferred_body?.text ||
+                           commentData.body?.text || '');
 
         // Author info
         const author = commentData.author;
@@ -3,7 +3,7 @@
  * Platform registry and detection
  */
 
-import { Config, WINDOW } from '../core/index.js';
+import { WINDOW } from '../core/index.js';
 
 // Import all platforms
 import Facebook from './facebook.js';
@@ -35,8 +35,10 @@ export function getPlatforms() {
 
 /**
  * Detect and instantiate the appropriate platform for current hostname
+ * Created before config is read, so the page is patched in time; a platform
+ * disabled in config stops itself once the config arrives.
  */
-export async function detectPlatform() {
+export function detectPlatform() {
     const hostname = window.location.hostname;
     const Platform = platforms.get(hostname);
 
@@ -45,18 +47,6 @@ export async function detectPlatform() {
         return null;
     }
 
-    // Check if platform is enabled in config
-    const platformKey = Platform.name.toLowerCase();
-    try {
-        const platformConfig = await Config.get('platforms', {});
-        if (platformConfig[platformKey] === false) {
-            console.log(`[CHUCK] Platform ${Platform.name} is disabled in config.`);
-            return null;
-        }
-    } catch (e) {
-        // Config not available, proceed anyway
-    }
-
     return new Platform();
 }
 
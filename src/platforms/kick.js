@@ -9,9 +9,10 @@
  * - Capture emotes
  * - Capture view counts
  * - Capture KicksGifted (premium gifts)
+ * - Capture pins, bans, goals, reward redemptions and polls as events
  */
 
-import { Seed, ChatMessage, uuidv5, EventStatus } from '../core/index.js';
+import { Seed, ChatMessage, StreamEventType, SegmentType, uuidv5, EventStatus } from '../core/index.js';
 
 export class Kick extends Seed {
     static hostname = 'kick.com';
@@ -19,6 +20,9 @@ export class Kick extends Seed {
 
     channel_id = null;
     livestream_id = null;
+    // Kick's unpin and poll delete events are empty, so their ids come from what they end
+    pin = null; // { messageId, at } of the last pin, at the time it arrived
+    poll = null; // { title, remaining, startedAt, ended } of the last poll, startedAt when its first update arrived
 
     constructor() {
         const channel = window.location.href.split('/').filter(x => x)[2]?.toLowerCase();
@@ -36,14 +40,14 @@ export class Kick extends Seed {
             .then(json => {
                 this.log(json);
                 json.data.messages.reverse().forEach((messageJson) => {
-                    const message = this.prepareChatMessage(messageJson);
-                    this.sendChatMessages([message]);
+                    this.receiveChatMessage(messageJson);
                 });
             });
     }
 
     receiveChatMessage(json) {
         const message = this.prepareChatMessage(json);
+        this.trackUserMessage(json.sender?.id, message.id);
         this.sendChatMessages([message]);
     }
 
@@ -51,18 +55,31 @@ export class Kick extends Seed {
         const message = new ChatMessage(json.id, this.platform, this.channel);
         message.sent_at = json.created_at ? Date.parse(json.created_at) : Date.now();
         message.username = json.sender?.username ?? 'Unknown';
-        message.message = json.content ?? '';
+
+        // Emotes are supplied as bbcode: [emote:37221:EZ]
+        const content = json.content ?? '';
+        const emotes = [...content.matchAll(/\[emote:(\d+):([^\]]+)\]/g)].map(match => ({
+            type: SegmentType.EMOTE,
+            text: match[0],
+            url: `https://files.kick.com/emotes/${match[1]}/fullsize`,
+            alt: match[2],
+        }));
+        message.setMessage(content, emotes);
+
+        // Replies carry the parent in metadata; ids are used as-is like our own
+        if (json.type === 'reply') {
+            message.reply_to = this.prepareReplyTo(
+                json.metadata?.original_message?.id,
+                json.metadata?.original_sender?.username,
+                json.metadata?.original_message?.content
+            );
+        }
 
         if ((json.gift?.amount ?? 0) > 0) {
             message.amount = json.gift.amount / 100;
             message.currency = 'USD';
         }
 
-        // Emotes are supplied as bbcode: [emote:37221:EZ]
-        for (const match of message.message.matchAll(/\[emote:(\d+):([^\]]+)\]/g)) {
-            message.emojis.push([match[0], `https://files.kick.com/emotes/${match[1]}/fullsize`, match[2]]);
-        }
-
         // Handle badges if present (may be missing in some event types like KicksGifted)
         const badges = json.sender?.identity?.badges ?? [];
         badges.forEach((badge) => {
@@ -112,7 +129,7 @@ export class Kick extends Seed {
         message.avatar = json.sender?.profile_picture ?? message.avatar;
 
         // Use the message if provided, otherwise generate one from gift name
-        message.message = json.message || `Sent a ${json.gift?.name ?? 'Kick'}!`;
+        message.setMessage(json.message || `Sent a ${json.gift?.name ?? 'Kick'}!`);
 
         // KicksGifted has gift data with amount representing Kicks value
         if (json.gift) {
@@ -125,6 +142,137 @@ export class Kick extends Seed {
         return message;
     }
 
+    /**
+     * Prepare a PinnedMessageCreatedEvent: { message, duration, pinnedBy }
+     * The id includes when the pin arrived, so pinning the same message again is a new event.
+     * @param {object} json - Event data
+     * @param {number} pinnedAt - When the pin arrived
+     * @returns {StreamEvent|null} null when the pin carries no message
+     */
+    preparePinnedMessageEvent(json, pinnedAt = Date.now()) {
+        if (!json.message) return null;
+
+        const message = this.prepareChatMessage(json.message);
+        const event = this.prepareStreamEvent(StreamEventType.PIN, `${message.id}_${pinnedAt}`);
+        event.actor = json.pinnedBy ? { id: json.pinnedBy.id, username: json.pinnedBy.username } : null;
+        event.target = { id: json.message.sender?.id ?? null, username: message.username };
+        event.payload = {
+            message,
+            duration: parseInt(json.duration, 10) || null,
+        };
+        return event;
+    }
+
+    /**
+     * Prepare a UserBannedEvent: { id, user, banned_by, permanent, duration, expires_at }
+     * Without a ban id, the id is the banned user and the time the ban arrived.
+     * @param {object} json - Event data
+     * @param {Array<string>} removals - Message ids removed because of the ban
+     */
+    prepareUserBannedEvent(json, removals = []) {
+        const event = this.prepareStreamEvent(StreamEventType.BAN, json.id ?? `${json.user?.id ?? json.user?.username}_${Date.now()}`);
+        event.actor = json.banned_by ? { id: json.banned_by.id, username: json.banned_by.username } : null;
+        event.target = { id: json.user?.id ?? null, username: json.user?.username ?? 'Unknown' };
+        event.payload = {
+            permanent: json.permanent === true,
+            duration: json.duration ?? null, // Minutes
+            expires_at: json.expires_at ? Date.parse(json.expires_at) : null,
+            removals,
+        };
+        return event;
+    }
+
+    /**
+     * Prepare a GoalProgressUpdateEvent: { id, type, target_value, current_value, achieved_at, ... }
+     */
+    prepareGoalProgressEvent(json) {
+        const event = this.prepareStreamEvent(StreamEventType.GOAL, `${json.id}_${json.current_value}`);
+        event.payload = {
+            goal_id: json.id ?? null,
+            goal_type: json.type ?? null,
+            current: json.current_value ?? 0,
+            target: json.target_value ?? 0,
+            achieved: Boolean(json.achieved_at),
+            end_date: json.end_date ? Date.parse(json.end_date) : null,
+        };
+        return event;
+    }
+
+    /**
+     * Prepare a RewardRedeemedEvent: { reward_title, user_id, username, user_input, reward_background_color }
+     * Without a redemption id, the id is the user, the reward and the time the redemption arrived.
+     */
+    prepareRewardRedeemedEvent(json) {
+        const event = this.prepareStreamEvent(StreamEventType.REDEMPTION, json.id ?? `${json.user_id}_${json.reward_title}_${Date.now()}`);
+        event.actor = { id: json.user_id ?? null, username: json.username ?? 'Unknown' };
+        event.payload = {
+            reward_title: json.reward_title ?? '',
+            user_input: json.user_input ?? '',
+            color: json.reward_background_color ?? null,
+        };
+        return event;
+    }
+
+    /**
+     * Prepare a PollUpdateEvent: { poll: { title, options: [{ id, label, votes }], duration, remaining } }
+     * The id stays stable for the life of the poll so the backend can update it in place.
+     * @param {object} json - Event data
+     * @param {number} startedAt - When the poll's first update arrived
+     */
+    preparePollUpdateEvent(json, startedAt = Date.now()) {
+        const poll = json.poll ?? {};
+        const event = this.prepareStreamEvent(StreamEventType.POLL, `${this.channel}_${startedAt}`);
+        event.payload = {
+            title: poll.title ?? '',
+            options: (poll.options ?? []).map(option => ({
+                label: option.label ?? '',
+                votes: option.votes ?? 0,
+            })),
+            duration: poll.duration ?? null,
+            remaining: poll.remaining ?? null,
+        };
+        return event;
+    }
+
+    /**
+     * Prepare the UNPIN for a PinnedMessageDeletedEvent, which has no data
+     * The id follows the pin it ends, so a repeated event gets the same one.
+     * With no pin seen, it is the time the unpin arrived.
+     */
+    prepareUnpinEvent() {
+        const pin = this.pin ? `${this.pin.messageId}_${this.pin.at}` : `unknown_${Date.now()}`;
+        return this.prepareStreamEvent(StreamEventType.UNPIN, `${this.channel}_${pin}`);
+    }
+
+    /**
+     * Prepare the POLL_END for a PollDeleteEvent, which has no data
+     * The id follows the poll that ended, so a repeated event gets the same one.
+     * With no poll seen, it is the time the end arrived.
+     */
+    preparePollEndEvent() {
+        const poll = this.poll ? this.poll.startedAt : `unknown_${Date.now()}`;
+        return this.prepareStreamEvent(StreamEventType.POLL_END, `${this.channel}_${poll}`);
+    }
+
+    /**
+     * Follow the running poll from a PollUpdateEvent
+     * Updates carry no poll id. A poll is new after the last one ended, or
+     * when the title changes or the time left goes up.
+     * @param {object} poll - The update's poll
+     * @returns {object} The new value for this.poll
+     */
+    followPoll(poll = {}) {
+        const last = this.poll;
+        const remaining = poll.remaining ?? null;
+        const started = !last || last.ended || last.title !== poll.title || (remaining ?? 0) > (last.remaining ?? 0);
+        return {
+            title: poll.title,
+            remaining,
+            startedAt: started ? Date.now() : last.startedAt,
+            ended: false,
+        };
+    }
+
     onWebSocketMessage(ws, event) {
         const json = JSON.parse(event.data);
         if (json.event === undefined) {
@@ -191,6 +339,61 @@ export class Kick extends Seed {
                 }
                 break;
 
+            case 'App\\Events\\PinnedMessageCreatedEvent':
+                const pinData = JSON.parse(json.data);
+                const pinnedAt = Date.now();
+                const pinEvent = this.preparePinnedMessageEvent(pinData, pinnedAt);
+                if (!pinEvent) {
+                    this.log('Pinned message event without a message.', pinData);
+                    this.recordWebSocketUnhandled(ws, 'in', event.data, json.event);
+                    break;
+                }
+                this.pin = { messageId: pinData.message.id ?? null, at: pinnedAt };
+                this.sendStreamEvents([pinEvent]);
+                this.recordWebSocketHandled(ws, 'in', event.data, pinData, json.event);
+                break;
+
+            case 'App\\Events\\PinnedMessageDeletedEvent':
+                this.sendStreamEvents([this.prepareUnpinEvent()]);
+                this.recordWebSocketHandled(ws, 'in', event.data, {}, json.event);
+                break;
+
+            case 'App\\Events\\UserBannedEvent':
+                const banData = JSON.parse(json.data);
+                const bannedIds = this.takeUserMessages(banData.user?.id);
+                if (bannedIds.length > 0) {
+                    this.log('Deleting messages from banned user:', banData.user?.username, bannedIds);
+                    this.sendRemoveMessages(bannedIds);
+                }
+                this.sendStreamEvents([this.prepareUserBannedEvent(banData, bannedIds)]);
+                this.recordWebSocketHandled(ws, 'in', event.data, banData, json.event);
+                break;
+
+            case 'GoalProgressUpdateEvent':
+                const goalData = JSON.parse(json.data);
+                this.sendStreamEvents([this.prepareGoalProgressEvent(goalData)]);
+                this.recordWebSocketHandled(ws, 'in', event.data, goalData, json.event);
+                break;
+
+            case 'RewardRedeemedEvent':
+                const rewardData = JSON.parse(json.data);
+                this.sendStreamEvents([this.prepareRewardRedeemedEvent(rewardData)]);
+                this.recordWebSocketHandled(ws, 'in', event.data, rewardData, json.event);
+                break;
+
+            case 'App\\Events\\PollUpdateEvent':
+                const pollData = JSON.parse(json.data);
+                this.poll = this.followPoll(pollData.poll);
+                this.sendStreamEvents([this.preparePollUpdateEvent(pollData, this.poll.startedAt)]);
+                this.recordWebSocketHandled(ws, 'in', event.data, pollData, json.event);
+                break;
+
+            case 'App\\Events\\PollDeleteEvent':
+                this.sendStreamEvents([this.preparePollEndEvent()]);
+                if (this.poll) this.poll.ended = true;
+                this.recordWebSocketHandled(ws, 'in', event.data, {}, json.event);
+                break;
+
             case 'App\\Events\\LivestreamUpdated':
             case 'App\\Events\\UpdatedLiveStreamEvent':
                 let viewers = parseInt(json.data.viewers, 10);
@@ -205,14 +408,9 @@ export class Kick extends Seed {
             case 'App\\Events\\GiftsLeaderboardUpdated':
             case 'App\\Events\\LuckyUsersWhoGotGiftSubscriptionsEvent':
             case 'App\\Events\\ChannelSubscriptionEvent':
-            case 'App\\Events\\UserBannedEvent':
             case 'App\\Events\\UserUnbannedEvent':
-            case 'App\\Events\\PinnedMessageCreatedEvent':
-            case 'App\\Events\\PinnedMessageDeletedEvent':
             case 'App\\Events\\FollowersUpdated':
-            case 'GoalProgressUpdateEvent':
             case 'PointsUpdated':
-            case 'RewardRedeemedEvent':
             case 'pusher_internal:subscription_succeeded':
             case 'pusher:connection_established':
             case 'pusher:pong':
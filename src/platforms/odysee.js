@@ -10,7 +10,7 @@
  * - Capture fiat superchats
  */
 
-import { Seed, ChatMessage, uuidv5, EventStatus } from '../core/index.js';
+import { Seed, ChatMessage, SegmentType, uuidv5, EventStatus } from '../core/index.js';
 
 export class Odysee extends Seed {
     static hostname = 'odysee.com';
@@ -45,6 +45,10 @@ export class Odysee extends Seed {
     }
 
     prepareChatMessages(json) {
+        // Emoji buttons are titled with the code used in comment text (e.g. :alien:)
+        const emotes = Object.entries(this.emojis ?? {})
+            .map(([code, url]) => ({ type: SegmentType.EMOTE, text: code, url, alt: code }));
+
         return Promise.all(json.map(async (item) => {
             const message = new ChatMessage(
                 uuidv5(item.comment_id, this.namespace),
@@ -53,7 +57,7 @@ export class Odysee extends Seed {
             );
             message.avatar = 'https://thumbnails.odycdn.com/optimize/s:160:160/quality:85/plain/https://spee.ch/spaceman-png:2.png';
             message.username = item.channel_name;
-            message.message = item.comment;
+            message.setMessage(item.comment, emotes);
             message.sent_at = ((item.timestamp - 1) * 1000);
 
             if (item.is_fiat === true) {
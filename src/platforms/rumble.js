@@ -11,7 +11,7 @@
  * - Capture rants (paid messages)
  */
 
-import { Seed, ChatMessage, uuidv5, EventStatus } from '../core/index.js';
+import { Seed, ChatMessage, SegmentType, uuidv5, EventStatus } from '../core/index.js';
 
 export class Rumble extends Seed {
     static hostname = 'rumble.com';
@@ -66,7 +66,8 @@ export class Rumble extends Seed {
         });
 
         this.prepareChatMessages(messages, users).then((data) => {
-            this.sendChatMessages(data);
+            // Messages from users missing in the payload come back undefined
+            this.sendChatMessages(data.filter(message => message));
         });
     }
 
@@ -89,17 +90,18 @@ export class Rumble extends Seed {
                 }
 
                 message.sent_at = Date.parse(messageData.time);
-                message.message = messageData.text;
 
                 // Replace :r+emote: with image URLs
-                for (const match of message.message.matchAll(/\:([a-zA-Z0-9_\.\+\-]+)\:/g)) {
+                const emotes = [];
+                for (const match of messageData.text.matchAll(/\:([a-zA-Z0-9_\.\+\-]+)\:/g)) {
                     const id = match[1];
                     if (this.emotes[id] !== undefined) {
-                        message.emojis.push([match[0], this.emotes[id], `:${id}:`]);
+                        emotes.push({ type: SegmentType.EMOTE, text: match[0], url: this.emotes[id], alt: `:${id}:` });
                     } else {
                         this.log(`no emote for ${id}`);
                     }
                 }
+                message.setMessage(messageData.text, emotes);
 
                 message.username = user.username;
                 if (user['image.1'] !== undefined) {
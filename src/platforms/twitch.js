@@ -6,12 +6,45 @@
  * Format: @metadata :user!user@user.tmi.twitch.tv COMMAND #channel :message
  */
 
-import { Seed, ChatMessage, uuidv5, EventStatus } from '../core/index.js';
+import { Seed, ChatMessage, StreamEventType, SegmentType, parseSegments, DEFAULTS, uuidv5, EventStatus } from '../core/index.js';
 
 export class Twitch extends Seed {
     static hostname = 'twitch.tv';
     static namespace = '4a342b79-e302-403a-99be-669b5f27b152';
 
+    // Approximate USD value of one month at each sub plan (msg-param-sub-plan)
+    static subPlanValues = {
+        'Prime': 5,
+        '1000': 5,
+        '2000': 10,
+        '3000': 25,
+    };
+
+    // Global cheermote prefixes; a cheer token is a prefix immediately followed by a bit count
+    static cheermotePrefixes = [
+        'Cheer', 'DoodleCheer', 'BibleThump', 'cheerwhal', 'Corgo', 'Scoops', 'uni', 'ShowLove',
+        'Party', 'SeemsGood', 'Pride', 'Kappa', 'FrankerZ', 'HeyGuys', 'DansGame', 'EleGiggle',
+        'TriHard', 'Kreygasm', '4Head', 'SwiftRage', 'NotLikeThis', 'FailFish', 'VoHiYo', 'PJSalt',
+        'MrDestructoid', 'bday', 'RIPCheer', 'Shamrock', 'BitBoss', 'Streamlabs', 'Muxy',
+        'HolidayCheer', 'Goal', 'Anon', 'Charity',
+    ];
+
+    // Minimum bit count for each cheermote tier image, highest first
+    static cheermoteTiers = [100000, 10000, 5000, 1000, 100, 1];
+
+    // Upper bound on avatars remembered per channel
+    static maxCachedAvatars = 5000;
+
+    // Give up on a third-party emote provider after this long, and wait this long before trying again
+    static emoteFetchTimeout = 10000;
+    static emoteRetryDelay = 60000;
+
+    // Map of channel -> { roomId, emotesRetryAt, avatars: Map(user-id -> url), emotes: Map(name -> url) }
+    channelCaches = new Map();
+
+    // USD per Bit; null forwards cheers with currency 'BITS'
+    bitsUsdRate = DEFAULTS.bitsUsdRate;
+
     constructor() {
         const is_popout = window.location.href.indexOf('/popout/') >= 0;
         const channel = window.location.href.split('/').filter(x => x).at(is_popout ? 3 : 2);
@@ -24,6 +57,14 @@ export class Twitch extends Seed {
         super(Twitch.namespace, 'Twitch', channel);
     }
 
+    /**
+     * Pick up the stored Bits rate, and any new one from the popup or userscript menu
+     */
+    onConfigChange(config, changed) {
+        this.bitsUsdRate = config.bitsUsdRate ?? DEFAULTS.bitsUsdRate;
+        super.onConfigChange(config, changed);
+    }
+
     /**
      * Parse IRC message tags (metadata) from Twitch format
      * @param {string} tagsStr - Tags string without leading @
@@ -189,6 +230,48 @@ export class Twitch extends Seed {
         return emotes;
     }
 
+    /**
+     * Find cheermote tokens (e.g. Cheer100) in a message
+     * @param {string} message - Message text
+     * @returns {Array} Array of cheermote segments
+     */
+    parseCheermotes(message) {
+        if (!message) return [];
+
+        const prefixes = new Map(Twitch.cheermotePrefixes.map(p => [p.toLowerCase(), p]));
+        const cheermotes = [];
+
+        for (const token of message.split(/\s+/)) {
+            const match = token.match(/^([A-Za-z0-9]*?[A-Za-z])(\d+)$/);
+            if (!match) continue;
+
+            const prefix = prefixes.get(match[1].toLowerCase());
+            const bits = parseInt(match[2], 10);
+            if (!prefix || !(bits > 0)) continue;
+
+            const tier = Twitch.cheermoteTiers.find(t => bits >= t);
+            const url = `https://d3aqoihi2n8ty8.cloudfront.net/actions/${prefix.toLowerCase()}/dark/animated/${tier}/1.gif`;
+            cheermotes.push({ type: SegmentType.CHEERMOTE, text: token, url, prefix, bits });
+        }
+
+        return cheermotes;
+    }
+
+    /**
+     * Set donation amount and currency for a cheer
+     * @param {ChatMessage} message - Message to update
+     * @param {number} bits - Bits cheered
+     */
+    applyBits(message, bits) {
+        if (this.bitsUsdRate) {
+            message.amount = Math.round(bits * this.bitsUsdRate * 100) / 100;
+            message.currency = 'USD';
+        } else {
+            message.amount = bits;
+            message.currency = 'BITS';
+        }
+    }
+
     /**
      * Convert parsed IRC PRIVMSG to ChatMessage
      * @param {Object} parsed - Parsed IRC message
@@ -208,9 +291,6 @@ export class Twitch extends Seed {
         }
 
         const message = new ChatMessage(id, this.platform, this.channel);
-
-        // Set message content
-        message.message = messageText;
         message.username = username;
 
         // Parse timestamp
@@ -218,25 +298,390 @@ export class Twitch extends Seed {
         message.sent_at = tmiSentTs ? parseInt(tmiSentTs, 10) : Date.now();
 
         // Parse badges
+        this.applyBadges(message, tags);
+
+        // Cheers carry the total in the bits tag; cheermotes in the text become segments
+        const emotes = this.prepareEmoteSegments(tags, messageText);
+        const bits = parseInt(tags['bits'], 10);
+        if (bits > 0) {
+            this.applyBits(message, bits);
+            emotes.unshift(...this.parseCheermotes(messageText));
+        }
+        message.setMessage(messageText, emotes);
+
+        this.applyChannelCache(message, tags);
+
+        // Replies name the parent in reply-parent-* tags; ids are used as-is like our own
+        message.reply_to = this.prepareReplyTo(
+            tags['reply-parent-msg-id'],
+            tags['reply-parent-display-name'] || tags['reply-parent-user-login'],
+            tags['reply-parent-msg-body']
+        );
+
+        // Store extra data (Twitch doesn't include avatar in IRC, so leave default)
+        message.extra = {
+            userId: tags['user-id'],
+            color: tags['color'] || '',
+            badges: tags['badges'] || ''
+        };
+
+        return message;
+    }
+
+    /**
+     * Apply badge flags from IRC tags to a ChatMessage
+     * @param {ChatMessage} message - Message to update
+     * @param {Object} tags - Parsed IRC tags
+     */
+    applyBadges(message, tags) {
         const badges = tags['badges'] || '';
         message.is_owner = this.hasBadge(badges, 'broadcaster');
         message.is_mod = tags['mod'] === '1' || this.hasBadge(badges, 'moderator');
         message.is_sub = tags['subscriber'] === '1' || this.hasBadge(badges, 'subscriber');
         message.is_verified = this.hasBadge(badges, 'partner');
+    }
 
-        // Parse emotes
-        message.emojis = this.parseEmotes(tags['emotes'], messageText);
+    /**
+     * Convert a subscription USERNOTICE (sub, resub, subgift, submysterygift) to a paid ChatMessage
+     * Individual subgift notices that belong to a mystery gift carry msg-param-community-gift-id
+     * and are skipped, as the submysterygift notice already accounts for their value.
+     * @param {Object} parsed - Parsed IRC message
+     * @returns {ChatMessage|null}
+     */
+    prepareSubscriptionMessage(parsed) {
+        const tags = parsed.tags || parsed.meta || {};
+        const msgId = tags['msg-id'];
+        const id = tags['id'];
+
+        if (!id) {
+            this.warn('USERNOTICE missing id:', parsed.raw);
+            return null;
+        }
+
+        if (msgId === 'subgift' && tags['msg-param-community-gift-id']) {
+            return null;
+        }
+
+        const plan = tags['msg-param-sub-plan'] || '1000';
+        const monthValue = Twitch.subPlanValues[plan] ?? Twitch.subPlanValues['1000'];
+
+        let count;
+        switch (msgId) {
+            case 'sub':
+            case 'resub':
+                count = parseInt(tags['msg-param-multimonth-duration'], 10) || 1;
+                break;
+            case 'subgift':
+                count = parseInt(tags['msg-param-gift-months'], 10) || 1;
+                break;
+            case 'submysterygift':
+                count = parseInt(tags['msg-param-mass-gift-count'], 10) || 1;
+                break;
+            default:
+                return null;
+        }
+
+        const message = new ChatMessage(
+            uuidv5(id, this.namespace),
+            this.platform,
+            this.channel
+        );
+
+        message.username = tags['display-name'] || tags['login'] || 'Unknown';
+
+        const tmiSentTs = tags['tmi-sent-ts'];
+        message.sent_at = tmiSentTs ? parseInt(tmiSentTs, 10) : Date.now();
+
+        this.applyBadges(message, tags);
+
+        // Twitch supplies a human-readable summary; resubs may also carry a user message
+        const userText = parsed.trailing || '';
+        const systemMsg = tags['system-msg'] || this.describeSubscription(msgId, message.username, tags);
+        message.setSegments(userText
+            ? [...parseSegments(`${systemMsg} `), ...parseSegments(userText, this.prepareEmoteSegments(tags, userText))]
+            : parseSegments(systemMsg));
+        this.applyChannelCache(message, tags);
+
+        message.amount = monthValue * count;
+        message.currency = 'USD';
 
-        // Store extra data (Twitch doesn't include avatar in IRC, so leave default)
         message.extra = {
             userId: tags['user-id'],
             color: tags['color'] || '',
-            badges: badges
+            badges: tags['badges'] || '',
+            subType: msgId,
+            subPlan: plan,
+            months: parseInt(tags['msg-param-cumulative-months'], 10) || null,
+            giftCount: msgId === 'submysterygift' ? count : null,
+            recipient: tags['msg-param-recipient-display-name'] || tags['msg-param-recipient-user-name'] || null,
         };
 
         return message;
     }
 
+    /**
+     * Build the StreamEvent matching a subscription ChatMessage
+     * @param {Object} parsed - Parsed IRC message
+     * @param {ChatMessage} message - Result of prepareSubscriptionMessage
+     * @returns {StreamEvent}
+     */
+    prepareSubscriptionEvent(parsed, message) {
+        const tags = parsed.tags || parsed.meta || {};
+        const gifted = message.extra.subType === 'subgift' || message.extra.subType === 'submysterygift';
+
+        const event = this.prepareStreamEvent(
+            gifted ? StreamEventType.GIFT_SUBSCRIPTION : StreamEventType.SUBSCRIPTION,
+            tags['id']
+        );
+        event.sent_at = message.sent_at;
+        event.actor = { id: tags['user-id'] ?? null, username: message.username, avatar: message.avatar };
+        if (message.extra.recipient) {
+            event.target = { id: tags['msg-param-recipient-id'] ?? null, username: message.extra.recipient };
+        }
+        event.amount = message.amount;
+        event.currency = message.currency;
+        event.payload = {
+            sub_type: message.extra.subType,
+            plan: message.extra.subPlan,
+            months: message.extra.months,
+            count: message.extra.giftCount,
+            message: parsed.trailing || '',
+        };
+        return event;
+    }
+
+    /**
+     * Convert a raid USERNOTICE to a StreamEvent
+     * @param {Object} parsed - Parsed IRC message
+     * @returns {StreamEvent|null}
+     */
+    prepareRaidEvent(parsed) {
+        const tags = parsed.tags || parsed.meta || {};
+        if (!tags['id']) {
+            this.warn('USERNOTICE missing id:', parsed.raw);
+            return null;
+        }
+
+        const event = this.prepareStreamEvent(StreamEventType.RAID, tags['id']);
+        const tmiSentTs = tags['tmi-sent-ts'];
+        event.sent_at = tmiSentTs ? parseInt(tmiSentTs, 10) : Date.now();
+        event.actor = {
+            id: tags['user-id'] ?? null,
+            username: tags['msg-param-displayName'] || tags['display-name'] || tags['login'] || 'Unknown',
+            avatar: tags['msg-param-profileImageURL'] || null,
+        };
+        event.payload = {
+            viewers: parseInt(tags['msg-param-viewerCount'], 10) || 0,
+        };
+        return event;
+    }
+
+    /**
+     * Build a fallback description when a USERNOTICE has no system-msg
+     * @param {string} msgId - USERNOTICE msg-id
+     * @param {string} username - Display name of the subscriber or gifter
+     * @param {Object} tags - Parsed IRC tags
+     * @returns {string}
+     */
+    describeSubscription(msgId, username, tags) {
+        switch (msgId) {
+            case 'resub':
+                return `${username} subscribed for ${tags['msg-param-cumulative-months'] || 'several'} months!`;
+            case 'subgift':
+                return `${username} gifted a subscription to ${tags['msg-param-recipient-display-name'] || 'someone'}!`;
+            case 'submysterygift':
+                return `${username} gifted ${tags['msg-param-mass-gift-count'] || 'some'} subscriptions!`;
+            default:
+                return `${username} subscribed!`;
+        }
+    }
+
+    /**
+     * Get the avatar and third-party emote cache for a channel, creating it if needed
+     * @param {string} channel - Channel login
+     * @returns {{roomId: string|null, avatars: Map, emotes: Map}}
+     */
+    getChannelCache(channel = this.channel) {
+        let cache = this.channelCaches.get(channel);
+        if (!cache) {
+            cache = { roomId: null, emotesRetryAt: 0, avatars: new Map(), emotes: new Map() };
+            this.channelCaches.set(channel, cache);
+        }
+        return cache;
+    }
+
+    /**
+     * Collect the Twitch and cached third-party emotes used in a message
+     * @param {Object} tags - Parsed IRC tags
+     * @param {string} text - Text the user typed
+     * @returns {Array} Array of emote segments
+     */
+    prepareEmoteSegments(tags, text) {
+        const emotes = this.parseEmotes(tags['emotes'], text)
+            .map(([name, url]) => ({ type: SegmentType.EMOTE, text: name, url, alt: name }));
+
+        const cache = this.channelCaches?.get(this.channel);
+        if (!text || !cache || cache.emotes.size === 0) return emotes;
+
+        for (const word of new Set(text.split(/\s+/))) {
+            const url = cache.emotes.get(word);
+            if (url && !emotes.some(e => e.text === word)) {
+                emotes.push({ type: SegmentType.EMOTE, text: word, url, alt: word });
+            }
+        }
+        return emotes;
+    }
+
+    /**
+     * Fill in a cached avatar for the sender
+     * @param {ChatMessage} message - Message to update
+     * @param {Object} tags - Parsed IRC tags
+     */
+    applyChannelCache(message, tags) {
+        const avatar = this.channelCaches?.get(this.channel)?.avatars.get(tags['user-id']);
+        if (avatar) {
+            message.avatar = avatar;
+        }
+    }
+
+    /**
+     * Remember user avatars found anywhere in a GQL response
+     * GQL User objects carry both an id and a profileImageURL.
+     * @param {*} json - Parsed GQL response (object or batched array)
+     * @returns {number} Number of avatars found
+     */
+    cacheAvatars(json) {
+        const avatars = this.getChannelCache().avatars;
+        let count = 0;
+
+        const stack = [json];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!node || typeof node !== 'object') continue;
+
+            if (typeof node.id === 'string' && typeof node.profileImageURL === 'string') {
+                avatars.delete(node.id);
+                avatars.set(node.id, node.profileImageURL);
+                count++;
+            }
+
+            stack.push(...Object.values(node));
+        }
+
+        while (avatars.size > Twitch.maxCachedAvatars) {
+            avatars.delete(avatars.keys().next().value);
+        }
+
+        return count;
+    }
+
+    /**
+     * Fetch JSON from a third-party API
+     * Kept separate so tests can substitute a local stub.
+     * @param {string} url - Endpoint URL
+     * @returns {Promise<*>} Rejects after emoteFetchTimeout
+     */
+    fetchJson(url) {
+        return fetch(url, { signal: AbortSignal.timeout(Twitch.emoteFetchTimeout) }).then(response => response.json());
+    }
+
+    /**
+     * Load global and channel emotes from BTTV, FFZ and 7TV into the channel cache
+     * Channel emotes are applied last so they override globals with the same name.
+     * If a provider fails, the room is loaded again on a message after emoteRetryDelay.
+     * @param {string} roomId - Twitch channel user id (room-id tag)
+     * @param {string} channel - Channel login
+     * @returns {Promise<void>}
+     */
+    async loadThirdPartyEmotes(roomId, channel = this.channel) {
+        const cache = this.getChannelCache(channel);
+        if (!roomId || cache.roomId === roomId || Date.now() < cache.emotesRetryAt) return;
+        // Claimed up front so messages arriving meanwhile don't load it again
+        cache.roomId = roomId;
+
+        const sources = [
+            ['BTTV global', 'https://api.betterttv.net/3/cached/emotes/global', this.parseBttvEmotes],
+            ['FFZ global', 'https://api.frankerfacez.com/v1/set/global', this.parseFfzEmotes],
+            ['7TV global', 'https://7tv.io/v3/emote-sets/global', this.parseSevenTvEmotes],
+            ['BTTV channel', `https://api.betterttv.net/3/cached/users/twitch/${roomId}`, this.parseBttvEmotes],
+            ['FFZ channel', `https://api.frankerfacez.com/v1/room/id/${roomId}`, this.parseFfzEmotes],
+            ['7TV channel', `https://7tv.io/v3/users/twitch/${roomId}`, this.parseSevenTvEmotes],
+        ];
+
+        let failed = false;
+        const results = await Promise.all(sources.map(async ([name, url, parse]) => {
+            try {
+                return parse.call(this, await this.fetchJson(url));
+            } catch (e) {
+                this.warn(`Failed to load ${name} emotes.`, e);
+                failed = true;
+                return [];
+            }
+        }));
+
+        if (failed && cache.roomId === roomId) {
+            cache.roomId = null;
+            cache.emotesRetryAt = Date.now() + Twitch.emoteRetryDelay;
+        }
+
+        for (const emotes of results) {
+            for (const [name, url] of emotes) {
+                cache.emotes.set(name, url);
+            }
+        }
+
+        this.log(`Loaded ${cache.emotes.size} third-party emotes for ${channel}.`);
+    }
+
+    /**
+     * Parse a BTTV global (array) or channel ({channelEmotes, sharedEmotes}) response
+     * @param {*} json - BTTV API response
+     * @returns {Array} Array of [name, url] pairs
+     */
+    parseBttvEmotes(json) {
+        const emotes = Array.isArray(json)
+            ? json
+            : [...(json?.channelEmotes ?? []), ...(json?.sharedEmotes ?? [])];
+
+        return emotes
+            .filter(e => e?.id && e?.code)
+            .map(e => [e.code, `https://cdn.betterttv.net/emote/${e.id}/1x`]);
+    }
+
+    /**
+     * Parse an FFZ set or room response ({sets: {id: {emoticons}}}, optionally default_sets)
+     * @param {*} json - FFZ API response
+     * @returns {Array} Array of [name, url] pairs
+     */
+    parseFfzEmotes(json) {
+        const sets = json?.sets ?? {};
+        const setIds = Array.isArray(json?.default_sets) ? json.default_sets.map(String) : Object.keys(sets);
+
+        const emotes = [];
+        for (const setId of setIds) {
+            for (const emote of sets[setId]?.emoticons ?? []) {
+                let url = emote?.urls?.['1'];
+                if (!emote?.name || !url) continue;
+                if (url.startsWith('//')) url = `https:${url}`;
+                emotes.push([emote.name, url]);
+            }
+        }
+        return emotes;
+    }
+
+    /**
+     * Parse a 7TV emote set ({emotes}) or user ({emote_set: {emotes}}) response
+     * @param {*} json - 7TV API response
+     * @returns {Array} Array of [name, url] pairs
+     */
+    parseSevenTvEmotes(json) {
+        const emotes = json?.emote_set?.emotes ?? json?.emotes ?? [];
+
+        return emotes
+            .filter(e => e?.name && e?.data?.host?.url)
+            .map(e => [e.name, `https:${e.data.host.url}/1x.webp`]);
+    }
+
     /**
      * Handle incoming WebSocket messages
      * @param {WebSocket} ws - WebSocket instance
@@ -372,6 +817,7 @@ export class Twitch extends Seed {
 
                 const message = this.prepareChatMessage(parsed);
                 if (message) {
+                    this.trackUserMessage(parsed.tags['user-id'], message.id);
                     this.sendChatMessages([message]);
                     this.recordWebSocketHandled(ws, 'in', line, 'PRIVMSG');
                 } else {
@@ -384,10 +830,29 @@ export class Twitch extends Seed {
                 // USERNOTICE includes subs, resubs, gift subs, raids, etc.
                 const msgId = parsed.tags['msg-id'];
                 if (msgId === 'sub' || msgId === 'resub' || msgId === 'subgift' || msgId === 'submysterygift') {
-                    // Subscription event - could emit as a special message
-                    this.recordWebSocketIgnored(ws, 'in', line, 'USERNOTICE_SUB', `Subscription: ${msgId}`);
+                    this.updateChannelFromParams(parsed.params);
+
+                    const message = this.prepareSubscriptionMessage(parsed);
+                    if (message) {
+                        this.log('Sending subscription message.', message);
+                        // Forwarded as a chat line, so a CLEARCHAT for the user removes it too
+                        this.trackUserMessage(parsed.tags['user-id'], message.id);
+                        this.sendChatMessages([message]);
+                        this.sendStreamEvents([this.prepareSubscriptionEvent(parsed, message)]);
+                        this.recordWebSocketHandled(ws, 'in', line, message, 'USERNOTICE_SUB');
+                    } else {
+                        this.recordWebSocketIgnored(ws, 'in', line, 'USERNOTICE_SUB', `Subscription not forwarded: ${msgId}`);
+                    }
                 } else if (msgId === 'raid') {
-                    this.recordWebSocketIgnored(ws, 'in', line, 'USERNOTICE_RAID', 'Raid notification');
+                    this.updateChannelFromParams(parsed.params);
+
+                    const event = this.prepareRaidEvent(parsed);
+                    if (event) {
+                        this.sendStreamEvents([event]);
+                        this.recordWebSocketHandled(ws, 'in', line, event, 'USERNOTICE_RAID');
+                    } else {
+                        this.recordWebSocketIgnored(ws, 'in', line, 'USERNOTICE_RAID', 'Failed to parse');
+                    }
                 } else {
                     this.recordWebSocketIgnored(ws, 'in', line, 'USERNOTICE', `msg-id: ${msgId}`);
                 }
@@ -395,20 +860,41 @@ export class Twitch extends Seed {
             }
 
             case 'CLEARCHAT': {
-                // User timeout/ban or chat clear
-                this.recordWebSocketIgnored(ws, 'in', line, 'CLEARCHAT', 'Moderation action');
+                // User timeout/ban, or the whole chat cleared when no user is targeted
+                const targetUserId = parsed.tags['target-user-id'];
+                const ids = targetUserId ? this.takeUserMessages(targetUserId) : this.takeAllMessages();
+                if (ids.length > 0) {
+                    this.sendRemoveMessages(ids);
+                    this.recordWebSocketHandled(ws, 'in', line, { removals: ids }, 'CLEARCHAT');
+                } else {
+                    this.recordWebSocketIgnored(ws, 'in', line, 'CLEARCHAT', 'No tracked messages to remove');
+                }
                 break;
             }
 
             case 'CLEARMSG': {
                 // Single message deletion
-                this.recordWebSocketIgnored(ws, 'in', line, 'CLEARMSG', 'Message deleted');
+                const targetMsgId = parsed.tags['target-msg-id'];
+                if (targetMsgId) {
+                    this.sendRemoveMessages([targetMsgId]);
+                    this.recordWebSocketHandled(ws, 'in', line, { removals: [targetMsgId] }, 'CLEARMSG');
+                } else {
+                    this.recordWebSocketIgnored(ws, 'in', line, 'CLEARMSG', 'Missing target-msg-id');
+                }
                 break;
             }
 
             case 'ROOMSTATE': {
-                // Room settings changed
-                this.recordWebSocketIgnored(ws, 'in', line, 'ROOMSTATE', 'Room state update');
+                // Sent on join with the channel's room-id, which third-party emote APIs are keyed by
+                this.updateChannelFromParams(parsed.params);
+
+                const roomId = parsed.tags['room-id'];
+                if (roomId && this.getChannelCache().roomId !== roomId) {
+                    this.loadThirdPartyEmotes(roomId);
+                    this.recordWebSocketHandled(ws, 'in', line, { roomId }, 'ROOMSTATE');
+                } else {
+                    this.recordWebSocketIgnored(ws, 'in', line, 'ROOMSTATE', 'Room state update');
+                }
                 break;
             }
 
@@ -477,13 +963,34 @@ export class Twitch extends Seed {
     }
 
     /**
-     * Handle fetch responses - ignore Twitch API/GQL calls
+     * Handle fetch responses - harvest user avatars from GQL, ignore everything else
+     * Chat comes through IRC WebSocket, viewer counts through Hermes
      * @param {Response} response - Fetch response
      */
     async onFetchResponse(response) {
-        // Twitch uses GQL for most API calls - we don't need any of them
-        // Chat comes through IRC WebSocket, viewer counts through Hermes
-        this.recordFetchIgnored(response.url, 'GET', response.status, 'Twitch API/GQL');
+        if (!response.url.includes('gql.twitch.tv')) {
+            this.recordFetchIgnored(response.url, 'GET', response.status, 'Not GQL');
+            return;
+        }
+
+        try {
+            const json = await response.json();
+            const avatarCount = this.cacheAvatars(json);
+
+            if (avatarCount > 0) {
+                this.recordFetchHandled(response.url, 'POST', response.status, json, { avatarCount });
+            } else {
+                this.recordFetchIgnored(response.url, 'POST', response.status, 'No user avatars');
+            }
+        } catch (error) {
+            this.warn('Failed to process GQL response:', error);
+            this.recorder.record('fetch_response', {
+                url: response.url,
+                method: 'POST',
+                statusCode: response.status,
+                payload: error.message
+            }, EventStatus.ERROR, null, error.message);
+        }
     }
 }
 
@@ -24,7 +24,7 @@ export class VK extends Seed {
             const message = new ChatMessage(uuidv5(pair.body.uuid, this.namespace), this.platform, this.channel);
 
             message.username = pair.sender.username;
-            message.message = pair.body.body;
+            message.setMessage(pair.body.body);
             message.sent_at = pair.body.timestamp;
             message.avatar = pair.sender.profile_image_url ?? 'https://abs.twimg.com/sticky/default_profile_images/default_profile_400x400.png';
             message.is_verified = pair.sender.verified ?? false;
@@ -33,7 +33,7 @@ export class X extends Seed {
             const message = new ChatMessage(pair.body.uuid, this.platform, this.channel);
 
             message.username = pair.sender.username;
-            message.message = pair.body.body;
+            message.setMessage(pair.body.body);
 
             // X sometimes sends messages with future timestamps
             if (pair.body.timestamp <= new Date()) {
@@ -40,8 +40,8 @@ export class XMRChat extends Seed {
             this.channel
         );
         message.username = tip.name;
-        message.message = tip.message;
-        message.sent_at = Math.floor((new Date(tip.createdAt)).getTime() / 1000);
+        message.setMessage(tip.message);
+        message.sent_at = Date.parse(tip.createdAt);
         message.amount = this.xmrPrice * (parseFloat(tip.payment.amount) / 1e12);
         message.currency = 'USD';
 
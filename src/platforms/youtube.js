@@ -11,7 +11,7 @@
  * - Capture membership gifts
  */
 
-import { Seed, ChatMessage, uuidv5, WINDOW, EventStatus } from '../core/index.js';
+import { Seed, ChatMessage, SegmentType, parseSegments, uuidv5, WINDOW, EventStatus } from '../core/index.js';
 
 export class YouTube extends Seed {
     static hostname = 'youtube.com';
@@ -108,6 +108,52 @@ export class YouTube extends Seed {
         this.log('Injected external message:', username, text);
     }
 
+    /**
+     * Convert YouTube message runs to segments
+     * @param {Array} runs - Runs from a renderer's message
+     * @returns {Array} Array of segments
+     */
+    prepareSegments(runs) {
+        const segments = [];
+        runs.forEach((run) => {
+            if (run.text !== undefined) {
+                // Links arrive as their own run with the target in a navigation endpoint
+                const url = run.navigationEndpoint?.urlEndpoint?.url;
+                if (url) {
+                    segments.push({ type: SegmentType.LINK, text: run.text, url });
+                } else {
+                    segments.push(...parseSegments(run.text));
+                }
+            } else if (run.emoji !== undefined) {
+                const emojiUrl = run.emoji.image?.thumbnails?.at(-1)?.url || '';
+                segments.push({
+                    type: SegmentType.EMOTE,
+                    text: `:${run.emoji.emojiId}:`,
+                    url: emojiUrl,
+                    alt: `${run.emoji.emojiId}`,
+                });
+            } else {
+                this.log('[CHUCK::YouTube] Unknown run.', run);
+            }
+        });
+        return segments;
+    }
+
+    /**
+     * Legacy message text of YouTube message runs
+     * Emoji runs have always been followed by a space here, which segments leave
+     * out; the text keeps it so consumers matching on it don't break.
+     * @param {Array} runs - Runs from a renderer's message
+     * @returns {string}
+     */
+    prepareLegacyText(runs) {
+        return runs.map((run) => {
+            if (run.text !== undefined) return run.text;
+            if (run.emoji !== undefined) return `:${run.emoji.emojiId}: `;
+            return '';
+        }).join('');
+    }
+
     prepareChatMessages(actions) {
         function hasBadge(badges, iconType) {
             return badges?.some(badge =>
@@ -200,17 +246,18 @@ export class YouTube extends Seed {
                 }
 
                 if (renderer.message && renderer.message.runs) {
-                    renderer.message.runs.forEach((run) => {
-                        if (run.text !== undefined) {
-                            message.message += run.text;
-                        } else if (run.emoji !== undefined) {
-                            const emojiUrl = run.emoji.image?.thumbnails?.at(-1)?.url || '';
-                            message.message += `:${run.emoji.emojiId}: `;
-                            message.emojis.push([`:${run.emoji.emojiId}:`, emojiUrl, `${run.emoji.emojiId}`]);
-                        } else {
-                            this.log('[CHUCK::YouTube] Unknown run.', run);
-                        }
-                    });
+                    message.setSegments(this.prepareSegments(renderer.message.runs));
+                    message.message = this.prepareLegacyText(renderer.message.runs);
+                }
+
+                // Replies embed a summary of the parent in the same renderer shape
+                const parent = renderer.replyParentMessage?.liveChatTextMessageRenderer;
+                if (parent?.id) {
+                    message.reply_to = this.prepareReplyTo(
+                        uuidv5(parent.id, this.namespace),
+                        parent.authorName?.simpleText,
+                        this.prepareSegments(parent.message?.runs ?? []).map(segment => segment.text).join('')
+                    );
                 }
 
                 return message;
@@ -224,7 +271,7 @@ export class YouTube extends Seed {
                 message.username = giftingEvent.authorName.simpleText;
                 message.avatar = giftingEvent.authorPhoto.thumbnails.at(-1).url;
                 message.sent_at = parseInt(giftingEvent.timestampUsec / 1000);
-                message.message = `${giftingEvent.authorName.simpleText} gifted ${giftingEvent.numGiftedMembers} memberships!`;
+                message.setMessage(`${giftingEvent.authorName.simpleText} gifted ${giftingEvent.numGiftedMembers} memberships!`);
                 message.currency = 'USD';
                 message.amount = 5.00;
 
@@ -239,7 +286,7 @@ export class YouTube extends Seed {
                 message.username = giftReceivedEvent.authorName.simpleText;
                 message.avatar = giftReceivedEvent.authorPhoto.thumbnails.at(-1).url;
                 message.sent_at = parseInt(giftReceivedEvent.timestampUsec / 1000);
-                message.message = `${giftReceivedEvent.authorName.simpleText} received a gifted membership!`;
+                message.setMessage(`${giftReceivedEvent.authorName.simpleText} received a gifted membership!`);
                 message.currency = 'USD';
                 message.amount = giftReceivedEvent.numGiftedMembers * 5.00;
 
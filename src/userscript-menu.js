@@ -0,0 +1,236 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Userscript menu and settings dialog
+ *
+ * The extension has its popup for this. In the userscript, settings, recording
+ * and connection status live in the userscript manager's menu, and settings are
+ * edited in a dialog drawn into the page.
+ */
+
+import { Config, DEFAULTS } from './core/index.js';
+
+// How often the open dialog refreshes its status
+const STATUS_REFRESH_MS = 1000;
+
+const STATE_LABELS = {
+    connecting: 'Connecting',
+    authenticating: 'Authenticating',
+    open: 'Connected',
+    backing_off: 'Reconnecting',
+    failed: 'Gave up',
+    auth_failed: 'Authentication failed',
+    stopped: 'Platform disabled',
+};
+
+const DIALOG_HTML = `
+<style>
+    :host { all: initial; }
+    .backdrop {
+        position: fixed; inset: 0; z-index: 2147483647;
+        display: flex; align-items: center; justify-content: center;
+        background: rgba(0, 0, 0, 0.4);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px; color: #333;
+    }
+    .dialog { width: 320px; padding: 16px; background: #fff; border-radius: 6px; box-shadow: 0 4px 24px rgba(0, 0, 0, 0.3); }
+    h1 { margin: 0 0 12px; font-size: 18px; }
+    h2 { margin: 12px 0 6px; font-size: 12px; color: #666; text-transform: uppercase; letter-spacing: 0.5px; }
+    label { display: block; margin-bottom: 4px; font-size: 13px; }
+    input[type="text"], input[type="password"], select { box-sizing: border-box; width: 100%; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; }
+    .platforms { display: grid; grid-template-columns: 1fr 1fr; gap: 4px; }
+    .status { padding: 8px; background: #f5f5f5; border-radius: 4px; font-size: 12px; white-space: pre-line; }
+    .note { font-size: 12px; color: #666; }
+    .buttons { display: flex; gap: 8px; margin-top: 16px; }
+    button { flex: 1; padding: 8px; border: none; border-radius: 4px; font-size: 13px; cursor: pointer; background: #f0f0f0; color: #333; }
+    button.primary { background: #007bff; color: #fff; }
+</style>
+<div class="backdrop">
+    <div class="dialog" role="dialog" aria-label="CHUCK settings">
+        <h1>CHUCK</h1>
+        <h2>Status</h2>
+        <div class="status" id="status"></div>
+        <h2>Settings</h2>
+        <label for="serverUrl">Server URL</label>
+        <input type="text" id="serverUrl">
+        <label for="authToken">Auth token</label>
+        <input type="password" id="authToken" placeholder="Empty connects without credentials" autocomplete="off">
+        <label for="authMethod">Send token as</label>
+        <select id="authMethod">
+            <option value="message">Handshake message</option>
+            <option value="subprotocol">WebSocket subprotocol</option>
+            <option value="query">URL query parameter</option>
+            <option value="challenge">Challenge/response</option>
+        </select>
+        <label><input type="checkbox" id="debug"> Debug logging</label>
+        <label><input type="checkbox" id="recorderContinuous"> Record in the background</label>
+        <h2>Platforms</h2>
+        <div class="platforms" id="platforms"></div>
+        <p class="note" id="note"></p>
+        <div class="buttons">
+            <button class="primary" id="save">Save</button>
+            <button id="close">Close</button>
+        </div>
+    </div>
+</div>
+`;
+
+// Menu command ids currently registered, so they can be replaced
+let menuIds = [];
+
+// Host element of the open settings dialog
+let dialog = null;
+
+/**
+ * Add CHUCK's entries to the userscript manager menu
+ * Does nothing outside a userscript manager, e.g. in the extension's injected script.
+ * @param {Seed|null} seed - The running Seed, or null if no platform started
+ */
+export function registerUserscriptMenu(seed) {
+    if (typeof GM_registerMenuCommand === 'undefined') return;
+
+    registerMenu(seed);
+    // Keep the status entry current
+    seed?.onConnectionStateChange(() => registerMenu(seed));
+}
+
+/**
+ * (Re)register every menu entry so captions reflect the current state
+ */
+function registerMenu(seed) {
+    if (menuIds.length > 0) {
+        // Without unregistering, entries would pile up; keep the first set
+        if (typeof GM_unregisterMenuCommand === 'undefined') return;
+        menuIds.forEach(id => GM_unregisterMenuCommand(id));
+    }
+    menuIds = [];
+    const add = (caption, command) => menuIds.push(GM_registerMenuCommand(caption, command));
+
+    add(`Status: ${describeState(seed)}`, () => openSettings(seed));
+    add('Settings…', () => openSettings(seed));
+
+    if (seed) {
+        if (seed.recorder.recording) {
+            add('Stop recording', () => {
+                seed.stopRecording();
+                registerMenu(seed);
+            });
+        } else {
+            add('Start recording', () => {
+                seed.startRecording();
+                registerMenu(seed);
+            });
+        }
+        add('Download recording', () => seed.downloadRecording());
+    }
+}
+
+/**
+ * One-line connection state for the menu and dialog
+ */
+function describeState(seed) {
+    if (!seed) return 'No platform running';
+    return STATE_LABELS[seed.connectionState] ?? 'Not connected';
+}
+
+/**
+ * Multi-line status shown in the dialog
+ */
+function describeStatus(seed) {
+    if (!seed) return describeState(seed);
+
+    const status = seed.getStatus();
+    const lines = [
+        `${describeState(seed)}${status.reconnectAttempts ? ` (attempt ${status.reconnectAttempts})` : ''}`,
+        status.channel ? `${status.platform} / ${status.channel}` : status.platform,
+        ...(status.authError ? [`Auth error: ${status.authError}`] : []),
+        ...(status.targets?.length > 1
+            ? status.targets.map(target => `${target.id}: ${STATE_LABELS[target.state] ?? 'Not connected'}`)
+            : []),
+        `Messages sent: ${status.sent.messages} (${status.messagesPerMinute}/min)`,
+        `Queued: ${status.queued}${status.unacked ? ` + ${status.unacked} unacknowledged` : ''}${status.dropped ? ` (${status.dropped} dropped)` : ''}`,
+    ];
+    const recorder = status.recorder;
+    if (recorder.recording || recorder.totalEvents > 0) {
+        const recording = recorder.continuous ? 'recording in background' : 'recording';
+        lines.push(`Recorder: ${recorder.recording ? recording : 'stopped'}, ${recorder.totalEvents} events`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Show the settings dialog over the page
+ * @param {Seed|null} seed - The running Seed, or null if no platform started
+ */
+export async function openSettings(seed) {
+    if (dialog) return;
+
+    // Claimed before config is read, so a second click while it loads opens nothing
+    const host = document.createElement('div');
+    dialog = host;
+
+    let config;
+    try {
+        config = await Config.getAll();
+    } catch (e) {
+        dialog = null;
+        throw e;
+    }
+
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = DIALOG_HTML;
+    const $ = (id) => root.getElementById(id);
+
+    $('serverUrl').value = config.serverUrl ?? DEFAULTS.serverUrl;
+    $('authToken').value = config.authToken ?? '';
+    $('authMethod').value = config.authMethod ?? DEFAULTS.authMethod;
+    $('debug').checked = config.debug ?? DEFAULTS.debug;
+    $('recorderContinuous').checked = config.recorderContinuous ?? DEFAULTS.recorderContinuous;
+
+    const platforms = { ...DEFAULTS.platforms, ...config.platforms };
+    for (const key of Object.keys(DEFAULTS.platforms)) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.platform = key;
+        checkbox.checked = platforms[key] !== false;
+        label.append(checkbox, ` ${key}`);
+        $('platforms').append(label);
+    }
+
+    if (!seed) {
+        $('note').textContent = 'Reload the page after enabling a platform that was disabled when it loaded.';
+    }
+
+    const refresh = () => {
+        $('status').textContent = describeStatus(seed);
+    };
+    refresh();
+    const interval = setInterval(refresh, STATUS_REFRESH_MS);
+
+    const close = () => {
+        clearInterval(interval);
+        host.remove();
+        dialog = null;
+    };
+
+    $('close').addEventListener('click', close);
+    $('save').addEventListener('click', async () => {
+        const platforms = {};
+        root.querySelectorAll('[data-platform]').forEach((checkbox) => {
+            platforms[checkbox.dataset.platform] = checkbox.checked;
+        });
+
+        // Running Seeds pick this up through Config.onChange
+        await Config.update({
+            serverUrl: $('serverUrl').value.trim() || DEFAULTS.serverUrl,
+            authToken: $('authToken').value.trim() || null,
+            authMethod: $('authMethod').value,
+            debug: $('debug').checked,
+            recorderContinuous: $('recorderContinuous').checked,
+            platforms,
+        });
+        close();
+    });
+
+    document.documentElement.append(host);
+}
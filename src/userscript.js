@@ -3,17 +3,26 @@
  * Userscript entry point
  */
 
-import { WINDOW } from './core/index.js';
+import { WINDOW, Config, Bridge, BridgeSource } from './core/index.js';
 import { registerAllPlatforms, detectPlatform } from './platforms/index.js';
+import { registerUserscriptMenu } from './userscript-menu.js';
 
-(async function() {
+(function() {
     'use strict';
 
+    // Talk to the extension content script, if there is one; config is read through it
+    const bridge = new Bridge(window, BridgeSource.PAGE, BridgeSource.CONTENT).listen();
+    Config.useBridge(bridge);
+
     // Register all platform handlers
     registerAllPlatforms();
 
     // Detect and initialize the appropriate platform
-    const platform = await detectPlatform();
+    const platform = detectPlatform();
+    platform?.attachBridge(bridge);
+
+    // Settings, recording and status for userscript managers; the extension uses its popup
+    registerUserscriptMenu(platform);
 
     // Store reference in window for debugging
     WINDOW.CHUCK = platform;
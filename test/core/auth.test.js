@@ -0,0 +1,44 @@
+/**
+ * CHUCK - Auth Tests
+ * Tests for presenting the shared secret to the backend
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AuthMethod, getSocketOptions, signChallenge } from '../../src/core/auth.js';
+
+const TARGET = { id: 'default', url: 'wss://example.test/chat.ws?room=1', platforms: [], enabled: true };
+
+describe('getSocketOptions', () => {
+    it('should leave the URL alone without a token', () => {
+        expect(getSocketOptions({ ...TARGET, token: null, authMethod: AuthMethod.QUERY })).toEqual({ url: TARGET.url, protocols: [] });
+    });
+
+    it('should add the token to the query, keeping existing parameters', () => {
+        const { url, protocols } = getSocketOptions({ ...TARGET, token: 's3cr&t', authMethod: AuthMethod.QUERY });
+
+        expect(new URL(url).searchParams.get('room')).toBe('1');
+        expect(new URL(url).searchParams.get('token')).toBe('s3cr&t');
+        expect(protocols).toEqual([]);
+    });
+
+    it('should encode the token as a valid subprotocol', () => {
+        const { url, protocols } = getSocketOptions({ ...TARGET, token: 'ünïcode/+secret?', authMethod: AuthMethod.SUBPROTOCOL });
+
+        expect(url).toBe(TARGET.url);
+        expect(protocols[0]).toBe('chuck');
+        expect(protocols[1]).toMatch(/^chuck\.auth\.[A-Za-z0-9_-]+$/);
+    });
+
+    it('should keep the token off the wire for message and challenge', () => {
+        for (const authMethod of [AuthMethod.MESSAGE, AuthMethod.CHALLENGE]) {
+            expect(getSocketOptions({ ...TARGET, token: 'secret', authMethod })).toEqual({ url: TARGET.url, protocols: [] });
+        }
+    });
+});
+
+describe('signChallenge', () => {
+    it('should produce the hex HMAC-SHA256 of the nonce', async () => {
+        expect(await signChallenge('key', 'The quick brown fox jumps over the lazy dog'))
+            .toBe('f7bc83f430538424b13298e6aa6fb143ef4d59a14946175997479dbc2d1a3cd8');
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * CHUCK - Update Batcher Benchmark
+ * Cost of sending a busy channel's messages one by one versus batched
+ * Run with: npm run test:bench
+ */
+
+import { bench, describe } from 'vitest';
+
+const { UpdateBatcher } = await import('../../src/core/batcher.js');
+const { ChatMessage, LivestreamUpdate } = await import('../../src/core/message.js');
+
+// A busy Twitch channel over a minute
+const MESSAGES = Array.from({ length: 5000 }, (_, i) => {
+    const message = new ChatMessage(`message-${i}`, 'Twitch', 'busychannel');
+    message.username = `viewer${i % 700}`;
+    message.setMessage(`message number ${i} with some chatter KEKW`);
+    return message;
+});
+
+function updateFor(message) {
+    const update = new LivestreamUpdate('Twitch', 'busychannel');
+    update.messages = [message];
+    return update;
+}
+
+// Stands in for socket.send(): serializing is the cost that scales with frames
+const send = (update) => JSON.stringify(update);
+
+describe('sending 5000 chat messages', () => {
+    bench('one update per message', () => {
+        MESSAGES.forEach(message => send(updateFor(message)));
+    });
+
+    bench('batched, 200 per update', () => {
+        // The interval never passes within the benchmark; batches fill up instead
+        const batcher = new UpdateBatcher(send, 60000, 200);
+        MESSAGES.forEach(message => batcher.add(updateFor(message)));
+        batcher.flush();
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * CHUCK - Update Batcher Tests
+ * Tests for merging outbound updates and when batches are sent
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const { UpdateBatcher, mergeUpdate } = await import('../../src/core/batcher.js');
+const { ChatMessage, LivestreamUpdate, StreamEvent } = await import('../../src/core/message.js');
+
+function update(fields = {}, channel = 'testchannel') {
+    return Object.assign(new LivestreamUpdate('Test', channel), fields);
+}
+
+function message(id, text = id) {
+    const msg = new ChatMessage(id, 'Test', 'testchannel');
+    msg.message = text;
+    return msg;
+}
+
+describe('mergeUpdate', () => {
+    it('should append messages, events and removals in order', () => {
+        const event = new StreamEvent('e1', 'Test', 'testchannel', 'follow');
+        const batch = update({ messages: [message('a')] });
+
+        mergeUpdate(batch, update({ messages: [message('b')], events: [event] }));
+        mergeUpdate(batch, update({ removals: ['x'] }));
+
+        expect(batch.messages.map(m => m.id)).toEqual(['a', 'b']);
+        expect(batch.events).toEqual([event]);
+        expect(batch.removals).toEqual(['x']);
+    });
+
+    it('should replace a message seen again with its latest copy', () => {
+        const batch = update({ messages: [message('a', 'placeholder'), message('b')] });
+
+        mergeUpdate(batch, update({ messages: [message('a', 'final')] }));
+
+        expect(batch.messages.map(m => [m.id, m.message])).toEqual([['a', 'final'], ['b', 'b']]);
+    });
+
+    it('should drop unsent messages that are removed but keep the removal', () => {
+        const batch = update({ messages: [message('a'), message('b')] });
+
+        mergeUpdate(batch, update({ removals: ['a', 'old'] }));
+
+        expect(batch.messages.map(m => m.id)).toEqual(['b']);
+        expect(batch.removals).toEqual(['a', 'old']);
+
+        mergeUpdate(batch, update({ removals: ['b'] }));
+        expect(batch.messages).toBeUndefined();
+    });
+
+    it('should keep the latest viewer count', () => {
+        const batch = update({ viewers: 10 });
+
+        mergeUpdate(batch, update({ messages: [message('a')] }));
+        expect(batch.viewers).toBe(10);
+
+        mergeUpdate(batch, update({ viewers: 0 }));
+        expect(batch.viewers).toBe(0);
+    });
+});
+
+describe('UpdateBatcher', () => {
+    let send;
+    let batcher;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        send = vi.fn();
+        batcher = new UpdateBatcher(send, 100, 5);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should send everything added within the interval as one update', () => {
+        batcher.add(update({ messages: [message('a')] }));
+        vi.advanceTimersByTime(50);
+        batcher.add(update({ messages: [message('b')], viewers: 3 }));
+
+        expect(send).not.toHaveBeenCalled();
+
+        vi.advanceTimersByTime(50);
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send.mock.calls[0][0]).toMatchObject({ platform: 'Test', channel: 'testchannel', viewers: 3 });
+        expect(send.mock.calls[0][0].messages.map(m => m.id)).toEqual(['a', 'b']);
+    });
+
+    it('should not hold an update longer than the interval after the first', () => {
+        batcher.add(update({ messages: [message('a')] }));
+        vi.advanceTimersByTime(99);
+        batcher.add(update({ messages: [message('b')] }));
+        vi.advanceTimersByTime(1);
+
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send early once the batch is full', () => {
+        batcher.add(update({ messages: ['a', 'b', 'c'].map(id => message(id)) }));
+        batcher.add(update({ removals: ['x', 'y'] }));
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(batcher.pending).toBeNull();
+
+        vi.advanceTimersByTime(100);
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not mix channels in one batch', () => {
+        batcher.add(update({ messages: [message('a')] }, 'one'));
+        batcher.add(update({ messages: [message('b')] }, 'two'));
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send.mock.calls[0][0].channel).toBe('one');
+
+        vi.advanceTimersByTime(100);
+        expect(send.mock.calls[1][0].channel).toBe('two');
+    });
+
+    it('should send on flush and report whether anything was waiting', () => {
+        expect(batcher.flush()).toBe(false);
+
+        batcher.add(update({ viewers: 1 }));
+
+        expect(batcher.flush()).toBe(true);
+        expect(send).toHaveBeenCalledTimes(1);
+
+        vi.advanceTimersByTime(100);
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should turn a chat history replay into a few frames', () => {
+        batcher.maxSize = 200;
+        for (let i = 0; i < 1000; i++) {
+            batcher.add(update({ messages: [message(`m${i}`)] }));
+        }
+        vi.advanceTimersByTime(100);
+
+        expect(send).toHaveBeenCalledTimes(5);
+        expect(send.mock.calls.flatMap(call => call[0].messages.map(m => m.id))).toEqual(
+            Array.from({ length: 1000 }, (_, i) => `m${i}`)
+        );
+    });
+});
@@ -0,0 +1,267 @@
+/**
+ * CHUCK - Bridge Tests
+ * Tests for requests, responses, notifications and origin checks between page and content script
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const { Bridge, BridgeSource, BridgeMethod, BridgeMessageKind } = await import('../../src/core/bridge.js');
+const { Config, DEFAULTS } = await import('../../src/core/config.js');
+
+/**
+ * Minimal window that delivers posted messages to its listeners like a browser would
+ */
+function createWindow(origin = 'https://kick.com') {
+    const listeners = new Set();
+    const win = {
+        location: { origin },
+        posted: [],
+        addEventListener: (type, listener) => listeners.add(listener),
+        postMessage: (data, targetOrigin) => {
+            win.posted.push({ data, targetOrigin });
+            const event = { source: win, origin, data: structuredClone(data) };
+            setTimeout(() => listeners.forEach(listener => listener(event)), 0);
+        },
+    };
+    return win;
+}
+
+describe('Bridge', () => {
+    let win;
+    let page;
+    let content;
+
+    beforeEach(() => {
+        win = createWindow();
+        page = new Bridge(win, BridgeSource.PAGE, BridgeSource.CONTENT).listen();
+        content = new Bridge(win, BridgeSource.CONTENT, BridgeSource.PAGE).listen();
+    });
+
+    describe('requests', () => {
+        it('should resolve with the remote handler result', async () => {
+            page.handle(BridgeMethod.GET_STATUS, () => ({ platform: 'Kick' }));
+
+            await expect(content.request(BridgeMethod.GET_STATUS)).resolves.toEqual({ platform: 'Kick' });
+        });
+
+        it('should pass params and wait for async handlers', async () => {
+            content.handle(BridgeMethod.SIGN_CHALLENGE, async ({ nonce }) => `signed:${nonce}`);
+
+            await expect(page.request(BridgeMethod.SIGN_CHALLENGE, { nonce: 'abc' })).resolves.toBe('signed:abc');
+        });
+
+        it('should match concurrent responses to their requests', async () => {
+            page.handle('echo', async ({ value, wait }) => {
+                await new Promise(resolve => setTimeout(resolve, wait));
+                return value;
+            });
+
+            const results = await Promise.all([
+                content.request('echo', { value: 'slow', wait: 20 }),
+                content.request('echo', { value: 'fast', wait: 0 }),
+            ]);
+
+            expect(results).toEqual(['slow', 'fast']);
+        });
+
+        it('should reject with the error a handler throws', async () => {
+            page.handle(BridgeMethod.GET_STATUS, () => {
+                throw new Error('not ready');
+            });
+
+            await expect(content.request(BridgeMethod.GET_STATUS)).rejects.toThrow('not ready');
+        });
+
+        it('should reject requests for unknown methods', async () => {
+            await expect(content.request('format_disk')).rejects.toThrow('Unknown method: format_disk');
+        });
+
+        it('should reject when nothing answers in time', async () => {
+            vi.useFakeTimers();
+            const lonely = new Bridge(createWindow(), BridgeSource.CONTENT, BridgeSource.PAGE);
+
+            const request = lonely.request(BridgeMethod.GET_STATUS, {}, 500);
+            vi.advanceTimersByTime(500);
+
+            await expect(request).rejects.toThrow('timed out');
+            expect(lonely.pending.size).toBe(0);
+            vi.useRealTimers();
+        });
+
+        it('should post to the window origin', () => {
+            content.request(BridgeMethod.GET_STATUS).catch(() => {});
+
+            expect(win.posted[0].targetOrigin).toBe('https://kick.com');
+            expect(win.posted[0].data).toMatchObject({ source: BridgeSource.CONTENT, kind: BridgeMessageKind.REQUEST, method: BridgeMethod.GET_STATUS });
+        });
+
+        it('should fall back to any origin on opaque origins', () => {
+            const sandboxed = new Bridge(createWindow('null'), BridgeSource.PAGE, BridgeSource.CONTENT);
+
+            expect(sandboxed.origin).toBe('*');
+        });
+    });
+
+    describe('notifications', () => {
+        it('should deliver payloads to listeners of the type', async () => {
+            const listener = vi.fn();
+            content.on('connection_state', listener);
+
+            page.notify('connection_state', { state: 'open' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(listener).toHaveBeenCalledWith({ state: 'open' });
+        });
+
+        it('should stop delivering once unsubscribed', async () => {
+            const listener = vi.fn();
+            const off = content.on('log', listener);
+            off();
+
+            page.notify('log', { message: 'hi' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        it('should keep delivering when a listener throws', async () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const listener = vi.fn();
+            content.on('log', () => { throw new Error('boom'); });
+            content.on('log', listener);
+
+            page.notify('log', { message: 'hi' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(listener).toHaveBeenCalled();
+            error.mockRestore();
+        });
+    });
+
+    describe('message checks', () => {
+        let handler;
+
+        beforeEach(() => {
+            handler = vi.fn();
+            page.handle(BridgeMethod.GET_STATUS, handler);
+            vi.spyOn(page, '_respond');
+        });
+
+        const request = { source: BridgeSource.CONTENT, kind: BridgeMessageKind.REQUEST, id: 1, method: BridgeMethod.GET_STATUS };
+
+        it('should accept requests from the peer on the same window and origin', () => {
+            page.onMessage({ source: win, origin: 'https://kick.com', data: request });
+
+            expect(page._respond).toHaveBeenCalled();
+        });
+
+        it('should ignore messages from other windows', () => {
+            page.onMessage({ source: createWindow(), origin: 'https://kick.com', data: request });
+
+            expect(page._respond).not.toHaveBeenCalled();
+        });
+
+        it('should ignore messages from other origins', () => {
+            page.onMessage({ source: win, origin: 'https://evil.example', data: request });
+
+            expect(page._respond).not.toHaveBeenCalled();
+        });
+
+        it('should ignore messages tagged with its own or an unknown source', () => {
+            page.onMessage({ source: win, origin: 'https://kick.com', data: { ...request, source: BridgeSource.PAGE } });
+            page.onMessage({ source: win, origin: 'https://kick.com', data: { ...request, source: 'SOMEONE' } });
+            page.onMessage({ source: win, origin: 'https://kick.com', data: null });
+
+            expect(page._respond).not.toHaveBeenCalled();
+        });
+
+        it('should ignore responses to requests it did not make', () => {
+            expect(() => page.onMessage({
+                source: win,
+                origin: 'https://kick.com',
+                data: { source: BridgeSource.CONTENT, kind: BridgeMessageKind.RESPONSE, id: 99, result: 1 },
+            })).not.toThrow();
+        });
+    });
+
+    describe('Config over the bridge', () => {
+        afterEach(() => {
+            clearTimeout(Config._bridgeRetry);
+            Config._bridgeRetry = null;
+            Config._fallback = false;
+            Config._bridge = null;
+            Config._cache = null;
+        });
+
+        it('should load config from the content script', async () => {
+            content.handle(BridgeMethod.GET_CONFIG, () => ({ serverUrl: 'ws://example.test/chat.ws' }));
+            Config.useBridge(page);
+
+            expect(await Config.get('serverUrl')).toBe('ws://example.test/chat.ws');
+            expect(await Config.get('queueMaxSize')).toBe(DEFAULTS.queueMaxSize);
+        });
+
+        it('should keep config set in the page to the page', async () => {
+            content.handle(BridgeMethod.GET_CONFIG, () => null);
+            Config.useBridge(page);
+            await Config.getAll();
+            const request = vi.spyOn(page, 'request');
+
+            await Config.set('debug', true);
+
+            expect(await Config.get('debug')).toBe(true);
+            expect(request).not.toHaveBeenCalled();
+        });
+
+        it('should have the content script sign challenges', async () => {
+            content.handle(BridgeMethod.SIGN_CHALLENGE, ({ nonce, url }) => `signed:${nonce}@${url}`);
+            Config.useBridge(page);
+
+            await expect(Config.signChallenge('abc', 'ws://a')).resolves.toBe('signed:abc@ws://a');
+        });
+
+        it('should fall back to defaults without caching them when the content script does not answer', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            page.request = vi.fn(() => Promise.reject(new Error('Bridge request timed out: get_config')));
+            Config.useBridge(page);
+
+            expect(await Config.get('serverUrl')).toBe(DEFAULTS.serverUrl);
+            expect(Config._cache).toBeNull();
+            expect(warn).toHaveBeenCalled();
+            warn.mockRestore();
+        });
+
+        it('should wait longer on every attempt', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            page.request = vi.fn()
+                .mockRejectedValueOnce(new Error('Bridge request timed out: get_config'))
+                .mockResolvedValueOnce({ serverUrl: 'ws://example.test/chat.ws' });
+            Config.useBridge(page);
+
+            expect(await Config.get('serverUrl')).toBe('ws://example.test/chat.ws');
+            expect(page.request.mock.calls.map(call => call[2])).toEqual(Config.bridgeTimeouts.slice(0, 2));
+            expect(Config.bridgeTimeouts[0]).toBeGreaterThan(Bridge.timeout);
+            warn.mockRestore();
+        });
+
+        it('should tell listeners once the content script answers after all', async () => {
+            vi.useFakeTimers();
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const listener = vi.fn();
+            Config.onChange(listener);
+            page.request = vi.fn(() => Promise.reject(new Error('Bridge request timed out: get_config')));
+            Config.useBridge(page);
+
+            expect(await Config.get('serverUrl')).toBe(DEFAULTS.serverUrl);
+
+            page.request = vi.fn(() => Promise.resolve({ serverUrl: 'ws://example.test/chat.ws' }));
+            await vi.advanceTimersByTimeAsync(Config.bridgeRetryDelay);
+
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ serverUrl: 'ws://example.test/chat.ws' }), ['serverUrl']);
+            expect(await Config.get('serverUrl')).toBe('ws://example.test/chat.ws');
+            Config._listeners.delete(listener);
+            warn.mockRestore();
+            vi.useRealTimers();
+        });
+    });
+});
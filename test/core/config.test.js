@@ -0,0 +1,101 @@
+/**
+ * CHUCK - Config Tests
+ * Tests for config change notifications
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const { Config, DEFAULTS, withoutSecrets } = await import('../../src/core/config.js');
+
+describe('Config', () => {
+    beforeEach(() => {
+        Config._cache = null;
+        Config._listeners.clear();
+    });
+
+    afterEach(() => {
+        Config._cache = null;
+        Config._listeners.clear();
+    });
+
+    describe('onChange', () => {
+        it('should report the keys that changed', () => {
+            const listener = vi.fn();
+            Config.onChange(listener);
+
+            Config._applyChange({ serverUrl: 'ws://example.test/chat.ws', debug: DEFAULTS.debug });
+
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ serverUrl: 'ws://example.test/chat.ws' }), ['serverUrl']);
+        });
+
+        it('should compare nested values', () => {
+            const listener = vi.fn();
+            Config.onChange(listener);
+
+            Config._applyChange({ platforms: { ...DEFAULTS.platforms } });
+            expect(listener).not.toHaveBeenCalled();
+
+            Config._applyChange({ platforms: { ...DEFAULTS.platforms, kick: false } });
+            expect(listener).toHaveBeenCalledWith(expect.anything(), ['platforms']);
+        });
+
+        it('should fill missing keys from defaults', () => {
+            Config._applyChange({ debug: true });
+            Config._applyChange(null);
+
+            expect(Config._cache).toEqual(DEFAULTS);
+        });
+
+        it('should update the cache read by get', async () => {
+            Config._applyChange({ debug: true });
+
+            expect(await Config.get('debug')).toBe(true);
+        });
+
+        it('should notify about values set in this script', async () => {
+            const listener = vi.fn();
+            Config.onChange(listener);
+
+            await Config.set('queueMaxSize', 10);
+
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ queueMaxSize: 10 }), ['queueMaxSize']);
+        });
+
+        it('should stop notifying once unsubscribed', () => {
+            const listener = vi.fn();
+            const off = Config.onChange(listener);
+            off();
+
+            Config._applyChange({ debug: true });
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        it('should keep notifying when a listener throws', () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const listener = vi.fn();
+            Config.onChange(() => { throw new Error('boom'); });
+            Config.onChange(listener);
+
+            Config._applyChange({ debug: true });
+
+            expect(listener).toHaveBeenCalled();
+            error.mockRestore();
+        });
+    });
+});
+
+describe('withoutSecrets', () => {
+    it('should replace the auth token with its id', () => {
+        const config = { ...DEFAULTS, serverUrl: 'ws://example.test/chat.ws', authToken: 'secret' };
+
+        expect(withoutSecrets(config, 'token-1')).toEqual({ ...config, authToken: null, authTokenId: 'token-1' });
+        expect(JSON.stringify(withoutSecrets(config, 'token-1'))).not.toContain('secret');
+        expect(config.authToken).toBe('secret');
+    });
+
+    it('should give no id when no token is set', () => {
+        expect(withoutSecrets({ ...DEFAULTS }, 'token-1')).toMatchObject({ authToken: null, authTokenId: null });
+        expect(withoutSecrets(null)).toBeNull();
+    });
+});
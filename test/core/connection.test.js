@@ -0,0 +1,838 @@
+/**
+ * CHUCK - Connection Tests
+ * Tests for target resolution, authentication, handshake, delivery acks, queueing, reconnect backoff and throughput of backend connections
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+
+class MockWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+    static instances = [];
+
+    readyState = MockWebSocket.CONNECTING;
+    listeners = {};
+    send = vi.fn();
+    close = vi.fn(() => { this.readyState = MockWebSocket.CLOSED; });
+
+    constructor(url, protocols) {
+        this.url = url;
+        this.protocols = protocols;
+        MockWebSocket.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ??= []).push(listener);
+    }
+
+    emit(type, event = {}) {
+        if (type === 'open') this.readyState = MockWebSocket.OPEN;
+        this.listeners[type]?.forEach(listener => listener(event));
+    }
+}
+MockWebSocket.oldWebSocket = MockWebSocket;
+
+vi.stubGlobal('WebSocket', MockWebSocket);
+
+const { Connection, ConnectionState, resolveTargets, targetAccepts, signsChallengesFor } = await import('../../src/core/connection.js');
+const { signChallenge } = await import('../../src/core/auth.js');
+const { PROTOCOL_VERSION, CHUCK_VERSION } = await import('../../src/core/protocol.js');
+const { LivestreamUpdate } = await import('../../src/core/message.js');
+const { Config, DEFAULTS } = await import('../../src/core/config.js');
+
+function createSeed() {
+    return {
+        platform: 'Test',
+        channel: 'testchannel',
+        log: vi.fn(),
+        warn: vi.fn(),
+        _debug: vi.fn(),
+        onConnectionStateChanged: vi.fn(),
+        onChatSocketMessage: vi.fn(),
+        getFeatures: vi.fn(() => ['messages']),
+    };
+}
+
+const TARGET = { id: 'default', url: 'ws://127.0.0.2:1350/chat.ws', platforms: [], enabled: true, token: null, authMethod: 'message' };
+const NO_AUTH = { token: null, tokenId: null, authMethod: 'message' };
+
+describe('resolveTargets', () => {
+    it('should fall back to serverUrl without configured targets', () => {
+        expect(resolveTargets({ ...DEFAULTS, serverUrl: 'ws://example.test/chat.ws' })).toEqual([
+            { id: 'default', url: 'ws://example.test/chat.ws', platforms: [], enabled: true, ...NO_AUTH },
+        ]);
+    });
+
+    it('should fill in ids, platform filters and enabled', () => {
+        const targets = resolveTargets({
+            targets: [
+                { url: 'wss://prod.example/chat.ws' },
+                { id: 'staging', url: 'wss://staging.example/chat.ws', platforms: ['Twitch', 'kick'], enabled: false },
+            ],
+        });
+
+        expect(targets).toEqual([
+            { id: 'wss://prod.example/chat.ws', url: 'wss://prod.example/chat.ws', platforms: [], enabled: true, ...NO_AUTH },
+            { id: 'staging', url: 'wss://staging.example/chat.ws', platforms: ['twitch', 'kick'], enabled: false, ...NO_AUTH },
+        ]);
+    });
+
+    it('should keep ids unique and skip targets without a URL', () => {
+        const targets = resolveTargets({
+            targets: [{ url: 'ws://a' }, { url: 'ws://a', platforms: ['kick'] }, { platforms: ['x'] }],
+        });
+
+        expect(targets.map(target => target.id)).toEqual(['ws://a', 'ws://a#1']);
+    });
+
+    it('should give every target the configured credentials', () => {
+        const targets = resolveTargets({ authToken: 'secret', authMethod: 'challenge', targets: [{ url: 'ws://a' }, { url: 'ws://b' }] });
+
+        expect(targets.map(target => [target.token, target.authMethod])).toEqual([['secret', 'challenge'], ['secret', 'challenge']]);
+        expect(resolveTargets({ ...DEFAULTS, authToken: '' })[0].token).toBeNull();
+    });
+
+    it('should pass on the id of a token kept from the page', () => {
+        const [target] = resolveTargets({ ...DEFAULTS, authToken: null, authTokenId: 'token-1', authMethod: 'challenge' });
+
+        expect(target).toMatchObject({ token: null, tokenId: 'token-1', authMethod: 'challenge' });
+    });
+
+    it('should route by platform filter and enabled flag', () => {
+        const [all, kickOnly, off] = resolveTargets({
+            targets: [{ url: 'ws://a' }, { url: 'ws://b', platforms: ['kick'] }, { url: 'ws://c', enabled: false }],
+        });
+
+        expect(targetAccepts(all, 'twitch')).toBe(true);
+        expect(targetAccepts(kickOnly, 'kick')).toBe(true);
+        expect(targetAccepts(kickOnly, 'twitch')).toBe(false);
+        expect(targetAccepts(off, 'kick')).toBe(false);
+    });
+});
+
+describe('signsChallengesFor', () => {
+    const config = {
+        ...DEFAULTS,
+        authToken: 'secret',
+        authMethod: 'challenge',
+        targets: [{ url: 'ws://a' }, { url: 'ws://off', enabled: false }],
+    };
+
+    it('should only sign for enabled targets that authenticate by challenge', () => {
+        expect(signsChallengesFor(config, 'ws://a')).toBe(true);
+        expect(signsChallengesFor(config, 'ws://off')).toBe(false);
+        expect(signsChallengesFor(config, 'ws://elsewhere')).toBe(false);
+        expect(signsChallengesFor({ ...config, authMethod: 'message' }, 'ws://a')).toBe(false);
+        expect(signsChallengesFor({ ...config, authToken: null }, 'ws://a')).toBe(false);
+    });
+});
+
+describe('Connection', () => {
+    let seed;
+    let connection;
+
+    beforeEach(() => {
+        MockWebSocket.instances = [];
+        seed = createSeed();
+        connection = new Connection(seed, { ...TARGET }).configure(DEFAULTS);
+    });
+
+    describe('socket', () => {
+        it('should connect to the target URL and report connecting then open', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+
+            expect(ws.url).toBe(TARGET.url);
+            expect(ws.chuck_socket).toBe(true);
+            expect(seed.onConnectionStateChanged.mock.calls.map(call => call[1].state)).toEqual([
+                ConnectionState.CONNECTING,
+                ConnectionState.OPEN,
+            ]);
+            expect(seed.onConnectionStateChanged.mock.calls[0][0]).toBe(connection);
+        });
+
+        it('should not open a second socket while one is open or connecting', () => {
+            const ws = connection.connect();
+
+            expect(connection.connect()).toBe(ws);
+            expect(MockWebSocket.instances).toHaveLength(1);
+        });
+
+        it('should pass server messages to the Seed', () => {
+            const ws = connection.connect();
+            const event = { data: '{"type":"inject_message"}' };
+            ws.emit('message', event);
+
+            expect(seed.onChatSocketMessage).toHaveBeenCalledWith(ws, event);
+        });
+
+        it('should close without scheduling a reconnect', () => {
+            vi.useFakeTimers();
+            const ws = connection.connect();
+
+            connection.close();
+            ws.emit('close');
+            vi.advanceTimersByTime(60000);
+
+            expect(ws.close).toHaveBeenCalled();
+            expect(MockWebSocket.instances).toHaveLength(1);
+            vi.useRealTimers();
+        });
+    });
+
+    describe('authentication', () => {
+        const authenticate = (authMethod, token = 'secret') => {
+            connection = new Connection(seed, { ...TARGET, token, authMethod }).configure(DEFAULTS);
+            return connection.connect();
+        };
+        const states = () => seed.onConnectionStateChanged.mock.calls.map(call => call[1].state);
+        const sent = (ws) => ws.send.mock.calls.map(call => JSON.parse(call[0])).filter(message => message.type !== 'hello');
+        const update = () => {
+            const u = new LivestreamUpdate('Test', 'testchannel');
+            u.removals = ['a'];
+            return u;
+        };
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('should connect without credentials when no token is set', () => {
+            const ws = authenticate('message', null);
+            ws.emit('open');
+
+            expect(ws.url).toBe(TARGET.url);
+            expect(ws.protocols).toBeUndefined();
+            expect(sent(ws)).toEqual([]);
+        });
+
+        it('should send the token as the first message', () => {
+            connection = new Connection(seed, { ...TARGET, token: 'secret' }).configure(DEFAULTS);
+            connection.send(update());
+            const ws = connection.connect();
+            ws.emit('open');
+
+            expect(sent(ws)[0]).toEqual({ type: 'auth', data: { token: 'secret' } });
+            expect(sent(ws)[1].removals).toEqual(['a']);
+            expect(states()).toEqual([ConnectionState.CONNECTING, ConnectionState.OPEN]);
+        });
+
+        it('should put the token in the URL or subprotocol', () => {
+            expect(authenticate('query', 'a b').url).toBe(`${TARGET.url}?token=a+b`);
+
+            const ws = authenticate('subprotocol');
+            expect(ws.url).toBe(TARGET.url);
+            expect(ws.protocols).toEqual(['chuck', 'chuck.auth.c2VjcmV0']);
+        });
+
+        it('should answer a challenge and hold updates until accepted', async () => {
+            const ws = authenticate('challenge');
+            connection.send(update());
+            ws.emit('open');
+
+            expect(connection.state).toBe(ConnectionState.AUTHENTICATING);
+            expect(ws.send).not.toHaveBeenCalled();
+
+            ws.emit('message', { data: JSON.stringify({ type: 'auth_challenge', data: { nonce: 'abc' } }) });
+            await vi.waitFor(() => expect(ws.send).toHaveBeenCalled());
+
+            expect(sent(ws)[0]).toEqual({ type: 'auth_response', data: { signature: await signChallenge('secret', 'abc') } });
+            expect(connection.queue.size).toBe(1);
+
+            ws.emit('message', { data: '{"type":"auth_ok"}' });
+
+            expect(connection.state).toBe(ConnectionState.OPEN);
+            expect(connection.queue.size).toBe(0);
+            expect(sent(ws)[1].removals).toEqual(['a']);
+            expect(seed.onChatSocketMessage).not.toHaveBeenCalled();
+        });
+
+        it('should give up when the challenge is not completed in time', () => {
+            vi.useFakeTimers();
+            const ws = authenticate('challenge');
+            ws.emit('open');
+
+            vi.advanceTimersByTime(10000);
+
+            expect(connection.state).toBe(ConnectionState.AUTH_FAILED);
+            expect(ws.close).toHaveBeenCalled();
+        });
+
+        it('should have the content script sign when the token is kept from the page', async () => {
+            const sign = vi.spyOn(Config, 'signChallenge').mockResolvedValue('signed-by-content');
+            connection = new Connection(seed, { ...TARGET, tokenId: 'token-1', authMethod: 'challenge' }).configure(DEFAULTS);
+            const ws = connection.connect();
+            ws.emit('open');
+
+            expect(connection.state).toBe(ConnectionState.AUTHENTICATING);
+            ws.emit('message', { data: JSON.stringify({ type: 'auth_challenge', data: { nonce: 'abc' } }) });
+            await vi.waitFor(() => expect(ws.send).toHaveBeenCalled());
+
+            expect(sign).toHaveBeenCalledWith('abc', TARGET.url);
+            expect(sent(ws)[0]).toEqual({ type: 'auth_response', data: { signature: 'signed-by-content' } });
+            sign.mockRestore();
+        });
+
+        it('should not connect with other methods when the token is kept from the page', () => {
+            connection = new Connection(seed, { ...TARGET, tokenId: 'token-1', authMethod: 'message' }).configure(DEFAULTS);
+
+            expect(connection.connect()).toBeNull();
+            expect(MockWebSocket.instances).toHaveLength(0);
+            expect(connection.getStatus()).toMatchObject({ state: ConnectionState.AUTH_FAILED, authError: expect.stringMatching(/challenge/) });
+        });
+
+        it('should fail when challenged without a token', async () => {
+            const ws = authenticate('message', null);
+            ws.emit('open');
+            ws.emit('message', { data: JSON.stringify({ type: 'auth_challenge', data: { nonce: 'abc' } }) });
+
+            await vi.waitFor(() => expect(connection.state).toBe(ConnectionState.AUTH_FAILED));
+            expect(connection.authError).toMatch(/no auth token/);
+        });
+
+        it('should report refused credentials and not retry them', () => {
+            vi.useFakeTimers();
+            const ws = authenticate('message');
+            ws.emit('open');
+
+            ws.emit('message', { data: JSON.stringify({ type: 'auth_failed', data: { reason: 'bad token' } }) });
+            ws.emit('close', { code: 1000 });
+            vi.advanceTimersByTime(60000);
+
+            expect(MockWebSocket.instances).toHaveLength(1);
+            expect(seed.warn).toHaveBeenCalledWith('default: Backend refused authentication:', 'bad token');
+            expect(seed.onConnectionStateChanged.mock.calls.at(-1)[1]).toMatchObject({ state: ConnectionState.AUTH_FAILED, reason: 'bad token' });
+            expect(connection.getStatus()).toMatchObject({ state: ConnectionState.AUTH_FAILED, authError: 'bad token' });
+        });
+
+        it('should treat auth close codes as refused credentials', () => {
+            vi.useFakeTimers();
+            const ws = authenticate('subprotocol');
+            ws.emit('close', { code: 4401, reason: '' });
+            vi.advanceTimersByTime(60000);
+
+            expect(connection.state).toBe(ConnectionState.AUTH_FAILED);
+            expect(connection.authError).toBe('Closed with code 4401');
+            expect(MockWebSocket.instances).toHaveLength(1);
+        });
+
+        it('should try again on reconnect()', () => {
+            const ws = authenticate('message');
+            ws.emit('close', { code: 4403, reason: 'Forbidden' });
+
+            connection.reconnect().emit('open');
+
+            expect(connection.authError).toBeNull();
+            expect(connection.state).toBe(ConnectionState.OPEN);
+        });
+    });
+
+    describe('handshake', () => {
+        const sent = (ws) => ws.send.mock.calls.map(call => JSON.parse(call[0]));
+        const welcome = (ws, data) => ws.emit('message', { data: JSON.stringify({ type: 'welcome', data }) });
+
+        it('should say hello before anything else, after authenticating', () => {
+            connection = new Connection(seed, { ...TARGET, token: 'secret' }).configure(DEFAULTS);
+            const update = new LivestreamUpdate('Test', 'testchannel');
+            update.removals = ['a'];
+            connection.send(update);
+            const ws = connection.connect();
+            ws.emit('open');
+
+            expect(sent(ws).map(message => message.type ?? 'update')).toEqual(['auth', 'hello', 'update']);
+            expect(sent(ws)[1].data).toEqual({
+                protocol: PROTOCOL_VERSION,
+                version: CHUCK_VERSION,
+                platform: 'Test',
+                channel: 'testchannel',
+                url: window.location.href,
+                features: ['messages'],
+            });
+        });
+
+        it('should say hello again on every new socket', () => {
+            const first = connection.connect();
+            first.emit('open');
+            first.emit('close');
+            connection.reconnect().emit('open');
+
+            expect(sent(MockWebSocket.instances[1]).map(message => message.type)).toEqual(['hello']);
+        });
+
+        it('should remember the features from the welcome and keep it from the Seed', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+
+            expect(connection.supports('ack')).toBe(false);
+
+            welcome(ws, { protocol: 1, version: '0.9.0', features: ['ack', 42], motd: 'hi' });
+
+            expect(connection.server).toEqual({ protocol: 1, version: '0.9.0', features: ['ack'] });
+            expect(connection.supports('ack')).toBe(true);
+            expect(connection.getStatus().server).toEqual(connection.server);
+            expect(seed.onChatSocketMessage).not.toHaveBeenCalled();
+        });
+
+        it('should keep working with backends that never send a welcome', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+            const update = new LivestreamUpdate('Test', 'testchannel');
+            update.removals = ['a'];
+            connection.send(update);
+
+            expect(connection.server).toBeNull();
+            expect(sent(ws).at(-1).removals).toEqual(['a']);
+        });
+
+        it('should warn about a newer protocol but carry on', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+            welcome(ws, { protocol: PROTOCOL_VERSION + 1 });
+
+            expect(seed.warn).toHaveBeenCalledWith(expect.stringContaining('newer protocol'), PROTOCOL_VERSION + 1, 'CHUCK:', PROTOCOL_VERSION);
+            expect(connection.state).toBe(ConnectionState.OPEN);
+        });
+
+        it('should warn about commands that break the schema in debug mode', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+            const ack = { data: JSON.stringify({ type: 'ack', data: { seq: 'all' } }) };
+
+            ws.emit('message', ack);
+            expect(seed.warn).not.toHaveBeenCalled();
+
+            seed.debug = true;
+            ws.emit('message', ack);
+            expect(seed.warn).toHaveBeenCalledWith(
+                'default: Backend sent a command that does not match the schema:',
+                ['data.seq must be integer, got string'],
+                { type: 'ack', data: { seq: 'all' } }
+            );
+        });
+
+        it('should forget the welcome of a previous socket', () => {
+            const first = connection.connect();
+            first.emit('open');
+            welcome(first, { features: ['ack'] });
+            first.emit('close');
+
+            const second = connection.reconnect();
+            welcome(first, { features: ['ack'] });
+            second.emit('open');
+
+            expect(connection.supports('ack')).toBe(false);
+        });
+    });
+
+    describe('delivery acks', () => {
+        const message = (id) => {
+            const update = new LivestreamUpdate('Test', 'testchannel');
+            update.messages = [{ id }];
+            return update;
+        };
+        const sent = (ws) => ws.send.mock.calls.map(call => JSON.parse(call[0]));
+        const updates = (ws) => sent(ws).filter(m => !m.type);
+        const reply = (ws, type, data) => ws.emit('message', { data: JSON.stringify({ type, data }) });
+
+        /**
+         * Backend stand-in that acks what it has read off a socket
+         * Whatever was written but not yet read when the socket drops is lost.
+         */
+        class StubServer {
+            received = new Set(); // Message ids received at least once
+            socket = null;
+            read = 0;
+
+            accept(ws) {
+                this.socket = ws;
+                this.read = 0;
+                ws.emit('open');
+                reply(ws, 'welcome', { protocol: 1, features: ['ack'] });
+            }
+
+            // Read everything written so far and ack the last update
+            process() {
+                const messages = sent(this.socket).slice(this.read);
+                this.read += messages.length;
+                const seqs = messages.filter(m => !m.type).map((update) => {
+                    update.messages?.forEach(m => this.received.add(m.id));
+                    return update.seq;
+                });
+                if (seqs.length > 0) reply(this.socket, 'ack', { seq: Math.max(...seqs) });
+            }
+
+            // Drop the connection with whatever is still unread
+            drop() {
+                this.socket.readyState = MockWebSocket.CLOSED;
+                this.socket.emit('close', { code: 1006 });
+            }
+        }
+
+        beforeEach(() => {
+            vi.useFakeTimers();
+            connection.configure({ ...DEFAULTS, deliveryAcks: true, reconnectJitter: 0 });
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('should list ack in the hello only when enabled', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+            connection.configure(DEFAULTS);
+            connection.close();
+            connection.reconnect().emit('open');
+
+            expect(sent(ws)[0].data.features).toContain('ack');
+            expect(sent(MockWebSocket.instances[1])[0].data.features).not.toContain('ack');
+        });
+
+        it('should number updates and keep them until acknowledged', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+            connection.send(message('a'));
+            connection.send(message('b'));
+
+            expect(updates(ws).map(u => u.seq)).toEqual([1, 2]);
+            expect(connection.getStatus()).toMatchObject({ queued: 0, unacked: 2 });
+
+            reply(ws, 'ack', { seq: 1 });
+            expect(connection.getStatus().unacked).toBe(1);
+
+            reply(ws, 'ack', { seq: 2 });
+            expect(connection.getStatus().unacked).toBe(0);
+        });
+
+        it('should resend unacknowledged updates on the next socket', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+            connection.send(message('a'));
+            connection.send(message('b'));
+            reply(ws, 'ack', { seq: 1 });
+
+            ws.emit('close', { code: 1006 });
+            vi.advanceTimersByTime(1000);
+            const next = MockWebSocket.instances[1];
+            next.emit('open');
+
+            expect(updates(next)).toEqual([expect.objectContaining({ seq: 1, messages: [{ id: 'b' }] })]);
+            expect(seed.log).toHaveBeenCalledWith('default: Resending unacknowledged updates:', 1);
+        });
+
+        it('should ignore acks from a previous socket', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+            connection.send(message('a'));
+            ws.emit('close', { code: 1006 });
+            vi.advanceTimersByTime(1000);
+
+            reply(ws, 'ack', { seq: 1 });
+
+            expect(connection.getStatus().unacked).toBe(1);
+        });
+
+        it('should stop holding updates for a backend that does not ack', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+            connection.send(message('a'));
+
+            reply(ws, 'welcome', { protocol: 1, features: [] });
+            connection.send(message('b'));
+
+            expect(connection.getStatus().unacked).toBe(0);
+            expect(updates(ws).map(u => u.seq)).toEqual([1, undefined]);
+            expect(seed.warn).toHaveBeenCalledWith('default: Backend does not acknowledge updates; delivery is unconfirmed.');
+        });
+
+        it('should pause once too many updates are unacknowledged', () => {
+            const ws = connection.connect();
+            ws.emit('open');
+            connection.queue.maxSize = 2000;
+            for (let i = 0; i < 1001; i++) connection.send(message(`m${i}`));
+
+            expect(updates(ws)).toHaveLength(1000);
+            expect(connection.queue.size).toBe(1);
+
+            reply(ws, 'ack', { seq: 1000 });
+
+            expect(updates(ws)).toHaveLength(1001);
+        });
+
+        it('should deliver every update at least once across forced disconnects', () => {
+            fc.assert(
+                fc.property(
+                    fc.array(fc.constantFrom('send', 'send', 'process', 'drop'), { maxLength: 40 }),
+                    (steps) => {
+                        MockWebSocket.instances = [];
+                        connection = new Connection(createSeed(), { ...TARGET })
+                            .configure({ ...DEFAULTS, deliveryAcks: true, reconnectJitter: 0 });
+                        const server = new StubServer();
+                        server.accept(connection.connect());
+
+                        const ids = [];
+                        for (const step of steps) {
+                            if (step === 'send') {
+                                ids.push(`m${ids.length}`);
+                                connection.send(message(ids.at(-1)));
+                            } else if (step === 'process') {
+                                server.process();
+                            } else {
+                                server.drop();
+                                vi.advanceTimersByTime(DEFAULTS.reconnectMaxDelay);
+                                server.accept(MockWebSocket.instances.at(-1));
+                            }
+                        }
+                        server.process();
+
+                        expect([...server.received].sort()).toEqual([...ids].sort());
+                        expect(connection.getStatus()).toMatchObject({ queued: 0, unacked: 0 });
+                    }
+                )
+            );
+        });
+    });
+
+    describe('send', () => {
+        const update = (viewers) => {
+            const u = new LivestreamUpdate('Test', 'testchannel');
+            u.viewers = viewers;
+            return u;
+        };
+        let ws;
+        const sentUpdates = () => ws.send.mock.calls.map(call => JSON.parse(call[0])).filter(message => message.type !== 'hello');
+        const sentViewers = () => sentUpdates().map(u => u.viewers);
+
+        beforeEach(() => {
+            connection.queue.maxSize = 10;
+            ws = connection.connect();
+            ws.emit('open');
+            ws.send.mockClear();
+        });
+
+        it('should send immediately when the socket is open and nothing is queued', () => {
+            connection.send(update(1));
+
+            expect(sentViewers()).toEqual([1]);
+            expect(connection.queue.size).toBe(0);
+        });
+
+        it('should queue while the socket is closed and drain in order on open', () => {
+            ws.readyState = MockWebSocket.CLOSED;
+            const a = new LivestreamUpdate('Test', 'testchannel');
+            a.removals = ['a'];
+            connection.send(a);
+            connection.send(update(2));
+
+            expect(ws.send).not.toHaveBeenCalled();
+            expect(connection.queue.size).toBe(2);
+
+            ws.emit('open');
+
+            expect(sentUpdates().map(u => u.removals ?? u.viewers)).toEqual([['a'], 2]);
+            expect(connection.queue.size).toBe(0);
+        });
+
+        it('should hold updates until the channel is known', () => {
+            seed.channel = null;
+            connection.send(update(3));
+
+            expect(ws.send).not.toHaveBeenCalled();
+
+            seed.channel = 'testchannel';
+            connection.flush();
+
+            expect(sentViewers()).toEqual([3]);
+        });
+
+        it('should warn when the queue overflows', () => {
+            ws.readyState = MockWebSocket.CLOSED;
+            connection.queue.maxSize = 1;
+            const a = new LivestreamUpdate('Test', 'testchannel');
+            a.removals = ['a'];
+            const b = new LivestreamUpdate('Test', 'testchannel');
+            b.removals = ['b'];
+
+            connection.send(a);
+            connection.send(b);
+
+            expect(seed.warn).toHaveBeenLastCalledWith('default: Outbound queue is full. Dropped updates:', 1);
+        });
+    });
+
+    describe('reconnect backoff', () => {
+        let states;
+
+        beforeEach(() => {
+            vi.useFakeTimers();
+            vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+            connection.reconnectBaseDelay = 1000;
+            connection.reconnectMaxDelay = 10000;
+            connection.reconnectJitter = 0.5;
+            connection.reconnectMaxAttempts = 0;
+            connection.socket = { readyState: MockWebSocket.OPEN };
+            connection.connect = vi.fn(() => {
+                connection.setState(ConnectionState.CONNECTING, { attempt: connection.reconnectAttempts });
+                connection.socket = { readyState: MockWebSocket.CONNECTING, send: vi.fn() };
+            });
+
+            states = [];
+            seed.onConnectionStateChanged = vi.fn((_, change) => states.push(change));
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+            vi.restoreAllMocks();
+        });
+
+        const failOnce = () => connection.onSocketClose(connection.socket, {});
+
+        it('should double the delay after every failed attempt up to the maximum', () => {
+            const delays = [];
+            for (let i = 0; i < 6; i++) {
+                failOnce();
+                delays.push(states.at(-1).delay);
+                vi.advanceTimersByTime(states.at(-1).delay);
+            }
+
+            // Jitter of 0.5 with Math.random() = 0.5 takes a quarter off each delay
+            expect(delays).toEqual([750, 1500, 3000, 6000, 7500, 7500]);
+            expect(connection.connect).toHaveBeenCalledTimes(6);
+        });
+
+        it('should not reconnect before the delay has passed', () => {
+            failOnce();
+            vi.advanceTimersByTime(749);
+
+            expect(connection.connect).not.toHaveBeenCalled();
+
+            vi.advanceTimersByTime(1);
+
+            expect(connection.connect).toHaveBeenCalledTimes(1);
+        });
+
+        it('should keep delays within the jitter range', () => {
+            Math.random.mockReturnValue(0);
+            expect(connection.getReconnectDelay(2)).toBe(4000);
+
+            Math.random.mockReturnValue(0.999);
+            expect(connection.getReconnectDelay(2)).toBe(2002);
+
+            connection.reconnectJitter = 0;
+            expect(connection.getReconnectDelay(20)).toBe(10000);
+        });
+
+        it('should move through backing off, connecting and open', () => {
+            failOnce();
+            vi.advanceTimersByTime(750);
+            connection.onSocketOpen(connection.socket, {});
+
+            expect(states.map(s => s.state)).toEqual([
+                ConnectionState.BACKING_OFF,
+                ConnectionState.CONNECTING,
+                ConnectionState.OPEN,
+            ]);
+            expect(states[0]).toMatchObject({ attempt: 1, delay: 750 });
+            expect(connection.state).toBe(ConnectionState.OPEN);
+        });
+
+        it('should reset the backoff once connected', () => {
+            failOnce();
+            vi.advanceTimersByTime(750);
+            failOnce();
+            vi.advanceTimersByTime(1500);
+            connection.onSocketOpen(connection.socket, {});
+
+            failOnce();
+
+            expect(states.at(-1)).toMatchObject({ state: ConnectionState.BACKING_OFF, attempt: 1, delay: 750 });
+        });
+
+        it('should fail after the maximum number of attempts and recover on reconnect()', () => {
+            connection.reconnectMaxAttempts = 2;
+
+            failOnce();
+            vi.advanceTimersByTime(750);
+            failOnce();
+            vi.advanceTimersByTime(1500);
+            failOnce();
+
+            expect(connection.state).toBe(ConnectionState.FAILED);
+            vi.advanceTimersByTime(60000);
+            expect(connection.connect).toHaveBeenCalledTimes(2);
+
+            connection.reconnect();
+
+            expect(connection.reconnectAttempts).toBe(0);
+            expect(connection.state).toBe(ConnectionState.CONNECTING);
+        });
+
+        it('should ignore closes from sockets that are no longer current', () => {
+            connection.onSocketClose({ readyState: MockWebSocket.CLOSED }, {});
+
+            expect(states).toHaveLength(0);
+            vi.advanceTimersByTime(60000);
+            expect(connection.connect).not.toHaveBeenCalled();
+        });
+
+        it('should take its settings from config', () => {
+            connection.configure({ ...DEFAULTS, queueMaxSize: 7, reconnectMaxAttempts: 3 });
+
+            expect(connection.queue.maxSize).toBe(7);
+            expect(connection.reconnectMaxAttempts).toBe(3);
+        });
+    });
+
+    describe('getStatus', () => {
+        let ws;
+
+        beforeEach(() => {
+            ws = connection.connect();
+            ws.emit('open');
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('should count what was sent', () => {
+            const update = new LivestreamUpdate('Test', 'testchannel');
+            update.messages = [{ id: 'a' }, { id: 'b' }];
+            update.removals = ['c'];
+            connection.send(update);
+
+            expect(connection.getStatus()).toEqual({
+                id: 'default',
+                url: TARGET.url,
+                state: ConnectionState.OPEN,
+                reconnectAttempts: 0,
+                authError: null,
+                server: null,
+                queued: 0,
+                unacked: 0,
+                dropped: 0,
+                sent: { messages: 2, events: 0, removals: 1, updates: 1 },
+                messagesPerMinute: 2,
+            });
+        });
+
+        it('should only count messages from the last minute in the rate', () => {
+            vi.useFakeTimers();
+            const update = new LivestreamUpdate('Test', 'testchannel');
+            update.messages = [{ id: 'a' }];
+            connection.sendUpdate(update);
+
+            vi.advanceTimersByTime(30000);
+            connection.sendUpdate({ ...update, messages: [{ id: 'b' }] });
+            expect(connection.getStatus().messagesPerMinute).toBe(2);
+
+            vi.advanceTimersByTime(30001);
+            expect(connection.getStatus().messagesPerMinute).toBe(1);
+            expect(connection.getStatus().sent.messages).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * CHUCK - Core Message Tests
+ * Tests for message segments and the legacy fields derived from them
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+
+const { ChatMessage, SegmentType, parseSegments } = await import('../../src/core/message.js');
+
+describe('parseSegments', () => {
+    const kappa = { type: SegmentType.EMOTE, text: 'Kappa', url: 'https://example.com/kappa.png', alt: 'Kappa' };
+
+    it('should return no segments for empty text', () => {
+        expect(parseSegments('')).toEqual([]);
+        expect(parseSegments(undefined)).toEqual([]);
+    });
+
+    it('should keep plain text as a single segment', () => {
+        expect(parseSegments('Hello chat!')).toEqual([{ type: SegmentType.TEXT, text: 'Hello chat!' }]);
+    });
+
+    it('should split out mentions', () => {
+        expect(parseSegments('hi @Streamer_1!')).toEqual([
+            { type: SegmentType.TEXT, text: 'hi ' },
+            { type: SegmentType.MENTION, text: '@Streamer_1', username: 'Streamer_1' },
+            { type: SegmentType.TEXT, text: '!' },
+        ]);
+    });
+
+    it('should not treat email addresses as mentions', () => {
+        expect(parseSegments('mail me@example.com')).toEqual([{ type: SegmentType.TEXT, text: 'mail me@example.com' }]);
+    });
+
+    it('should split out links without trailing punctuation', () => {
+        expect(parseSegments('see (https://example.com/a?b=1).')).toEqual([
+            { type: SegmentType.TEXT, text: 'see (' },
+            { type: SegmentType.LINK, text: 'https://example.com/a?b=1', url: 'https://example.com/a?b=1' },
+            { type: SegmentType.TEXT, text: ').' },
+        ]);
+    });
+
+    it('should only match word-like emotes as whole words', () => {
+        const segments = parseSegments('Kappa KappaPride Kappa, Kappa', [kappa]);
+
+        expect(segments.filter(s => s.type === SegmentType.EMOTE)).toHaveLength(2);
+        expect(segments[0]).toEqual(kappa);
+        expect(segments.at(-1)).toEqual(kappa);
+    });
+
+    it('should match delimited emotes anywhere', () => {
+        const smile = { type: SegmentType.EMOTE, text: ':smile:', url: 'https://example.com/smile.png', alt: 'smile' };
+        const segments = parseSegments('a:smile::smile:b', [smile]);
+
+        expect(segments.map(s => s.type)).toEqual([SegmentType.TEXT, SegmentType.EMOTE, SegmentType.EMOTE, SegmentType.TEXT]);
+    });
+
+    it('should prefer the longest overlapping emote', () => {
+        const short = { type: SegmentType.EMOTE, text: ':a:', url: 'short' };
+        const long = { type: SegmentType.EMOTE, text: ':a::b:', url: 'long' };
+
+        expect(parseSegments(':a::b:', [short, long])).toEqual([long]);
+    });
+
+    it('should always join back to the original text', () => {
+        fc.assert(
+            fc.property(fc.string(), (text) => {
+                return parseSegments(text, [kappa]).map(s => s.text).join('') === text;
+            }),
+            { numRuns: 500 }
+        );
+    });
+});
+
+describe('ChatMessage.setSegments', () => {
+    it('should derive message and emojis from segments', () => {
+        const message = new ChatMessage('id', 'Test', 'channel');
+        message.setSegments([
+            { type: SegmentType.TEXT, text: 'gg ' },
+            { type: SegmentType.CHEERMOTE, text: 'Cheer100', url: 'cheer.gif', prefix: 'Cheer', bits: 100 },
+            { type: SegmentType.TEXT, text: ' ' },
+            { type: SegmentType.EMOTE, text: ':wave:', url: 'wave.png', alt: 'wave' },
+        ]);
+
+        expect(message.message).toBe('gg Cheer100 :wave:');
+        expect(message.emojis).toEqual([
+            ['Cheer100', 'cheer.gif', 'Cheer100'],
+            [':wave:', 'wave.png', 'wave'],
+        ]);
+    });
+
+    it('should merge neighbouring text segments', () => {
+        const message = new ChatMessage('id', 'Test', 'channel');
+        message.setSegments([
+            { type: SegmentType.TEXT, text: 'a' },
+            { type: SegmentType.TEXT, text: 'b' },
+        ]);
+
+        expect(message.segments).toEqual([{ type: SegmentType.TEXT, text: 'ab' }]);
+    });
+
+    it('should parse plain text with setMessage', () => {
+        const message = new ChatMessage('id', 'Test', 'channel');
+        message.setMessage('@someone hi');
+
+        expect(message.segments.map(s => s.type)).toEqual([SegmentType.MENTION, SegmentType.TEXT]);
+        expect(message.message).toBe('@someone hi');
+        expect(message.emojis).toEqual([]);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * CHUCK - Protocol Tests
+ * Tests for the hello and welcome messages of the wire protocol
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PROTOCOL_VERSION, CHUCK_VERSION, MessageType, createHello, parseWelcome } from '../../src/core/protocol.js';
+import { version } from '../../package.json';
+
+describe('CHUCK_VERSION', () => {
+    it('should be the package version', () => {
+        expect(CHUCK_VERSION).toBe(version);
+    });
+});
+
+describe('createHello', () => {
+    it('should describe the Seed and what it can do', () => {
+        const seed = { platform: 'Kick', channel: undefined, getFeatures: () => ['messages', 'inject_message'] };
+
+        expect(createHello(seed)).toEqual({
+            type: MessageType.HELLO,
+            data: {
+                protocol: PROTOCOL_VERSION,
+                version: CHUCK_VERSION,
+                platform: 'Kick',
+                channel: null,
+                url: window.location.href,
+                features: ['messages', 'inject_message'],
+            },
+        });
+    });
+});
+
+describe('parseWelcome', () => {
+    it('should keep known fields only', () => {
+        expect(parseWelcome({ protocol: 2, version: '1.4.0', features: ['ack', 'batch'], extra: { nested: true } })).toEqual({
+            protocol: 2,
+            version: '1.4.0',
+            features: ['ack', 'batch'],
+        });
+    });
+
+    it('should fill in defaults for missing or malformed fields', () => {
+        const defaults = { protocol: PROTOCOL_VERSION, version: null, features: [] };
+
+        expect(parseWelcome(undefined)).toEqual(defaults);
+        expect(parseWelcome('welcome')).toEqual(defaults);
+        expect(parseWelcome({ protocol: '2', version: 3, features: 'ack' })).toEqual(defaults);
+        expect(parseWelcome({ features: ['ack', null, { name: 'batch' }] }).features).toEqual(['ack']);
+    });
+});
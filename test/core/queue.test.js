@@ -0,0 +1,382 @@
+/**
+ * CHUCK - Outbound Queue Tests
+ * Tests for ordering, deduplication, overflow, acknowledgement and persistence of queued updates
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+
+const { OutboundQueue, OverflowPolicy } = await import('../../src/core/queue.js');
+const { ChatMessage, LivestreamUpdate } = await import('../../src/core/message.js');
+
+function messageUpdate(...ids) {
+    const update = new LivestreamUpdate('Test', 'testchannel');
+    update.messages = ids.map(id => new ChatMessage(id, 'Test', 'testchannel'));
+    return update;
+}
+
+function viewerUpdate(viewers) {
+    const update = new LivestreamUpdate('Test', 'testchannel');
+    update.viewers = viewers;
+    return update;
+}
+
+function drainAll(queue) {
+    const sent = [];
+    queue.drain(update => { sent.push(update); });
+    return sent;
+}
+
+/**
+ * Stand in for IndexedDB with records shared by every queue given the same store
+ */
+function mockDatabase(queue, store) {
+    queue._openDatabase = vi.fn(() => Promise.resolve({}));
+    queue._loadPersisted = vi.fn(() => Promise.resolve(store.records.filter(record => record.queue === queue.name)));
+    queue._adoptPersisted = vi.fn((records) => {
+        store.records = store.records.map(record => (records.includes(record) ? { ...record, tab: queue.tab } : record));
+        return Promise.resolve();
+    });
+    queue._persist = vi.fn((entry) => {
+        if (!queue.db) return;
+        entry.key = store.nextKey++;
+        store.records.push({ key: entry.key, queue: queue.name, tab: queue.tab, update: entry.update });
+    });
+    queue._removePersisted = vi.fn((keys) => {
+        store.records = store.records.filter(record => !keys.includes(record.key));
+    });
+}
+
+describe('OutboundQueue', () => {
+    let queue;
+
+    beforeEach(() => {
+        queue = new OutboundQueue('Test', 3, OverflowPolicy.DROP_OLDEST);
+    });
+
+    describe('push and drain', () => {
+        it('should drain updates in the order they were pushed', () => {
+            queue.push(messageUpdate('a'));
+            queue.push(viewerUpdate(10));
+            queue.push(messageUpdate('b'));
+
+            const sent = drainAll(queue);
+
+            expect(sent.map(u => u.messages?.[0].id ?? u.viewers)).toEqual(['a', 10, 'b']);
+            expect(queue.size).toBe(0);
+        });
+
+        it('should stop draining when send refuses an update', () => {
+            queue.push(messageUpdate('a'));
+            queue.push(messageUpdate('b'));
+
+            const send = vi.fn().mockReturnValueOnce(true).mockReturnValueOnce(false);
+
+            expect(queue.drain(send)).toBe(1);
+            expect(queue.size).toBe(1);
+            expect(queue.entries[0].update.messages[0].id).toBe('b');
+        });
+
+        it('should allow a message id again once it has been sent', () => {
+            queue.push(messageUpdate('a'));
+            drainAll(queue);
+
+            queue.push(messageUpdate('a'));
+
+            expect(queue.size).toBe(1);
+        });
+    });
+
+    describe('deduplication', () => {
+        it('should drop messages that are already queued', () => {
+            queue.push(messageUpdate('a', 'b'));
+            queue.push(messageUpdate('b', 'c'));
+
+            const sent = drainAll(queue);
+
+            expect(sent[1].messages.map(m => m.id)).toEqual(['c']);
+        });
+
+        it('should skip an update whose messages are all queued', () => {
+            queue.push(messageUpdate('a'));
+            queue.push(messageUpdate('a'));
+
+            expect(queue.size).toBe(1);
+        });
+
+        it('should skip empty updates', () => {
+            queue.push(messageUpdate());
+            queue.push(new LivestreamUpdate('Test', 'testchannel'));
+
+            expect(queue.size).toBe(0);
+        });
+
+        it('should keep only the latest queued viewer count', () => {
+            queue.push(viewerUpdate(10));
+            queue.push(messageUpdate('a'));
+            queue.push(viewerUpdate(12));
+
+            const sent = drainAll(queue);
+
+            expect(sent.map(u => u.messages?.[0].id ?? u.viewers)).toEqual(['a', 12]);
+        });
+    });
+
+    describe('overflow', () => {
+        it('should drop the oldest update by default', () => {
+            ['a', 'b', 'c', 'd'].forEach(id => queue.push(messageUpdate(id)));
+
+            expect(queue.size).toBe(3);
+            expect(queue.dropped).toBe(1);
+            expect(drainAll(queue).map(u => u.messages[0].id)).toEqual(['b', 'c', 'd']);
+        });
+
+        it('should refuse new updates with drop_newest', () => {
+            queue.overflow = OverflowPolicy.DROP_NEWEST;
+            ['a', 'b', 'c'].forEach(id => queue.push(messageUpdate(id)));
+
+            expect(queue.push(messageUpdate('d'))).toBe(false);
+            expect(queue.dropped).toBe(1);
+            expect(drainAll(queue).map(u => u.messages[0].id)).toEqual(['a', 'b', 'c']);
+        });
+
+        it('should forget ids of dropped updates', () => {
+            ['a', 'b', 'c', 'd'].forEach(id => queue.push(messageUpdate(id)));
+
+            expect(queue.ids.has('a')).toBe(false);
+            expect(queue.push(messageUpdate('a'))).toBe(true);
+        });
+    });
+
+    describe('acknowledgement', () => {
+        const hold = (count) => {
+            let sent = 0;
+            return queue.drain((update, entry) => {
+                if (sent === count) return false;
+                entry.seq = ++sent;
+                return true;
+            }, { hold: true });
+        };
+
+        beforeEach(() => {
+            queue.push(messageUpdate('a'));
+            queue.push(messageUpdate('b'));
+            queue.push(messageUpdate('c'));
+        });
+
+        it('should keep held updates in flight until acknowledged', () => {
+            expect(hold(2)).toBe(2);
+            expect(queue.size).toBe(1);
+            expect(queue.inflight.map(entry => entry.seq)).toEqual([1, 2]);
+
+            expect(queue.acknowledge(entry => entry.seq <= 1)).toBe(1);
+            expect(queue.inflight.map(entry => entry.seq)).toEqual([2]);
+        });
+
+        it('should keep refusing duplicates of updates in flight', () => {
+            hold(1);
+            queue.push(messageUpdate('a'));
+
+            expect(queue.size).toBe(2);
+
+            queue.acknowledge(() => true);
+            expect(queue.push(messageUpdate('a'))).toBe(true);
+            expect(queue.size).toBe(3);
+        });
+
+        it('should put unacknowledged updates back in front, in order', () => {
+            hold(2);
+
+            expect(queue.requeue()).toBe(2);
+            expect(queue.inflight).toEqual([]);
+            expect(drainAll(queue).map(u => u.messages[0].id)).toEqual(['a', 'b', 'c']);
+        });
+
+        it('should clear updates in flight too', () => {
+            hold(2);
+            queue.clear();
+
+            expect(queue.size).toBe(0);
+            expect(queue.inflight).toEqual([]);
+            expect(queue.ids.size).toBe(0);
+        });
+    });
+
+    describe('persistence', () => {
+        let store;
+
+        beforeEach(() => {
+            store = { records: [], nextKey: 1 };
+            queue.tab = 'tab-a';
+            mockDatabase(queue, store);
+        });
+
+        it('should restore persisted updates ahead of ones pushed before opening', async () => {
+            store.records.push({ key: 1, queue: 'Test', tab: 'tab-a', update: messageUpdate('old') });
+            queue.push(messageUpdate('new'));
+
+            expect(await queue.open()).toBe(1);
+            expect(drainAll(queue).map(u => u.messages[0].id)).toEqual(['old', 'new']);
+        });
+
+        it('should persist pushed updates and remove them once sent', async () => {
+            await queue.open();
+            queue.push(messageUpdate('a'));
+            queue.push(messageUpdate('b'));
+
+            expect(store.records).toHaveLength(2);
+
+            queue.drain(() => true);
+
+            expect(store.records).toHaveLength(0);
+        });
+
+        it('should keep updates in flight persisted until acknowledged', async () => {
+            await queue.open();
+            queue.push(messageUpdate('a'));
+            queue.drain(() => true, { hold: true });
+
+            expect(store.records).toHaveLength(1);
+
+            queue.acknowledge(() => true);
+
+            expect(store.records).toHaveLength(0);
+        });
+
+        it('should discard restored duplicates', async () => {
+            store.records.push({ key: 1, queue: 'Test', tab: 'tab-a', update: messageUpdate('a') });
+            store.records.push({ key: 2, queue: 'Test', tab: 'tab-a', update: messageUpdate('a') });
+
+            await queue.open();
+
+            expect(queue.size).toBe(1);
+            expect(queue._removePersisted).toHaveBeenCalledWith([2]);
+        });
+
+        it('should fall back to memory when the database cannot open', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            queue._openDatabase = vi.fn(() => Promise.reject(new Error('blocked')));
+            queue.push(messageUpdate('a'));
+
+            expect(await queue.open()).toBe(0);
+            expect(queue.size).toBe(1);
+            warn.mockRestore();
+        });
+
+        describe('tabs sharing a queue name', () => {
+            let other;
+            let liveTabs;
+
+            beforeEach(() => {
+                other = new OutboundQueue('Test', 3, OverflowPolicy.DROP_OLDEST);
+                other.tab = 'tab-b';
+                mockDatabase(other, store);
+                liveTabs = vi.spyOn(OutboundQueue, 'liveTabs').mockResolvedValue(new Set(['tab-a', 'tab-b']));
+            });
+
+            afterEach(() => {
+                liveTabs.mockRestore();
+            });
+
+            it('should leave updates another open tab holds in flight alone', async () => {
+                await queue.open();
+                queue.push(messageUpdate('a'));
+                queue.push(messageUpdate('b'));
+                queue.drain(() => true, { hold: true });
+
+                expect(await other.open()).toBe(0);
+                expect(other.requeue()).toBe(0);
+                expect(drainAll(other)).toEqual([]);
+
+                queue.acknowledge(() => true);
+                expect(store.records).toHaveLength(0);
+            });
+
+            it('should keep records of each tab under its own id', async () => {
+                await queue.open();
+                await other.open();
+                queue.push(messageUpdate('a'));
+                other.push(messageUpdate('b'));
+
+                expect(store.records.map(record => [record.tab, record.update.messages[0].id])).toEqual([['tab-a', 'a'], ['tab-b', 'b']]);
+            });
+
+            it('should take over updates of a tab that has closed', async () => {
+                store.records.push({ key: 1, queue: 'Test', tab: 'tab-gone', update: messageUpdate('a') });
+                store.records.push({ key: 2, queue: 'Test', tab: 'tab-a', update: messageUpdate('b') });
+
+                expect(await other.open()).toBe(1);
+                expect(drainAll(other).map(u => u.messages[0].id)).toEqual(['a']);
+                expect(store.records.map(record => record.tab)).toEqual(['tab-a']);
+            });
+
+            it('should not take over anything when open tabs cannot be known', async () => {
+                liveTabs.mockResolvedValue(null);
+                store.records.push({ key: 1, queue: 'Test', tab: 'tab-gone', update: messageUpdate('a') });
+
+                expect(await other.open()).toBe(0);
+                expect(store.records).toHaveLength(1);
+            });
+        });
+    });
+
+    describe('claimTab', () => {
+        beforeEach(() => {
+            OutboundQueue._tab = null;
+            sessionStorage.clear();
+        });
+
+        afterEach(() => {
+            OutboundQueue._tab = null;
+            sessionStorage.clear();
+            vi.unstubAllGlobals();
+        });
+
+        it('should keep the id across reloads of the tab', async () => {
+            const id = await OutboundQueue.claimTab();
+
+            expect(sessionStorage.getItem(OutboundQueue.tabKey)).toBe(id);
+            OutboundQueue._tab = null;
+            expect(await OutboundQueue.claimTab()).toBe(id);
+        });
+
+        it('should pick a new id when another tab holds the stored one', async () => {
+            const held = new Set([`${OutboundQueue.tabLockPrefix}copied`]);
+            vi.stubGlobal('navigator', {
+                locks: {
+                    request: (name, options, callback) => {
+                        const lock = held.has(name) ? null : { name };
+                        if (lock) held.add(name);
+                        return Promise.resolve(callback(lock));
+                    },
+                    query: () => Promise.resolve({ held: [...held].map(name => ({ name })) }),
+                },
+            });
+            sessionStorage.setItem(OutboundQueue.tabKey, 'copied');
+
+            const id = await OutboundQueue.claimTab();
+
+            expect(id).not.toBe('copied');
+            expect(await OutboundQueue.liveTabs()).toEqual(new Set(['copied', id]));
+        });
+    });
+
+    describe('Fuzzing: queue invariants', () => {
+        it('should never exceed its size or hold duplicate ids', () => {
+            fc.assert(
+                fc.property(
+                    fc.array(fc.array(fc.constantFrom('a', 'b', 'c', 'd', 'e'), { maxLength: 3 }), { maxLength: 30 }),
+                    fc.constantFrom(OverflowPolicy.DROP_OLDEST, OverflowPolicy.DROP_NEWEST),
+                    (batches, overflow) => {
+                        const q = new OutboundQueue('Fuzz', 4, overflow);
+                        batches.forEach(ids => q.push(messageUpdate(...ids)));
+
+                        const ids = q.entries.flatMap(e => e.update.messages.map(m => m.id));
+                        return q.size <= 4 && new Set(ids).size === ids.length;
+                    }
+                ),
+                { numRuns: 300 }
+            );
+        });
+    });
+});
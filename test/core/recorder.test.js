@@ -0,0 +1,194 @@
+/**
+ * CHUCK - Recorder Tests
+ * Tests for manual and background recording, budgets and payload truncation
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Recorder, EventStatus, EventType } from '../../src/core/recorder.js';
+import { DEFAULTS } from '../../src/core/config.js';
+
+const MINUTE = 60 * 1000;
+
+describe('Recorder', () => {
+    let recorder;
+
+    const record = (payload = 'x', url = 'wss://example/ws') => recorder.recordWebSocket('in', url, payload, EventStatus.HANDLED);
+    const payloads = () => recorder.events.map(event => event.payload);
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        recorder = new Recorder('Test');
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('should only keep events while recording but count them all', () => {
+        record('before');
+        recorder.start();
+        record('during');
+        recorder.stop();
+        record('after');
+
+        expect(payloads()).toEqual(['during']);
+        expect(recorder.totals.events).toBe(3);
+    });
+
+    describe('manual recording', () => {
+        it('should stop once the event budget is used up', () => {
+            recorder.configure({ recorderMaxEvents: 2 });
+            recorder.start();
+            ['a', 'b', 'c', 'd'].forEach(payload => record(payload));
+
+            expect(payloads()).toEqual(['a', 'b']);
+            expect(recorder.recording).toBe(false);
+        });
+
+        it('should stop once the size budget is used up', () => {
+            recorder.configure({ recorderMaxMegabytes: 1 });
+            recorder.start();
+            record('a'.repeat(600 * 1024));
+            record('b'.repeat(600 * 1024));
+
+            expect(recorder.events).toHaveLength(1);
+            expect(recorder.recording).toBe(false);
+        });
+
+        it('should keep events of any age', () => {
+            vi.useFakeTimers();
+            recorder.configure({ recorderRetentionMinutes: 1 });
+            recorder.start();
+            record('old');
+            vi.advanceTimersByTime(5 * MINUTE);
+            record('new');
+
+            expect(payloads()).toEqual(['old', 'new']);
+            expect(recorder.export().events).toHaveLength(2);
+        });
+    });
+
+    describe('background recording', () => {
+        it('should start when turned on and stop when turned off', () => {
+            recorder.configure({ recorderContinuous: true });
+            expect(recorder.recording).toBe(true);
+            record('kept');
+
+            recorder.configure({ recorderContinuous: false });
+            expect(recorder.recording).toBe(false);
+            expect(payloads()).toEqual(['kept']);
+        });
+
+        it('should stay stopped when stopped by hand and other settings change', () => {
+            recorder.configure({ recorderContinuous: true });
+            recorder.stop();
+
+            recorder.configure({ recorderContinuous: true, recorderMaxEvents: 50 });
+
+            expect(recorder.recording).toBe(false);
+        });
+
+        it('should keep the latest events within the event budget', () => {
+            recorder.configure({ recorderContinuous: true, recorderMaxEvents: 3 });
+            ['a', 'b', 'c', 'd', 'e'].forEach(payload => record(payload));
+
+            expect(payloads()).toEqual(['c', 'd', 'e']);
+            expect(recorder.recording).toBe(true);
+            expect(recorder.getStats()).toMatchObject({ continuous: true, totalEvents: 3, dropped: 2, bytes: 3 });
+        });
+
+        it('should drop the oldest events to stay within the size budget', () => {
+            recorder.configure({ recorderContinuous: true, recorderMaxMegabytes: 1 });
+            record('a'.repeat(400 * 1024));
+            record('b'.repeat(400 * 1024));
+            record('c'.repeat(400 * 1024));
+
+            expect(payloads().map(payload => payload[0])).toEqual(['b', 'c']);
+            expect(recorder.bytes).toBe(800 * 1024);
+        });
+
+        it('should only keep the last retention period', () => {
+            vi.useFakeTimers();
+            recorder.configure({ recorderContinuous: true, recorderRetentionMinutes: 2 });
+            record('first');
+            vi.advanceTimersByTime(MINUTE);
+            record('second');
+            vi.advanceTimersByTime(90 * 1000);
+            record('third');
+
+            expect(payloads()).toEqual(['second', 'third']);
+
+            // Nothing new arrived, but the download still covers only the last two minutes
+            vi.advanceTimersByTime(MINUTE);
+            expect(recorder.export().events.map(event => event.payload)).toEqual(['third']);
+        });
+
+        it('should keep everything within budget when retention is 0', () => {
+            vi.useFakeTimers();
+            recorder.configure({ recorderContinuous: true, recorderRetentionMinutes: 0 });
+            record('old');
+            vi.advanceTimersByTime(60 * MINUTE);
+            record('new');
+
+            expect(payloads()).toEqual(['old', 'new']);
+        });
+
+        it('should apply a smaller budget straight away', () => {
+            recorder.configure({ recorderContinuous: true });
+            ['a', 'b', 'c'].forEach(payload => record(payload));
+
+            recorder.configure({ recorderContinuous: true, recorderMaxEvents: 1 });
+
+            expect(payloads()).toEqual(['c']);
+        });
+
+        it('should start over from now when cleared', () => {
+            vi.useFakeTimers();
+            recorder.configure({ recorderContinuous: true, recorderMaxEvents: 1 });
+            record('a');
+            record('b');
+            vi.advanceTimersByTime(1000);
+
+            recorder.clear();
+            record('c');
+
+            expect(recorder.getStats()).toMatchObject({ recording: true, totalEvents: 1, dropped: 0 });
+            expect(recorder.events[0].relativeTime).toBe(0);
+        });
+    });
+
+    describe('payload truncation', () => {
+        it('should cut long payloads and mark them truncated', () => {
+            recorder.configure({ recorderMaxPayload: 5 });
+            recorder.start();
+            record('0123456789');
+            record('short');
+
+            const [long, short] = recorder.events;
+            expect(long).toMatchObject({ payload: '01234', payloadSize: 10, truncated: true });
+            expect(short).toMatchObject({ payload: 'short', payloadSize: 5, truncated: false });
+            expect(recorder.bytes).toBe(10);
+        });
+
+        it('should cut the parsed result too', () => {
+            recorder.configure({ recorderMaxPayload: 20 });
+            recorder.start();
+            recorder.recordChatMessage({ id: 'msg-1', message: 'a long enough message' });
+
+            const [event] = recorder.getByType(EventType.CHAT_MESSAGE);
+            expect(event.parsed).toHaveLength(20);
+            expect(event.truncated).toBe(true);
+        });
+
+        it('should keep payloads whole when the limit is 0', () => {
+            recorder.configure({ recorderMaxPayload: 0 });
+            recorder.start();
+            record('x'.repeat(DEFAULTS.recorderMaxPayload + 1));
+
+            expect(recorder.events[0].truncated).toBe(false);
+            expect(recorder.events[0].payload).toHaveLength(DEFAULTS.recorderMaxPayload + 1);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * CHUCK - Schema Tests
+ * Tests for the update and command schemas and their validator
+ */
+
+import { describe, it, expect } from 'vitest';
+import { LIVESTREAM_UPDATE_SCHEMA, SERVER_COMMAND_SCHEMA, validate } from '../../src/core/schema.js';
+import { ChatMessage, LivestreamUpdate, StreamEvent, StreamEventType } from '../../src/core/message.js';
+
+function update(fields = {}) {
+    return Object.assign(new LivestreamUpdate('Kick', 'testchannel'), fields);
+}
+
+function chatMessage(fields = {}) {
+    return Object.assign(new ChatMessage('msg-1', 'Kick', 'testchannel'), { username: 'TestUser', message: 'Hello' }, fields);
+}
+
+describe('validate', () => {
+    it('should accept updates built from the message classes', () => {
+        const event = new StreamEvent('evt-1', 'Kick', 'testchannel', StreamEventType.FOLLOW);
+        event.actor = { id: 1, username: 'follower', avatar: null };
+
+        expect(validate(update({ messages: [chatMessage()], events: [event], removals: ['msg-0'], viewers: 12 }))).toEqual([]);
+        expect(validate(JSON.parse(JSON.stringify(update({ messages: [chatMessage()] }))))).toEqual([]);
+    });
+
+    it('should reject timestamps in seconds', () => {
+        const errors = validate(update({ messages: [chatMessage({ sent_at: 1700000000 })] }));
+
+        expect(errors).toEqual([{ path: 'messages[0].sent_at', message: 'must be at least 1000000000000, got 1700000000' }]);
+    });
+
+    it('should name missing fields and wrong types by path', () => {
+        const message = chatMessage({ is_mod: 'yes' });
+        delete message.username;
+
+        expect(validate(update({ messages: [message], viewers: -1 }))).toEqual([
+            { path: 'messages[0]', message: 'is missing username' },
+            { path: 'messages[0].is_mod', message: 'must be boolean, got string' },
+            { path: 'viewers', message: 'must be at least 0, got -1' },
+        ]);
+    });
+
+    it('should reject unknown segment and event types', () => {
+        const event = new StreamEvent('evt-1', 'Kick', 'testchannel', 'party');
+        const message = chatMessage({ segments: [{ type: 'sparkle', text: 'hi' }] });
+
+        expect(validate(update({ messages: [message], events: [event] })).map(error => error.path))
+            .toEqual(['messages[0].segments[0].type', 'events[0].type']);
+    });
+
+    it('should allow fields the schema does not list', () => {
+        expect(validate(update({ seq: 3, compressed: true }))).toEqual([]);
+    });
+
+    it('should report a value that is not an object at the root', () => {
+        expect(validate(null)).toEqual([{ path: '(root)', message: 'must be object, got null' }]);
+    });
+
+    it('should check against any schema given', () => {
+        const schema = { type: 'array', items: { type: 'integer' }, maxItems: 2 };
+
+        expect(validate([1, 2], schema)).toEqual([]);
+        expect(validate([1, 2.5, 3], schema).map(error => error.path)).toEqual(['(root)', '[1]']);
+    });
+});
+
+describe('SERVER_COMMAND_SCHEMA', () => {
+    const check = command => validate(command, SERVER_COMMAND_SCHEMA);
+
+    it('should accept the commands a backend sends', () => {
+        expect(check({ type: 'welcome', data: { protocol: 1, version: '1.4.0', features: ['ack'] } })).toEqual([]);
+        expect(check({ type: 'ack', data: { seq: 42 } })).toEqual([]);
+        expect(check({ type: 'inject_message', data: { username: 'SNEED', message: 'Hi', sent_at: 1705320000000 } })).toEqual([]);
+        expect(check({ type: 'auth_challenge', data: { nonce: 'abc' } })).toEqual([]);
+        expect(check({ type: 'auth_ok' })).toEqual([]);
+        expect(check({ type: 'auth_failed' })).toEqual([]);
+    });
+
+    it('should check data against the command named by type', () => {
+        expect(check({ type: 'ack', data: { seq: '42' } })).toEqual([{ path: 'data.seq', message: 'must be integer, got string' }]);
+        expect(check({ type: 'inject_message', data: { username: 'SNEED' } })).toEqual([{ path: 'data', message: 'is missing message' }]);
+        expect(check({ type: 'auth_challenge' })).toEqual([{ path: '(root)', message: 'is missing data' }]);
+    });
+
+    it('should let commands CHUCK does not know through', () => {
+        expect(check({ type: 'future_command', data: 'anything' })).toEqual([]);
+        expect(check({ data: {} })).toEqual([{ path: '(root)', message: 'is missing type' }]);
+    });
+});
+
+describe('published schemas', () => {
+    // Regenerate with `npx vitest run test/core/schema.test.js -u` after changing src/core/schema.js
+    it.each([
+        ['livestream-update.json', LIVESTREAM_UPDATE_SCHEMA],
+        ['server-command.json', SERVER_COMMAND_SCHEMA],
+    ])('schema/%s should match src/core/schema.js', async (file, schema) => {
+        expect(JSON.parse(JSON.stringify(schema))).toEqual(schema);
+        await expect(`${JSON.stringify(schema, null, 2)}\n`).toMatchFileSnapshot(`../../schema/${file}`);
+    });
+
+    it('should be named by where they are published', () => {
+        expect(LIVESTREAM_UPDATE_SCHEMA.$id).toMatch(/\/schema\/livestream-update\.json$/);
+        expect(SERVER_COMMAND_SCHEMA.$id).toMatch(/\/schema\/server-command\.json$/);
+    });
+});
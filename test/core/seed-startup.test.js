@@ -0,0 +1,82 @@
+/**
+ * CHUCK - Seed Startup Tests
+ * Tests that a real Seed patches the page before its config arrives
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// jsdom has no EventSource; the Seed patches it on start
+window.EventSource ??= class {
+    addEventListener() {}
+};
+
+const { Seed } = await import('../../src/core/seed.js');
+const { Config, DEFAULTS } = await import('../../src/core/config.js');
+const { Connection } = await import('../../src/core/connection.js');
+
+class TestSeed extends Seed {
+    ready = 0;
+
+    constructor() {
+        super('00000000-0000-0000-0000-000000000000', 'Test', 'testchannel');
+    }
+
+    onDocumentReady() {
+        this.ready++;
+    }
+}
+
+describe('Seed startup', () => {
+    let resolveConfig;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(Config, 'getAll').mockReturnValue(new Promise(resolve => { resolveConfig = resolve; }));
+        vi.spyOn(Connection.prototype, 'connect').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should patch the page before config arrives', () => {
+        new TestSeed();
+
+        expect(window.WebSocket.chuck_patched).toBe(true);
+        expect(window.fetch.chuck_patched).toBe(true);
+        expect(window.XMLHttpRequest.prototype.open.chuck_patched).toBe(true);
+    });
+
+    it('should connect straight away when the document has already loaded', async () => {
+        const seed = new TestSeed();
+        await Promise.resolve();
+
+        expect(seed.ready).toBe(1);
+        expect(seed.connectRequested).toBe(true);
+        expect(seed.connections[0].connect).toHaveBeenCalled();
+    });
+
+    it('should wait for DOMContentLoaded while the document is loading', async () => {
+        vi.spyOn(document, 'readyState', 'get').mockReturnValue('loading');
+        const seed = new TestSeed();
+        await Promise.resolve();
+
+        expect(seed.connectRequested).toBe(false);
+
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+
+        expect(seed.ready).toBe(1);
+        expect(seed.connectRequested).toBe(true);
+    });
+
+    it('should apply the config once it arrives', async () => {
+        const seed = new TestSeed();
+        expect(seed.connections[0].target.url).toBe(DEFAULTS.serverUrl);
+
+        resolveConfig({ ...DEFAULTS, serverUrl: 'ws://example.test/chat.ws', platforms: { testseed: false } });
+        await seed.configLoaded;
+
+        expect(seed.connections[0].target.url).toBe('ws://example.test/chat.ws');
+        expect(seed.disabled).toBe(true);
+    });
+});
@@ -3,7 +3,7 @@
  * Tests for base Seed class command dispatcher and message handling
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import * as fc from 'fast-check';
 
 // Mock browser globals before importing Seed
@@ -48,6 +48,11 @@ vi.stubGlobal('unsafeWindow', undefined);
 
 // Import after mocks are set up
 const { Seed } = await import('../../src/core/seed.js');
+const { Connection, ConnectionState } = await import('../../src/core/connection.js');
+const { StreamEvent, StreamEventType, LivestreamUpdate } = await import('../../src/core/message.js');
+const { BridgeMethod } = await import('../../src/core/bridge.js');
+const { DEFAULTS } = await import('../../src/core/config.js');
+const { Recorder } = await import('../../src/core/recorder.js');
 
 describe('Seed Base Class', () => {
     describe('handleServerCommand', () => {
@@ -101,6 +106,17 @@ describe('Seed Base Class', () => {
         });
     });
 
+    describe('getFeatures', () => {
+        it('should only list inject_message for platforms that implement it', () => {
+            class Injecting extends Seed {
+                injectMessage() {}
+            }
+
+            expect(Object.create(Seed.prototype).getFeatures()).toEqual(['messages', 'events', 'removals', 'viewers']);
+            expect(Object.create(Injecting.prototype).getFeatures()).toContain('inject_message');
+        });
+    });
+
     describe('onChatSocketMessage', () => {
         let seed;
 
@@ -165,6 +181,581 @@ describe('Seed Base Class', () => {
         });
     });
 
+    describe('sendStreamEvents', () => {
+        let seed;
+
+        beforeEach(() => {
+            seed = Object.create(Seed.prototype);
+            seed.platform = 'Test';
+            seed.channel = 'testchannel';
+            seed.namespace = '6efe7271-da75-4c2f-93fc-ddf37d02b8a9';
+            seed._debug = vi.fn();
+            seed.log = vi.fn();
+            seed.warn = vi.fn();
+            seed.recorder = { recordStreamEvent: vi.fn(), recordChatMessage: vi.fn() };
+            seed.queueLivestreamUpdate = vi.fn();
+        });
+
+        it('should create events with deterministic ids', () => {
+            const a = seed.prepareStreamEvent(StreamEventType.RAID, 'abc');
+            const b = seed.prepareStreamEvent(StreamEventType.RAID, 'abc');
+            const c = seed.prepareStreamEvent(StreamEventType.FOLLOW, 'abc');
+
+            expect(a).toBeInstanceOf(StreamEvent);
+            expect(a.id).toBe(b.id);
+            expect(a.id).not.toBe(c.id);
+            expect(a.platform).toBe('Test');
+            expect(a.channel).toBe('testchannel');
+            expect(a.type).toBe('raid');
+        });
+
+        it('should queue a LivestreamUpdate carrying only events', () => {
+            const events = [seed.prepareStreamEvent(StreamEventType.PIN, '1')];
+
+            seed.sendStreamEvents(events);
+
+            const update = seed.queueLivestreamUpdate.mock.calls[0][0];
+            expect(update.platform).toBe('Test');
+            expect(update.channel).toBe('testchannel');
+            expect(update.events).toBe(events);
+            expect(update.messages).toBeUndefined();
+            expect(seed.recorder.recordStreamEvent).toHaveBeenCalledWith(events[0]);
+        });
+
+        it('should accept a single StreamEvent', () => {
+            const event = seed.prepareStreamEvent(StreamEventType.GOAL, '1');
+
+            seed.sendStreamEvents(event);
+
+            expect(seed.queueLivestreamUpdate.mock.calls[0][0].events).toEqual([event]);
+        });
+
+        it('should reject invalid input', () => {
+            seed.sendStreamEvents('nope');
+
+            expect(seed.warn).toHaveBeenCalled();
+            expect(seed.queueLivestreamUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should emit a subscription event alongside the legacy chat line', () => {
+            seed.receiveSubscriptions({ id: 'sub-1', gifted: true, buyer: 'Gifter', count: 3, value: 5 });
+
+            const [chatUpdate, eventUpdate] = seed.queueLivestreamUpdate.mock.calls.map(call => call[0]);
+            expect(chatUpdate.messages[0].amount).toBe(15);
+            const event = eventUpdate.events[0];
+            expect(event.type).toBe(StreamEventType.GIFT_SUBSCRIPTION);
+            expect(event.actor.username).toBe('Gifter');
+            expect(event.amount).toBe(15);
+            expect(event.currency).toBe('USD');
+            expect(event.payload).toEqual({ count: 3 });
+        });
+    });
+
+    describe('trackUserMessage', () => {
+        let seed;
+
+        beforeEach(() => {
+            seed = Object.create(Seed.prototype);
+            seed.messageIdsByUser = new Map();
+        });
+
+        it('should cap the number of ids kept per user', () => {
+            for (let i = 0; i < Seed.maxTrackedMessagesPerUser + 5; i++) {
+                seed.trackUserMessage('1', `msg-${i}`);
+            }
+
+            const ids = seed.messageIdsByUser.get('1');
+            expect(ids).toHaveLength(Seed.maxTrackedMessagesPerUser);
+            expect(ids[0]).toBe('msg-5');
+        });
+
+        it('should evict the least recently active user', () => {
+            for (let i = 0; i < Seed.maxTrackedUsers; i++) {
+                seed.trackUserMessage(`user-${i}`, 'x');
+            }
+            seed.trackUserMessage('user-0', 'y');
+            seed.trackUserMessage('newcomer', 'z');
+
+            expect(seed.messageIdsByUser.has('user-0')).toBe(true);
+            expect(seed.messageIdsByUser.has('user-1')).toBe(false);
+            expect(seed.messageIdsByUser.size).toBe(Seed.maxTrackedUsers);
+        });
+
+        it('should use the limits of the platform subclass', () => {
+            class Small extends Seed {
+                static maxTrackedUsers = 1;
+                static maxTrackedMessagesPerUser = 2;
+            }
+            seed = Object.create(Small.prototype);
+            seed.messageIdsByUser = new Map();
+
+            ['a', 'b', 'c'].forEach(id => seed.trackUserMessage('1', id));
+            expect(seed.messageIdsByUser.get('1')).toEqual(['b', 'c']);
+            seed.trackUserMessage('2', 'd');
+
+            expect([...seed.messageIdsByUser]).toEqual([['2', ['d']]]);
+            expect(Seed.maxTrackedUsers).toBe(1000);
+        });
+
+        it('should treat numeric and string user ids alike', () => {
+            seed.trackUserMessage(42, 'a');
+
+            expect(seed.takeUserMessages('42')).toEqual(['a']);
+            expect(seed.messageIdsByUser.size).toBe(0);
+        });
+
+        it('should ignore missing user or message ids', () => {
+            seed.trackUserMessage(undefined, 'x');
+            seed.trackUserMessage('1', null);
+
+            expect(seed.messageIdsByUser.size).toBe(0);
+        });
+    });
+
+    describe('backend connections', () => {
+        let seed;
+        let config;
+
+        const targets = (...list) => ({ ...config, targets: list });
+        const ids = () => seed.connections.map(connection => connection.target.id);
+
+        beforeEach(() => {
+            vi.spyOn(Connection.prototype, 'connect').mockImplementation(function () {
+                this.setState(ConnectionState.CONNECTING);
+            });
+
+            // Object.create(Seed.prototype) has the platform key 'seed'
+            seed = Object.create(Seed.prototype);
+            seed.platform = 'Test';
+            seed.channel = 'testchannel';
+            seed.viewers = 42;
+            seed.connections = [];
+            seed.connectionListeners = new Set();
+            seed.log = vi.fn();
+            seed.warn = vi.fn();
+            seed.error = vi.fn();
+            seed._debug = vi.fn();
+            seed.recorder = { configure: vi.fn(), getStats: vi.fn(() => ({ totals: { events: 3, byStatus: { unhandled: 2 } } })) };
+            config = { ...DEFAULTS, platforms: { ...DEFAULTS.platforms } };
+        });
+
+        afterEach(() => {
+            vi.restoreAllMocks();
+        });
+
+        it('should fall back to a single connection to serverUrl', () => {
+            seed.syncConnections(config);
+
+            expect(ids()).toEqual(['default']);
+            expect(seed.connections[0].target.url).toBe(DEFAULTS.serverUrl);
+        });
+
+        it('should create a connection per target that takes the platform', () => {
+            seed.syncConnections(targets(
+                { url: 'ws://all' },
+                { url: 'ws://mine', platforms: ['seed'] },
+                { url: 'ws://other', platforms: ['kick'] },
+                { url: 'ws://off', enabled: false },
+            ));
+
+            expect(ids()).toEqual(['ws://all', 'ws://mine']);
+        });
+
+        it('should give every connection its own queue', () => {
+            seed.syncConnections(targets({ url: 'ws://a' }, { url: 'ws://b' }));
+
+            const [a, b] = seed.connections;
+            expect(a.queue).not.toBe(b.queue);
+            expect(a.queue.name).not.toBe(b.queue.name);
+        });
+
+        it('should hand every update to each connection unless disabled', () => {
+            seed.syncConnections(targets({ url: 'ws://a' }, { url: 'ws://b' }));
+            seed.connections.forEach(connection => { connection.send = vi.fn(); });
+            const update = new LivestreamUpdate('Test', 'testchannel');
+
+            seed.queueLivestreamUpdate(update);
+            seed.disabled = true;
+            seed.queueLivestreamUpdate(update);
+
+            seed.connections.forEach(connection => expect(connection.send).toHaveBeenCalledTimes(1));
+        });
+
+        it('should warn about updates that break the schema in debug mode', () => {
+            seed.syncConnections(config);
+            seed.connections[0].send = vi.fn();
+            const update = new LivestreamUpdate('Test', 'testchannel');
+            update.viewers = -1;
+
+            seed.queueLivestreamUpdate(update);
+            expect(seed.warn).not.toHaveBeenCalled();
+
+            seed.debug = true;
+            seed.queueLivestreamUpdate(update);
+            expect(seed.warn).toHaveBeenCalledWith('Update does not match the schema:', ['viewers must be at least 0, got -1'], update);
+            // The backend still gets it; the warning is only for whoever is debugging
+            expect(seed.connections[0].send).toHaveBeenCalledTimes(2);
+        });
+
+        describe('batching', () => {
+            const chat = (id) => {
+                const update = new LivestreamUpdate('Test', 'testchannel');
+                update.messages = [{ id }];
+                return update;
+            };
+
+            beforeEach(() => {
+                vi.useFakeTimers();
+                seed.syncConnections(config);
+                seed.connections[0].send = vi.fn();
+            });
+
+            afterEach(() => {
+                vi.useRealTimers();
+            });
+
+            it('should merge updates from the same tick into one', () => {
+                seed.configureBatching(config);
+                seed.queueLivestreamUpdate(chat('a'));
+                seed.queueLivestreamUpdate(chat('b'));
+                seed.sendViewerCount(7);
+
+                expect(seed.connections[0].send).not.toHaveBeenCalled();
+
+                vi.advanceTimersByTime(DEFAULTS.batchInterval);
+
+                const [[update]] = seed.connections[0].send.mock.calls;
+                expect(update.messages.map(m => m.id)).toEqual(['a', 'b']);
+                expect(update.viewers).toBe(7);
+            });
+
+            it('should send each update at once when batching is off', () => {
+                seed.configureBatching(config);
+                seed.queueLivestreamUpdate(chat('a'));
+                seed.configureBatching({ ...config, batchInterval: 0 });
+
+                expect(seed.batcher).toBeNull();
+                expect(seed.connections[0].send).toHaveBeenCalledTimes(1);
+
+                seed.queueLivestreamUpdate(chat('b'));
+                expect(seed.connections[0].send).toHaveBeenCalledTimes(2);
+            });
+
+            it('should apply new batch settings', () => {
+                seed.configureBatching(config);
+                const batcher = seed.batcher;
+
+                seed.onConfigChange({ ...config, batchInterval: 250, batchMaxSize: 10 }, ['batchInterval', 'batchMaxSize']);
+
+                expect(seed.batcher).toBe(batcher);
+                expect(batcher).toMatchObject({ interval: 250, maxSize: 10 });
+            });
+
+            it('should send what was collected before stopping or unloading', () => {
+                seed.configureBatching(config);
+                seed.queueLivestreamUpdate(chat('a'));
+                seed.stop();
+
+                expect(seed.connections[0].send).toHaveBeenCalledTimes(1);
+
+                seed.disabled = false;
+                seed.onBeforeUnload();
+
+                expect(seed.connections[0].send).toHaveBeenCalledTimes(2);
+                expect(seed.connections[0].send.mock.calls[1][0].viewers).toBe(0);
+            });
+        });
+
+        it('should connect every target and any added after connecting started', () => {
+            seed.syncConnections(targets({ url: 'ws://a' }));
+            seed.connect();
+
+            seed.syncConnections(targets({ url: 'ws://a' }, { url: 'ws://b' }));
+
+            expect(Connection.prototype.connect).toHaveBeenCalledTimes(2);
+            expect(seed.connections.map(connection => connection.state)).toEqual([ConnectionState.CONNECTING, ConnectionState.CONNECTING]);
+        });
+
+        it('should not connect added targets before connecting started', () => {
+            seed.syncConnections(targets({ url: 'ws://a' }));
+
+            expect(Connection.prototype.connect).not.toHaveBeenCalled();
+        });
+
+        it('should close removed targets and clear their queue', () => {
+            seed.syncConnections(targets({ url: 'ws://a' }, { url: 'ws://b' }));
+            const [a, b] = seed.connections;
+            b.queue.push(new LivestreamUpdate('Test', 'testchannel'));
+            b.queue.push({ removals: ['x'] });
+            vi.spyOn(b, 'close');
+
+            seed.syncConnections(targets({ url: 'ws://a' }));
+
+            expect(seed.connections).toEqual([a]);
+            expect(b.close).toHaveBeenCalled();
+            expect(b.queue.size).toBe(0);
+        });
+
+        it('should keep a connection and its queue across config changes', () => {
+            seed.syncConnections(config);
+            const [connection] = seed.connections;
+
+            seed.syncConnections({ ...config, queueMaxSize: 10 });
+
+            expect(seed.connections[0]).toBe(connection);
+            expect(connection.queue.maxSize).toBe(10);
+        });
+
+        it('should not connect early when the socket was never created', () => {
+            seed.syncConnections(config);
+
+            seed.onConfigChange({ ...config, serverUrl: 'ws://example.test/chat.ws' }, ['serverUrl']);
+
+            expect(seed.connections[0].target.url).toBe('ws://example.test/chat.ws');
+            expect(Connection.prototype.connect).not.toHaveBeenCalled();
+        });
+
+        it('should report the best state across connections', () => {
+            seed.syncConnections(targets({ url: 'ws://a' }, { url: 'ws://b' }));
+            const [a, b] = seed.connections;
+
+            expect(seed.connectionState).toBeNull();
+
+            a.state = ConnectionState.FAILED;
+            b.state = ConnectionState.BACKING_OFF;
+            expect(seed.connectionState).toBe(ConnectionState.BACKING_OFF);
+
+            a.state = ConnectionState.OPEN;
+            expect(seed.connectionState).toBe(ConnectionState.OPEN);
+        });
+
+        it('should tell listeners and the bridge which target changed state', () => {
+            const listener = vi.fn();
+            seed.onConnectionStateChange(listener);
+            seed.bridge = { notify: vi.fn() };
+            seed.syncConnections(config);
+
+            seed.connections[0].setState(ConnectionState.BACKING_OFF, { attempt: 1, delay: 750 });
+
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ target: 'default', state: ConnectionState.BACKING_OFF, attempt: 1, delay: 750 }));
+            expect(seed.bridge.notify).toHaveBeenCalledWith('connection_state', expect.objectContaining({ platform: 'Test', target: 'default' }));
+        });
+
+        it('should stop notifying after unsubscribing and survive failing listeners', () => {
+            const listener = vi.fn(() => { throw new Error('boom'); });
+            const unsubscribe = seed.onConnectionStateChange(listener);
+            seed.syncConnections(config);
+
+            seed.connections[0].setState(ConnectionState.CONNECTING);
+            unsubscribe();
+            seed.connections[0].setState(ConnectionState.OPEN);
+
+            expect(listener).toHaveBeenCalledTimes(1);
+            expect(seed.error).toHaveBeenCalled();
+        });
+    });
+
+    describe('onConfigChange', () => {
+        let seed;
+        let config;
+        let connection;
+
+        beforeEach(() => {
+            seed = Object.create(Seed.prototype);
+            seed.platform = 'Test';
+            seed.channel = 'testchannel';
+            seed.connectionListeners = new Set();
+            seed.log = vi.fn();
+            seed._debug = vi.fn();
+            seed.recorder = new Recorder('Test');
+            config = { ...DEFAULTS, platforms: { ...DEFAULTS.platforms } };
+
+            seed.connections = [];
+            seed.syncConnections(config);
+            connection = seed.connections[0];
+            connection.state = ConnectionState.OPEN;
+            connection.socket = { readyState: WebSocket.OPEN, close: vi.fn(), send: vi.fn() };
+            connection.reconnect = vi.fn();
+        });
+
+        it('should apply debug, queue and backoff settings', () => {
+            seed.onConfigChange({ ...config, debug: true, queueMaxSize: 10, reconnectMaxAttempts: 3 }, ['debug', 'queueMaxSize', 'reconnectMaxAttempts']);
+
+            expect(seed.debug).toBe(true);
+            expect(connection.queue.maxSize).toBe(10);
+            expect(connection.reconnectMaxAttempts).toBe(3);
+            expect(connection.reconnect).not.toHaveBeenCalled();
+        });
+
+        it('should start and stop background recording', () => {
+            const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+            seed.onConfigChange({ ...config, recorderContinuous: true, recorderRetentionMinutes: 5 }, ['recorderContinuous', 'recorderRetentionMinutes']);
+            expect(seed.recorder).toMatchObject({ recording: true, continuous: true, retention: 5 * 60 * 1000 });
+
+            seed.onConfigChange(config, ['recorderContinuous', 'recorderRetentionMinutes']);
+            expect(seed.recorder).toMatchObject({ recording: false, continuous: false });
+            log.mockRestore();
+        });
+
+        it('should reconnect to a new server URL without scheduling a backoff', () => {
+            const old = connection.socket;
+
+            seed.onConfigChange({ ...config, serverUrl: 'ws://example.test/chat.ws' }, ['serverUrl']);
+
+            expect(connection.target.url).toBe('ws://example.test/chat.ws');
+            expect(old.close).toHaveBeenCalled();
+            expect(connection.socket).toBeNull();
+            expect(connection.reconnect).toHaveBeenCalled();
+        });
+
+        it('should reconnect with new credentials', () => {
+            seed.onConfigChange({ ...config, authToken: 'secret', authMethod: 'challenge' }, ['authToken', 'authMethod']);
+
+            expect(connection.target).toMatchObject({ token: 'secret', authMethod: 'challenge' });
+            expect(connection.reconnect).toHaveBeenCalled();
+        });
+
+        it('should stop when its platform is disabled and start again when enabled', () => {
+            const socket = connection.socket;
+            seed.onConfigChange({ ...config, platforms: { ...config.platforms, seed: false } }, ['platforms']);
+
+            expect(seed.disabled).toBe(true);
+            expect(socket.close).toHaveBeenCalled();
+            expect(seed.connectionState).toBe(ConnectionState.STOPPED);
+
+            seed.queueLivestreamUpdate({ messages: [{ id: 'a' }] });
+            expect(connection.queue.size).toBe(0);
+
+            seed.onConfigChange(config, ['platforms']);
+
+            expect(seed.disabled).toBe(false);
+            expect(connection.reconnect).toHaveBeenCalledTimes(1);
+        });
+
+        it('should ignore other platforms being disabled', () => {
+            seed.onConfigChange({ ...config, platforms: { ...config.platforms, kick: false } }, ['platforms']);
+
+            expect(seed.disabled).toBeFalsy();
+            expect(connection.socket.close).not.toHaveBeenCalled();
+        });
+
+        it('should not connect while disabled', () => {
+            connection.connect = vi.fn();
+            seed.disabled = true;
+
+            seed.connect();
+
+            expect(connection.connect).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getStatus', () => {
+        let seed;
+
+        beforeEach(() => {
+            seed = Object.create(Seed.prototype);
+            seed.platform = 'Test';
+            seed.channel = 'testchannel';
+            seed.viewers = 42;
+            seed.connections = [];
+            seed.connectionListeners = new Set();
+            seed.log = vi.fn();
+            seed.warn = vi.fn();
+            seed._debug = vi.fn();
+            seed.recorder = { getStats: vi.fn(() => ({ totals: { events: 3, byStatus: { unhandled: 2 } } })) };
+            seed.syncConnections({ ...DEFAULTS, targets: [{ url: 'ws://a' }, { url: 'ws://b' }] });
+
+            const [a, b] = seed.connections;
+            a.state = ConnectionState.OPEN;
+            a.socket = { readyState: WebSocket.OPEN, send: vi.fn() };
+            b.state = ConnectionState.BACKING_OFF;
+            b.reconnectAttempts = 2;
+        });
+
+        it('should sum queues and report what reached the furthest target', () => {
+            const update = new LivestreamUpdate('Test', 'testchannel');
+            update.messages = [{ id: 'a' }, { id: 'b' }];
+            update.removals = ['c'];
+            seed.queueLivestreamUpdate(update);
+
+            const status = seed.getStatus();
+
+            expect(status).toMatchObject({
+                platform: 'Test',
+                channel: 'testchannel',
+                state: ConnectionState.OPEN,
+                reconnectAttempts: 0,
+                viewers: 42,
+                queued: 1,
+                sent: { messages: 2, events: 0, removals: 1, updates: 1 },
+                messagesPerMinute: 2,
+            });
+            expect(status.targets.map(target => [target.id, target.state, target.queued])).toEqual([
+                ['ws://a', ConnectionState.OPEN, 0],
+                ['ws://b', ConnectionState.BACKING_OFF, 1],
+            ]);
+            expect(status.recorder.totals.byStatus.unhandled).toBe(2);
+        });
+
+        it('should report the attempts of a target in the overall state', () => {
+            seed.connections[0].state = ConnectionState.FAILED;
+
+            expect(seed.getStatus()).toMatchObject({ state: ConnectionState.BACKING_OFF, reconnectAttempts: 2 });
+        });
+
+        it('should answer status requests over the bridge', async () => {
+            const bridge = { handle: vi.fn(function (method, handler) { this[method] = handler; return this; }) };
+            seed.attachBridge(bridge);
+
+            expect(seed.bridge).toBe(bridge);
+            expect(await bridge[BridgeMethod.GET_STATUS]({})).toMatchObject({ platform: 'Test' });
+        });
+
+        it('should run recorder commands and answer with the new status', () => {
+            const bridge = { handle: vi.fn(function (method, handler) { this[method] = handler; return this; }) };
+            seed.recorder.start = vi.fn();
+            seed.recorder.stop = vi.fn();
+            seed.recorder.clear = vi.fn();
+            seed.recorder.download = vi.fn();
+            seed.attachBridge(bridge);
+
+            ['start', 'stop', 'clear', 'download'].forEach((command) => {
+                const status = bridge[`${command}_recording`]({});
+                expect(seed.recorder[command]).toHaveBeenCalledTimes(1);
+                expect(status).toMatchObject({ platform: 'Test', state: ConnectionState.OPEN });
+            });
+        });
+    });
+
+    describe('prepareReplyTo', () => {
+        let seed;
+
+        beforeEach(() => {
+            seed = Object.create(Seed.prototype);
+        });
+
+        it('should build reply context from a parent id, author and text', () => {
+            expect(seed.prepareReplyTo('parent-1', 'Someone', 'Hello!')).toEqual({
+                id: 'parent-1',
+                username: 'Someone',
+                message: 'Hello!',
+            });
+        });
+
+        it('should return null without a parent id', () => {
+            expect(seed.prepareReplyTo(undefined, 'Someone', 'Hello!')).toBeNull();
+        });
+
+        it('should shorten long parent text to a snippet', () => {
+            const reply = seed.prepareReplyTo('parent-1', null, 'a'.repeat(500));
+
+            expect(reply.message).toHaveLength(Seed.maxReplySnippetLength);
+            expect(reply.message.endsWith('…')).toBe(true);
+            expect(reply.username).toBeNull();
+        });
+    });
+
     describe('Fuzzing: onChatSocketMessage robustness', () => {
         let seed;
 
@@ -2,7 +2,7 @@
  * CHUCK - Kick Platform Tests
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import * as fc from 'fast-check';
 import kickEvents from '../fixtures/kick-events.json';
 
@@ -29,7 +29,7 @@ vi.stubGlobal('document', {
 vi.stubGlobal('unsafeWindow', undefined);
 
 // Import after mocks are set up
-const { ChatMessage } = await import('../../src/core/message.js');
+const { ChatMessage, StreamEvent, StreamEventType, SegmentType } = await import('../../src/core/message.js');
 const { Kick } = await import('../../src/platforms/kick.js');
 
 describe('Kick Platform', () => {
@@ -59,6 +59,24 @@ describe('Kick Platform', () => {
             expect(message.amount).toBe(0); // No gift = 0 amount
         });
 
+        it('should capture reply context', () => {
+            const data = JSON.parse(kickEvents.ChatMessageReply.data);
+            const message = kick.prepareChatMessage(data);
+
+            expect(message.reply_to).toEqual({
+                id: 'test-message-id-123',
+                username: 'TestUser',
+                message: 'Hello world!',
+            });
+            expect(message.username).toBe('ReplyUser');
+        });
+
+        it('should leave reply context empty for normal messages', () => {
+            const data = JSON.parse(kickEvents.ChatMessageEvent.data);
+
+            expect(kick.prepareChatMessage(data).reply_to).toBeNull();
+        });
+
         it('should parse a chat message with gift (paid message)', () => {
             const event = kickEvents.ChatMessageWithGift;
             const data = JSON.parse(event.data);
@@ -90,6 +108,21 @@ describe('Kick Platform', () => {
             expect(message.emojis[0][2]).toBe('EZ');
         });
 
+        it('should split emotes into segments', () => {
+            const message = kick.prepareChatMessage({
+                id: 'segment-test',
+                content: 'Hello [emote:37221:EZ] world',
+                sender: { username: 'EmoteUser' }
+            });
+
+            expect(message.segments).toEqual([
+                { type: SegmentType.TEXT, text: 'Hello ' },
+                { type: SegmentType.EMOTE, text: '[emote:37221:EZ]', url: 'https://files.kick.com/emotes/37221/fullsize', alt: 'EZ' },
+                { type: SegmentType.TEXT, text: ' world' },
+            ]);
+            expect(message.message).toBe('Hello [emote:37221:EZ] world');
+        });
+
         it('should identify broadcaster badge', () => {
             const data = {
                 id: 'broadcaster-test',
@@ -219,6 +252,263 @@ describe('Kick Platform', () => {
         });
     });
 
+    describe('Structured events', () => {
+        let kick;
+        const ws = { url: 'wss://ws-us2.pusher.com/app/test' };
+        const receive = (fixture) => kick.onWebSocketMessage(ws, { data: JSON.stringify(fixture) });
+
+        beforeEach(() => {
+            kick = Object.create(Kick.prototype);
+            kick.platform = 'Kick';
+            kick.channel = 'testchannel';
+            kick.namespace = Kick.namespace;
+            kick.messageIdsByUser = new Map();
+            kick.log = vi.fn();
+            kick.warn = vi.fn();
+            kick.sendStreamEvents = vi.fn();
+            kick.sendChatMessages = vi.fn();
+            kick.sendRemoveMessages = vi.fn();
+            kick.recordWebSocketHandled = vi.fn();
+            kick.recordWebSocketIgnored = vi.fn();
+            kick.recordWebSocketUnhandled = vi.fn();
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        const sentEvent = () => kick.sendStreamEvents.mock.calls[0][0][0];
+        const sentOfType = type => kick.sendStreamEvents.mock.calls.map(call => call[0][0]).filter(event => event.type === type);
+
+        it('should forward a pinned message with the parsed ChatMessage', () => {
+            receive(kickEvents.PinnedMessageCreatedEvent);
+
+            const event = sentEvent();
+            expect(event).toBeInstanceOf(StreamEvent);
+            expect(event.type).toBe(StreamEventType.PIN);
+            expect(event.platform).toBe('Kick');
+            expect(event.channel).toBe('testchannel');
+            expect(event.payload.message).toBeInstanceOf(ChatMessage);
+            expect(event.payload.message.message).toContain('Stream schedule');
+            expect(event.payload.message.emojis).toHaveLength(1);
+            expect(event.actor.username).toBe('ModUser');
+            expect(event.target.username).toBe('ModUser');
+            expect(event.payload.duration).toBe(1200);
+        });
+
+        it('should not forward a pin without a message', () => {
+            receive({ ...kickEvents.PinnedMessageCreatedEvent, data: JSON.stringify({ duration: '1200', pinnedBy: { id: 1, username: 'ModUser' } }) });
+
+            expect(kick.sendStreamEvents).not.toHaveBeenCalled();
+            expect(kick.recordWebSocketUnhandled).toHaveBeenCalled();
+            expect(kick.recordWebSocketHandled).not.toHaveBeenCalled();
+        });
+
+        it('should give a pin an id from the message and when it arrived', () => {
+            const data = JSON.parse(kickEvents.PinnedMessageCreatedEvent.data);
+
+            expect(kick.preparePinnedMessageEvent(data, 1000).id).toBe(kick.preparePinnedMessageEvent(data, 1000).id);
+            expect(kick.preparePinnedMessageEvent(data, 2000).id).not.toBe(kick.preparePinnedMessageEvent(data, 1000).id);
+        });
+
+        it('should forward an unpin', () => {
+            receive(kickEvents.PinnedMessageDeletedEvent);
+
+            expect(sentEvent().type).toBe(StreamEventType.UNPIN);
+        });
+
+        it('should derive the unpin id from the pinned message', () => {
+            receive(kickEvents.PinnedMessageCreatedEvent);
+            receive(kickEvents.PinnedMessageDeletedEvent);
+            receive(kickEvents.PinnedMessageDeletedEvent);
+            const otherPin = JSON.parse(kickEvents.PinnedMessageCreatedEvent.data);
+            otherPin.message.id = 'pinned-msg-id-790';
+            receive({ ...kickEvents.PinnedMessageCreatedEvent, data: JSON.stringify(otherPin) });
+            receive(kickEvents.PinnedMessageDeletedEvent);
+
+            const [first, repeated, other] = sentOfType(StreamEventType.UNPIN);
+            expect(repeated.id).toBe(first.id);
+            expect(other.id).not.toBe(first.id);
+        });
+
+        it('should give unpinning the same message again a new id', () => {
+            vi.useFakeTimers();
+            receive(kickEvents.PinnedMessageCreatedEvent);
+            receive(kickEvents.PinnedMessageDeletedEvent);
+            vi.advanceTimersByTime(1000);
+            receive(kickEvents.PinnedMessageCreatedEvent);
+            receive(kickEvents.PinnedMessageDeletedEvent);
+
+            const [firstPin, secondPin] = sentOfType(StreamEventType.PIN);
+            const [firstUnpin, secondUnpin] = sentOfType(StreamEventType.UNPIN);
+            expect(secondPin.id).not.toBe(firstPin.id);
+            expect(secondUnpin.id).not.toBe(firstUnpin.id);
+        });
+
+        it('should give unpins with no pin seen their own ids', () => {
+            vi.useFakeTimers();
+            receive(kickEvents.PinnedMessageDeletedEvent);
+            vi.advanceTimersByTime(1000);
+            receive(kickEvents.PinnedMessageDeletedEvent);
+
+            const [first, second] = sentOfType(StreamEventType.UNPIN);
+            expect(second.id).not.toBe(first.id);
+        });
+
+        it('should remove a banned user\'s recent messages and forward the ban', () => {
+            kick.receiveChatMessage(JSON.parse(kickEvents.ChatMessageEvent.data));
+            kick.receiveChatMessage(JSON.parse(kickEvents.ChatMessageWithGift.data));
+
+            receive(kickEvents.UserBannedEvent);
+
+            expect(kick.sendRemoveMessages).toHaveBeenCalledWith(['test-message-id-123', 'gift-message-id-456']);
+            const event = sentEvent();
+            expect(event.type).toBe(StreamEventType.BAN);
+            expect(event.target).toEqual({ id: 12345, username: 'TestUser' });
+            expect(event.actor.username).toBe('ModUser');
+            expect(event.payload.permanent).toBe(false);
+            expect(event.payload.duration).toBe(10);
+            expect(event.payload.expires_at).toBe(Date.parse('2024-01-15T12:15:00+00:00'));
+            expect(event.payload.removals).toHaveLength(2);
+        });
+
+        it('should give the same ban without an id a new id each time it happens', () => {
+            vi.useFakeTimers();
+            const data = JSON.parse(kickEvents.UserBannedEvent.data);
+            delete data.id;
+
+            const first = kick.prepareUserBannedEvent(data);
+            expect(kick.prepareUserBannedEvent({ ...data }).id).toBe(first.id);
+            vi.advanceTimersByTime(1000);
+            expect(kick.prepareUserBannedEvent(data).id).not.toBe(first.id);
+        });
+
+        it('should forward a permanent ban with no tracked messages', () => {
+            receive(kickEvents.UserBannedEventPermanent);
+
+            expect(kick.sendRemoveMessages).not.toHaveBeenCalled();
+            expect(sentEvent().payload.permanent).toBe(true);
+            expect(sentEvent().payload.expires_at).toBeNull();
+        });
+
+        it('should forward goal progress', () => {
+            receive(kickEvents.GoalProgressUpdateEvent);
+
+            const event = sentEvent();
+            expect(event.type).toBe(StreamEventType.GOAL);
+            expect(event.payload).toMatchObject({
+                goal_id: 'goal-01',
+                goal_type: 'followers',
+                current: 642,
+                target: 1000,
+                achieved: false,
+            });
+        });
+
+        it('should forward reward redemptions', () => {
+            receive(kickEvents.RewardRedeemedEvent);
+
+            const event = sentEvent();
+            expect(event.type).toBe(StreamEventType.REDEMPTION);
+            expect(event.actor).toEqual({ id: 12345, username: 'TestUser' });
+            expect(event.payload).toMatchObject({
+                reward_title: 'Hydrate!',
+                user_input: 'drink some water',
+                color: '#1475E1',
+            });
+        });
+
+        it('should give the same reward redeemed twice two ids', () => {
+            vi.useFakeTimers();
+            receive(kickEvents.RewardRedeemedEvent);
+            vi.advanceTimersByTime(1000);
+            receive(kickEvents.RewardRedeemedEvent);
+
+            const [first, second] = kick.sendStreamEvents.mock.calls.map(call => call[0][0]);
+            expect(second.id).not.toBe(first.id);
+            expect(kick.prepareRewardRedeemedEvent({ id: 'redemption-1' }).id)
+                .not.toBe(kick.prepareRewardRedeemedEvent({ id: 'redemption-2' }).id);
+        });
+
+        it('should forward polls with a stable id', () => {
+            vi.useFakeTimers();
+            receive(kickEvents.PollUpdateEvent);
+            vi.advanceTimersByTime(1000);
+            receive(kickEvents.PollUpdateEvent);
+
+            const [first, second] = kick.sendStreamEvents.mock.calls.map(call => call[0][0]);
+            expect(first.type).toBe(StreamEventType.POLL);
+            expect(first.payload.title).toBe('Next game?');
+            expect(first.payload.options).toEqual([
+                { label: 'Elden Ring', votes: 12 },
+                { label: 'Minecraft', votes: 7 },
+            ]);
+            expect(first.payload.remaining).toBe(95);
+            expect(second.id).toBe(first.id);
+        });
+
+        it('should forward the end of a poll', () => {
+            receive(kickEvents.PollDeleteEvent);
+
+            expect(sentEvent().type).toBe(StreamEventType.POLL_END);
+        });
+
+        it('should derive the poll end id from the poll', () => {
+            vi.useFakeTimers();
+            receive(kickEvents.PollUpdateEvent);
+            receive(kickEvents.PollDeleteEvent);
+            receive(kickEvents.PollDeleteEvent);
+            vi.advanceTimersByTime(1000);
+            const otherPoll = JSON.parse(kickEvents.PollUpdateEvent.data);
+            otherPoll.poll.title = 'Next snack?';
+            receive({ ...kickEvents.PollUpdateEvent, data: JSON.stringify(otherPoll) });
+            receive(kickEvents.PollDeleteEvent);
+
+            const [first, repeated, other] = sentOfType(StreamEventType.POLL_END);
+            expect(repeated.id).toBe(first.id);
+            expect(other.id).not.toBe(first.id);
+        });
+
+        it('should give a new poll with the same title new ids', () => {
+            vi.useFakeTimers();
+            receive(kickEvents.PollUpdateEvent);
+            receive(kickEvents.PollDeleteEvent);
+            vi.advanceTimersByTime(1000);
+            receive(kickEvents.PollUpdateEvent);
+            receive(kickEvents.PollDeleteEvent);
+
+            const [firstPoll, secondPoll] = sentOfType(StreamEventType.POLL);
+            const [firstEnd, secondEnd] = sentOfType(StreamEventType.POLL_END);
+            expect(secondPoll.id).not.toBe(firstPoll.id);
+            expect(secondEnd.id).not.toBe(firstEnd.id);
+        });
+
+        it('should take more time left as a new poll', () => {
+            vi.useFakeTimers();
+            const restarted = JSON.parse(kickEvents.PollUpdateEvent.data);
+            restarted.poll.remaining = 120;
+            receive(kickEvents.PollUpdateEvent);
+            vi.advanceTimersByTime(1000);
+            receive({ ...kickEvents.PollUpdateEvent, data: JSON.stringify(restarted) });
+
+            const [first, second] = sentOfType(StreamEventType.POLL);
+            expect(second.id).not.toBe(first.id);
+        });
+
+        it.each([
+            ['PinnedMessageCreatedEvent'],
+            ['UserBannedEvent'],
+            ['GoalProgressUpdateEvent'],
+            ['RewardRedeemedEvent'],
+            ['PollUpdateEvent'],
+        ])('should record %s as handled', (fixture) => {
+            receive(kickEvents[fixture]);
+
+            expect(kick.recordWebSocketHandled).toHaveBeenCalled();
+            expect(kick.recordWebSocketIgnored).not.toHaveBeenCalled();
+        });
+    });
+
     describe('Fuzzing: prepareChatMessage robustness', () => {
         let kick;
 
@@ -150,4 +150,29 @@ describe('Rumble Platform', () => {
             expect(rumble.log).toHaveBeenCalledWith('User not found:', '88707682');
         });
     });
+
+    describe('receiveChatPairs', () => {
+        let rumble;
+
+        beforeEach(() => {
+            rumble = Object.create(Rumble.prototype);
+            rumble.platform = 'Rumble';
+            rumble.channel = 123456;
+            rumble.namespace = Rumble.namespace;
+            rumble.emotes = {};
+            rumble.log = vi.fn();
+            rumble.sendChatMessages = vi.fn();
+            rumble.receiveSubscriptions = vi.fn();
+        });
+
+        it('should leave out messages from users missing in the payload', async () => {
+            rumble.receiveChatPairs([rumbleEvents.ChatMessage, { ...rumbleEvents.ChatMessage, id: 'orphan', user_id: 'nobody' }], [rumbleEvents.User]);
+
+            await vi.waitFor(() => expect(rumble.sendChatMessages).toHaveBeenCalled());
+            const [messages] = rumble.sendChatMessages.mock.calls[0];
+            expect(messages).toHaveLength(1);
+            expect(messages[0].username).toBe('TestViewer');
+            expect(rumble.log).toHaveBeenCalledWith('User not found:', 'nobody');
+        });
+    });
 });
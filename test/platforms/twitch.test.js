@@ -30,8 +30,11 @@ vi.stubGlobal('document', {
 vi.stubGlobal('unsafeWindow', undefined);
 
 // Import after mocks are set up
-const { ChatMessage } = await import('../../src/core/message.js');
+const { ChatMessage, StreamEvent, StreamEventType, SegmentType } = await import('../../src/core/message.js');
+const { uuidv5 } = await import('../../src/core/uuid.js');
 const { Twitch } = await import('../../src/platforms/twitch.js');
+const { Seed } = await import('../../src/core/seed.js');
+const { DEFAULTS } = await import('../../src/core/config.js');
 
 describe('Twitch Platform', () => {
     describe('Static properties', () => {
@@ -288,6 +291,37 @@ describe('Twitch Platform', () => {
 
             expect(message.emojis).toHaveLength(1);
             expect(message.emojis[0][0]).toBe('Kappa');
+            expect(message.segments[0]).toMatchObject({ type: SegmentType.EMOTE, text: 'Kappa', alt: 'Kappa' });
+        });
+
+        it('should split mentions and links into segments', () => {
+            const raw = '@badge-info=;badges=;color=;display-name=Linker;emotes=;id=seg-001;room-id=12345678;tmi-sent-ts=1705320000000;user-id=1 :linker!linker@linker.tmi.twitch.tv PRIVMSG #streamerchannel :@TestUser look https://clips.twitch.tv/abc';
+            const message = twitch.prepareChatMessage(twitch.parseIrcMessageToJson(raw));
+
+            expect(message.segments).toEqual([
+                { type: SegmentType.MENTION, text: '@TestUser', username: 'TestUser' },
+                { type: SegmentType.TEXT, text: ' look ' },
+                { type: SegmentType.LINK, text: 'https://clips.twitch.tv/abc', url: 'https://clips.twitch.tv/abc' },
+            ]);
+            expect(message.message).toBe('@TestUser look https://clips.twitch.tv/abc');
+        });
+
+        it('should capture reply context', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsgReply);
+            const message = twitch.prepareChatMessage(parsed);
+
+            expect(message.reply_to).toEqual({
+                id: 'abc123-def456',
+                username: 'TestUser',
+                message: 'Hello chat!',
+            });
+            expect(message.message).toBe('@TestUser hello to you too');
+        });
+
+        it('should leave reply context empty for normal messages', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsg);
+
+            expect(twitch.prepareChatMessage(parsed).reply_to).toBeNull();
         });
 
         it('should include user color in extra data', () => {
@@ -310,6 +344,517 @@ describe('Twitch Platform', () => {
         });
     });
 
+    describe('parseCheermotes', () => {
+        let twitch;
+
+        beforeEach(() => {
+            twitch = Object.create(Twitch.prototype);
+        });
+
+        it('should map a cheer token to its tier image', () => {
+            const cheermotes = twitch.parseCheermotes('Cheer100 nice');
+
+            expect(cheermotes).toEqual([{
+                type: SegmentType.CHEERMOTE,
+                text: 'Cheer100',
+                url: 'https://d3aqoihi2n8ty8.cloudfront.net/actions/cheer/dark/animated/100/1.gif',
+                prefix: 'Cheer',
+                bits: 100,
+            }]);
+        });
+
+        it('should pick the highest tier not above the bit count', () => {
+            expect(twitch.parseCheermotes('Cheer99')[0].url).toContain('/animated/1/');
+            expect(twitch.parseCheermotes('Cheer4999')[0].url).toContain('/animated/1000/');
+            expect(twitch.parseCheermotes('Cheer100000')[0].url).toContain('/animated/100000/');
+        });
+
+        it('should match prefixes case-insensitively', () => {
+            const cheermotes = twitch.parseCheermotes('cheer10 KAPPA10');
+
+            expect(cheermotes).toHaveLength(2);
+            expect(cheermotes[1].url).toContain('/actions/kappa/');
+            expect(cheermotes[1].prefix).toBe('Kappa');
+        });
+
+        it('should ignore words that are not cheermotes', () => {
+            expect(twitch.parseCheermotes('PogChamp50 Cheer Cheer0 abc123 100')).toHaveLength(0);
+            expect(twitch.parseCheermotes('')).toHaveLength(0);
+        });
+    });
+
+    describe('prepareChatMessage with Bits', () => {
+        let twitch;
+
+        beforeEach(() => {
+            twitch = Object.create(Twitch.prototype);
+            twitch.platform = 'Twitch';
+            twitch.channel = 'streamerchannel';
+            twitch.namespace = Twitch.namespace;
+            twitch.bitsUsdRate = null;
+            twitch.log = vi.fn();
+            twitch.warn = vi.fn();
+        });
+
+        it('should forward a cheer in BITS by default', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsgCheer);
+            const message = twitch.prepareChatMessage(parsed);
+
+            expect(message.amount).toBe(100);
+            expect(message.currency).toBe('BITS');
+            expect(message.emojis).toHaveLength(1);
+            expect(message.emojis[0][0]).toBe('Cheer100');
+        });
+
+        it('should convert Bits to USD when a rate is configured', () => {
+            twitch.bitsUsdRate = 0.01;
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsgMultiCheer);
+            const message = twitch.prepareChatMessage(parsed);
+
+            expect(message.amount).toBe(61.5);
+            expect(message.currency).toBe('USD');
+        });
+
+        it('should turn every cheermote in a multi-cheer message into an emoji', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsgMultiCheer);
+            const message = twitch.prepareChatMessage(parsed);
+
+            expect(message.amount).toBe(6150);
+            expect(message.emojis.map(e => e[0])).toEqual(['Cheer5000', 'Kappa1000', 'cheer100', 'Cheer50']);
+            expect(message.emojis[0][1]).toContain('/cheer/dark/animated/5000/');
+            expect(message.emojis[1][1]).toContain('/kappa/dark/animated/1000/');
+            expect(message.emojis[3][1]).toContain('/cheer/dark/animated/1/');
+        });
+
+        it('should mark cheermotes as cheermote segments', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsgCheer);
+            const message = twitch.prepareChatMessage(parsed);
+
+            expect(message.segments[0]).toMatchObject({ type: SegmentType.CHEERMOTE, text: 'Cheer100', bits: 100 });
+            expect(message.segments.map(s => s.text).join('')).toBe(message.message);
+        });
+
+        it('should convert with a rate changed while running', () => {
+            const onConfigChange = vi.spyOn(Seed.prototype, 'onConfigChange').mockImplementation(() => {});
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsgCheer);
+
+            twitch.onConfigChange({ ...DEFAULTS, bitsUsdRate: 0.01 }, ['bitsUsdRate']);
+            expect(twitch.prepareChatMessage(parsed)).toMatchObject({ amount: 1, currency: 'USD' });
+
+            twitch.onConfigChange({ ...DEFAULTS }, ['bitsUsdRate']);
+            expect(twitch.prepareChatMessage(parsed)).toMatchObject({ amount: 100, currency: 'BITS' });
+
+            expect(onConfigChange).toHaveBeenCalledTimes(2);
+            onConfigChange.mockRestore();
+        });
+
+        it('should leave messages without bits unpaid', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsg);
+            const message = twitch.prepareChatMessage(parsed);
+
+            expect(message.amount).toBe(0);
+            expect(message.currency).toBe('ZWL');
+        });
+    });
+
+    describe('Third-party emotes and avatars', () => {
+        let twitch;
+
+        // Local stub standing in for the BTTV, FFZ and 7TV APIs
+        const emoteApiStub = {
+            'https://api.betterttv.net/3/cached/emotes/global': twitchEvents.BttvGlobalEmotes,
+            'https://api.frankerfacez.com/v1/set/global': twitchEvents.FfzGlobalEmotes,
+            'https://7tv.io/v3/emote-sets/global': twitchEvents.SevenTvGlobalEmotes,
+            'https://api.betterttv.net/3/cached/users/twitch/12345678': twitchEvents.BttvChannelEmotes,
+            'https://api.frankerfacez.com/v1/room/id/12345678': twitchEvents.FfzRoomEmotes,
+            'https://7tv.io/v3/users/twitch/12345678': twitchEvents.SevenTvUserEmotes,
+        };
+
+        beforeEach(() => {
+            twitch = Object.create(Twitch.prototype);
+            twitch.platform = 'Twitch';
+            twitch.channel = 'streamerchannel';
+            twitch.namespace = Twitch.namespace;
+            twitch.channelCaches = new Map();
+            twitch.log = vi.fn();
+            twitch.warn = vi.fn();
+            twitch.fetchJson = vi.fn((url) => url in emoteApiStub
+                ? Promise.resolve(emoteApiStub[url])
+                : Promise.reject(new Error(`Unexpected URL ${url}`)));
+        });
+
+        it('should parse BTTV global and channel responses', () => {
+            expect(twitch.parseBttvEmotes(twitchEvents.BttvGlobalEmotes)).toContainEqual(
+                ['monkaS', 'https://cdn.betterttv.net/emote/566ca04265dbbdab32ec054a/1x']
+            );
+            expect(twitch.parseBttvEmotes(twitchEvents.BttvChannelEmotes).map(e => e[0])).toEqual(['catJAM', 'OMEGALUL']);
+        });
+
+        it('should parse only FFZ default sets and normalize protocol-relative URLs', () => {
+            expect(twitch.parseFfzEmotes(twitchEvents.FfzGlobalEmotes)).toEqual(
+                [['CatBag', 'https://cdn.frankerfacez.com/emote/25927/1']]
+            );
+            expect(twitch.parseFfzEmotes(twitchEvents.FfzRoomEmotes)).toEqual(
+                [['OMEGALUL', 'https://cdn.frankerfacez.com/emote/128054/1']]
+            );
+        });
+
+        it('should parse 7TV emote set and user responses', () => {
+            expect(twitch.parseSevenTvEmotes(twitchEvents.SevenTvGlobalEmotes)).toEqual(
+                [['peepoHappy', 'https://cdn.7tv.app/emote/60ae958e229664e8667aea38/1x.webp']]
+            );
+            expect(twitch.parseSevenTvEmotes(twitchEvents.SevenTvUserEmotes)[0][0]).toBe('monkaS');
+        });
+
+        it('should tolerate malformed provider responses', () => {
+            expect(twitch.parseBttvEmotes(null)).toEqual([]);
+            expect(twitch.parseFfzEmotes({ sets: { 1: {} } })).toEqual([]);
+            expect(twitch.parseSevenTvEmotes({ emotes: [{ name: 'x' }] })).toEqual([]);
+        });
+
+        it('should load all providers with channel emotes overriding globals', async () => {
+            await twitch.loadThirdPartyEmotes('12345678');
+
+            const emotes = twitch.getChannelCache().emotes;
+            expect(twitch.fetchJson).toHaveBeenCalledTimes(6);
+            expect(emotes.get('catJAM')).toContain('betterttv');
+            expect(emotes.get('OMEGALUL')).toContain('frankerfacez');
+            expect(emotes.get('monkaS')).toContain('7tv');
+            expect(emotes.get('peepoHappy')).toContain('7tv');
+        });
+
+        it('should not reload emotes for the same room', async () => {
+            await twitch.loadThirdPartyEmotes('12345678');
+            await twitch.loadThirdPartyEmotes('12345678');
+
+            expect(twitch.fetchJson).toHaveBeenCalledTimes(6);
+        });
+
+        it('should keep other providers when one fails', async () => {
+            const stub = twitch.fetchJson;
+            twitch.fetchJson = vi.fn((url) => url.includes('7tv.io') ? Promise.reject(new Error('down')) : stub(url));
+
+            await twitch.loadThirdPartyEmotes('12345678');
+
+            expect(twitch.getChannelCache().emotes.has('catJAM')).toBe(true);
+            expect(twitch.getChannelCache().emotes.has('peepoHappy')).toBe(false);
+            expect(twitch.warn).toHaveBeenCalled();
+        });
+
+        it('should load the room again once the retry delay has passed after a failure', async () => {
+            vi.useFakeTimers();
+            const working = twitch.fetchJson;
+            twitch.fetchJson = vi.fn((url) => url.includes('7tv.io') ? Promise.reject(new Error('down')) : working(url));
+            await twitch.loadThirdPartyEmotes('12345678');
+
+            twitch.fetchJson = vi.fn(url => working(url));
+            await twitch.loadThirdPartyEmotes('12345678');
+            expect(twitch.fetchJson).not.toHaveBeenCalled();
+
+            vi.advanceTimersByTime(Twitch.emoteRetryDelay);
+            await twitch.loadThirdPartyEmotes('12345678');
+
+            expect(twitch.fetchJson).toHaveBeenCalledTimes(6);
+            expect(twitch.getChannelCache().emotes.has('peepoHappy')).toBe(true);
+            vi.useRealTimers();
+        });
+
+        it('should add third-party emotes to messages', async () => {
+            await twitch.loadThirdPartyEmotes('12345678');
+
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsgThirdPartyEmotes);
+            const message = twitch.prepareChatMessage(parsed);
+
+            expect(message.segments.filter(s => s.type === SegmentType.EMOTE).map(s => s.text))
+                .toEqual(['Kappa', 'OMEGALUL', 'catJAM', 'monkaS', 'OMEGALUL']);
+            expect(message.emojis.map(e => e[0])).toEqual(['Kappa', 'OMEGALUL', 'catJAM', 'monkaS', 'OMEGALUL']);
+            expect(message.emojis[0][1]).toContain('static-cdn.jtvnw.net');
+        });
+
+        it('should cache avatars from GQL responses', () => {
+            expect(twitch.cacheAvatars(twitchEvents.GqlUserResponse)).toBe(2);
+
+            const avatars = twitch.getChannelCache().avatars;
+            expect(avatars.get('15151515')).toContain('emotefan-profile_image');
+            expect(avatars.get('22222222')).toContain('moduser-profile_image');
+        });
+
+        it('should fill in avatars by user id', () => {
+            twitch.cacheAvatars(twitchEvents.GqlUserResponse);
+
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsgThirdPartyEmotes);
+            const message = twitch.prepareChatMessage(parsed);
+
+            expect(message.avatar).toContain('emotefan-profile_image');
+        });
+
+        it('should keep caches separate per channel', () => {
+            twitch.cacheAvatars(twitchEvents.GqlUserResponse);
+            twitch.channel = 'otherchannel';
+
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.PrivMsgThirdPartyEmotes);
+            const message = twitch.prepareChatMessage(parsed);
+
+            expect(message.avatar).toBe(new ChatMessage('x', 'Twitch', 'x').avatar);
+        });
+
+        it('should handle GQL fetch responses', async () => {
+            twitch.recordFetchHandled = vi.fn();
+            twitch.recordFetchIgnored = vi.fn();
+
+            await twitch.onFetchResponse({
+                url: 'https://gql.twitch.tv/gql',
+                status: 200,
+                json: () => Promise.resolve(twitchEvents.GqlUserResponse),
+            });
+
+            expect(twitch.recordFetchHandled).toHaveBeenCalledWith(
+                'https://gql.twitch.tv/gql', 'POST', 200, twitchEvents.GqlUserResponse, { avatarCount: 2 }
+            );
+        });
+
+        it('should ignore non-GQL fetch responses', async () => {
+            twitch.recordFetchIgnored = vi.fn();
+
+            await twitch.onFetchResponse({ url: 'https://www.twitch.tv/some/asset.js', status: 200 });
+
+            expect(twitch.recordFetchIgnored).toHaveBeenCalled();
+            expect(twitch.getChannelCache().avatars.size).toBe(0);
+        });
+    });
+
+    describe('prepareSubscriptionMessage', () => {
+        let twitch;
+
+        beforeEach(() => {
+            twitch = Object.create(Twitch.prototype);
+            twitch.platform = 'Twitch';
+            twitch.channel = 'streamerchannel';
+            twitch.namespace = Twitch.namespace;
+            twitch.log = vi.fn();
+            twitch.warn = vi.fn();
+        });
+
+        it('should convert a new sub to a paid ChatMessage', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.UserNotice_Sub);
+            const message = twitch.prepareSubscriptionMessage(parsed);
+
+            expect(message).toBeInstanceOf(ChatMessage);
+            expect(message.id).toBe(uuidv5('sub123', Twitch.namespace));
+            expect(message.username).toBe('NewSub');
+            expect(message.message).toBe('NewSub subscribed at Tier 1.');
+            expect(message.amount).toBe(5);
+            expect(message.currency).toBe('USD');
+            expect(message.sent_at).toBe(1705320240000);
+            expect(message.extra.subType).toBe('sub');
+        });
+
+        it('should produce deterministic ids', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.UserNotice_Sub);
+
+            expect(twitch.prepareSubscriptionMessage(parsed).id)
+                .toBe(twitch.prepareSubscriptionMessage(parsed).id);
+        });
+
+        it('should value a Prime sub like Tier 1', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.UserNotice_PrimeSub);
+            const message = twitch.prepareSubscriptionMessage(parsed);
+
+            expect(message.amount).toBe(5);
+            expect(message.extra.subPlan).toBe('Prime');
+        });
+
+        it('should include resub months, tier and shared message', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.UserNotice_Resub);
+            const message = twitch.prepareSubscriptionMessage(parsed);
+
+            expect(message.username).toBe('LoyalViewer');
+            expect(message.amount).toBe(10);
+            expect(message.extra.months).toBe(14);
+            expect(message.message).toBe("LoyalViewer subscribed at Tier 2. They've subscribed for 14 months! Still here baby Kappa");
+            expect(message.emojis).toHaveLength(1);
+            expect(message.emojis[0][0]).toBe('Kappa');
+        });
+
+        it('should credit a gift sub to the gifter with the recipient', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.UserNotice_SubGift);
+            const message = twitch.prepareSubscriptionMessage(parsed);
+
+            expect(message.username).toBe('GenerousGifter');
+            expect(message.amount).toBe(5);
+            expect(message.extra.recipient).toBe('LuckyViewer');
+            expect(message.message).toContain('LuckyViewer');
+        });
+
+        it('should multiply mystery gifts by the gift count', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.UserNotice_SubMysteryGift);
+            const message = twitch.prepareSubscriptionMessage(parsed);
+
+            expect(message.username).toBe('BigSpender');
+            expect(message.amount).toBe(25);
+            expect(message.extra.giftCount).toBe(5);
+        });
+
+        it('should skip individual gifts belonging to a mystery gift', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.UserNotice_SubGiftFromMystery);
+
+            expect(twitch.prepareSubscriptionMessage(parsed)).toBeNull();
+        });
+
+        it('should fall back to a generated description without system-msg', () => {
+            const parsed = twitch.parseIrcMessageToJson(twitchEvents.UserNotice_SubMysteryGift);
+            delete parsed.tags['system-msg'];
+            const message = twitch.prepareSubscriptionMessage(parsed);
+
+            expect(message.message).toBe('BigSpender gifted 5 subscriptions!');
+        });
+
+        it('should return null for a notice without id', () => {
+            const message = twitch.prepareSubscriptionMessage({
+                tags: { 'msg-id': 'sub', 'display-name': 'NoId' },
+            });
+
+            expect(message).toBeNull();
+            expect(twitch.warn).toHaveBeenCalled();
+        });
+    });
+
+    describe('processIrcLine', () => {
+        let twitch;
+        const ws = { url: 'wss://irc-ws.chat.twitch.tv/' };
+
+        beforeEach(() => {
+            twitch = Object.create(Twitch.prototype);
+            twitch.platform = 'Twitch';
+            twitch.channel = 'streamerchannel';
+            twitch.namespace = Twitch.namespace;
+            twitch.log = vi.fn();
+            twitch.warn = vi.fn();
+            twitch.messageIdsByUser = new Map();
+            twitch.channelCaches = new Map();
+            twitch.loadThirdPartyEmotes = vi.fn();
+            twitch.sendChatMessages = vi.fn();
+            twitch.sendStreamEvents = vi.fn();
+            twitch.sendRemoveMessages = vi.fn();
+            twitch.recordWebSocketHandled = vi.fn();
+            twitch.recordWebSocketIgnored = vi.fn();
+            twitch.recordWebSocketUnhandled = vi.fn();
+        });
+
+        it.each([
+            ['UserNotice_Sub'],
+            ['UserNotice_Resub'],
+            ['UserNotice_SubGift'],
+            ['UserNotice_SubMysteryGift'],
+        ])('should send %s as a paid message', (fixture) => {
+            twitch.processIrcLine(ws, twitchEvents[fixture]);
+
+            expect(twitch.sendChatMessages).toHaveBeenCalledTimes(1);
+            const [[message]] = twitch.sendChatMessages.mock.calls[0];
+            expect(message.amount).toBeGreaterThan(0);
+            expect(twitch.recordWebSocketHandled).toHaveBeenCalledWith(ws, 'in', twitchEvents[fixture], message, 'USERNOTICE_SUB');
+        });
+
+        it('should send a matching subscription StreamEvent', () => {
+            twitch.processIrcLine(ws, twitchEvents.UserNotice_SubGift);
+
+            const [[event]] = twitch.sendStreamEvents.mock.calls[0];
+            expect(event).toBeInstanceOf(StreamEvent);
+            expect(event.type).toBe(StreamEventType.GIFT_SUBSCRIPTION);
+            expect(event.actor).toMatchObject({ id: '88888888', username: 'GenerousGifter' });
+            expect(event.target).toEqual({ id: '77777777', username: 'LuckyViewer' });
+            expect(event.amount).toBe(5);
+            expect(event.currency).toBe('USD');
+            expect(event.payload.plan).toBe('1000');
+        });
+
+        it('should send resubs as SUBSCRIPTION events with months', () => {
+            twitch.processIrcLine(ws, twitchEvents.UserNotice_Resub);
+
+            const [[event]] = twitch.sendStreamEvents.mock.calls[0];
+            expect(event.type).toBe(StreamEventType.SUBSCRIPTION);
+            expect(event.target).toBeNull();
+            expect(event.payload.months).toBe(14);
+            expect(event.payload.message).toBe('Still here baby Kappa');
+        });
+
+        it('should send raids as RAID events', () => {
+            twitch.processIrcLine(ws, twitchEvents.UserNotice_Raid);
+
+            const [[event]] = twitch.sendStreamEvents.mock.calls[0];
+            expect(event.type).toBe(StreamEventType.RAID);
+            expect(event.id).toBe(uuidv5('raid-raid111', Twitch.namespace));
+            expect(event.actor.username).toBe('RaidLeader');
+            expect(event.actor.avatar).toContain('raidleader-profile_image');
+            expect(event.payload.viewers).toBe(1337);
+            expect(event.sent_at).toBe(1705320900000);
+            expect(twitch.sendChatMessages).not.toHaveBeenCalled();
+        });
+
+        it('should record mystery gift children as ignored', () => {
+            twitch.processIrcLine(ws, twitchEvents.UserNotice_SubGiftFromMystery);
+
+            expect(twitch.sendChatMessages).not.toHaveBeenCalled();
+            expect(twitch.recordWebSocketIgnored).toHaveBeenCalled();
+        });
+
+        it('should load third-party emotes when ROOMSTATE gives a new room id', () => {
+            twitch.processIrcLine(ws, twitchEvents.RoomState);
+
+            expect(twitch.loadThirdPartyEmotes).toHaveBeenCalledWith('12345678');
+        });
+
+        it('should track forwarded PRIVMSG ids by user', () => {
+            twitch.processIrcLine(ws, twitchEvents.PrivMsg);
+
+            expect(twitch.messageIdsByUser.get('87654321')).toEqual(['abc123-def456']);
+        });
+
+        it('should remove a single message on CLEARMSG', () => {
+            twitch.processIrcLine(ws, twitchEvents.ClearMsg);
+
+            expect(twitch.sendRemoveMessages).toHaveBeenCalledWith(['abc123-def456']);
+        });
+
+        it('should remove all of a user\'s messages on targeted CLEARCHAT', () => {
+            twitch.trackUserMessage('44444444', 'banned-1');
+            twitch.trackUserMessage('44444444', 'banned-2');
+            twitch.trackUserMessage('12121212', 'innocent-1');
+
+            twitch.processIrcLine(ws, twitchEvents.ClearChat);
+
+            expect(twitch.sendRemoveMessages).toHaveBeenCalledWith(['banned-1', 'banned-2']);
+            expect(twitch.messageIdsByUser.has('44444444')).toBe(false);
+            expect(twitch.messageIdsByUser.get('12121212')).toEqual(['innocent-1']);
+        });
+
+        it('should remove every tracked message on CLEARCHAT without a target', () => {
+            twitch.trackUserMessage('44444444', 'a');
+            twitch.trackUserMessage('12121212', 'b');
+
+            twitch.processIrcLine(ws, twitchEvents.ClearChat_All);
+
+            expect(twitch.sendRemoveMessages).toHaveBeenCalledWith(['a', 'b']);
+            expect(twitch.messageIdsByUser.size).toBe(0);
+        });
+
+        it('should remove a user\'s subscription messages on CLEARCHAT', () => {
+            twitch.processIrcLine(ws, twitchEvents.UserNotice_Resub.replace('user-id=55555555', 'user-id=44444444'));
+            const [[resub]] = twitch.sendChatMessages.mock.calls[0];
+
+            twitch.processIrcLine(ws, twitchEvents.ClearChat);
+
+            expect(twitch.sendRemoveMessages).toHaveBeenCalledWith([resub.id]);
+        });
+
+        it('should ignore CLEARCHAT for a user with no tracked messages', () => {
+            twitch.processIrcLine(ws, twitchEvents.ClearChat);
+
+            expect(twitch.sendRemoveMessages).not.toHaveBeenCalled();
+            expect(twitch.recordWebSocketIgnored).toHaveBeenCalledWith(ws, 'in', twitchEvents.ClearChat, 'CLEARCHAT', 'No tracked messages to remove');
+        });
+    });
+
     describe('Real recording data tests', () => {
         let twitch;
 
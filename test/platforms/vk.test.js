@@ -28,7 +28,8 @@ vi.stubGlobal('document', {
 vi.stubGlobal('unsafeWindow', undefined);
 
 // Import after mocks are set up
-const { ChatMessage } = await import('../../src/core/message.js');
+const { ChatMessage, LivestreamUpdate } = await import('../../src/core/message.js');
+const { validate } = await import('../../src/core/schema.js');
 const { VK } = await import('../../src/platforms/vk.js');
 
 describe('VK Platform', () => {
@@ -92,5 +93,13 @@ describe('VK Platform', () => {
 
             expect(messages[0].avatar).toContain('default_profile');
         });
+
+        // VK traffic isn't replayable yet, so its fixtures have no golden file to be checked with
+        it('should produce messages that match the schema', () => {
+            const update = new LivestreamUpdate('VK', vk.channel);
+            update.messages = vk.prepareChatMessages(Object.values(vkEvents));
+
+            expect(validate(JSON.parse(JSON.stringify(update)))).toEqual([]);
+        });
     });
 });
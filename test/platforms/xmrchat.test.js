@@ -71,6 +71,13 @@ describe('XMRChat Platform', () => {
             expect(message.message).toBe('Great stream! Keep up the good work!');
         });
 
+        it('should keep the tip time in milliseconds', () => {
+            const tip = xmrchatEvents.TipMessage;
+            const message = xmrchat.prepareChatMessage(tip);
+
+            expect(message.sent_at).toBe(Date.parse(tip.createdAt));
+        });
+
         it('should convert XMR amount to USD', () => {
             const tip = xmrchatEvents.TipMessage;
             const message = xmrchat.prepareChatMessage(tip);
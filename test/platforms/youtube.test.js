@@ -86,7 +86,7 @@ vi.stubGlobal('document', {
 vi.stubGlobal('unsafeWindow', undefined);
 
 // Import after mocks are set up
-const { ChatMessage } = await import('../../src/core/message.js');
+const { ChatMessage, SegmentType } = await import('../../src/core/message.js');
 const { YouTube } = await import('../../src/platforms/youtube.js');
 
 describe('YouTube Platform', () => {
@@ -133,6 +133,21 @@ describe('YouTube Platform', () => {
             expect(messages[0].message).toContain('world!');
             expect(messages[0].emojis).toHaveLength(1);
             expect(messages[0].emojis[0][2]).toBe('UC_happy');
+
+            expect(messages[0].message).toMatch(/:UC_happy: /);
+        });
+
+        it('should capture reply context', async () => {
+            const action = youtubeEvents.liveChatReply.addChatItemAction;
+            const [message] = await youtube.prepareChatMessages([action]);
+            const [parent] = await youtube.prepareChatMessages([youtubeEvents.liveChatTextMessage.addChatItemAction]);
+
+            expect(message.message).toBe('@TestUser welcome!');
+            expect(message.reply_to).toEqual({
+                id: parent.id,
+                username: '@TestUser',
+                message: 'Hello world!',
+            });
         });
 
         it('should identify moderator badge', async () => {
@@ -606,6 +621,11 @@ describe('YouTube Platform', () => {
 
             expect(messages[0].username).toBe('@Afrosamurai469');
             expect(messages[0].emojis).toHaveLength(2);
+            expect(messages[0].segments.filter(s => s.type === SegmentType.EMOTE)).toHaveLength(2);
+            // The legacy text keeps the space the baseline put after every emoji
+            const runs = action.item.liveChatTextMessageRenderer.message.runs;
+            expect(messages[0].message).toBe(runs.map(run => run.text ?? `:${run.emoji.emojiId}: `).join(''));
+            expect(messages[0].segments.map(s => s.text).join('')).toBe(runs.map(run => run.text ?? `:${run.emoji.emojiId}:`).join(''));
         });
 
         it('should correctly parse real message with moderator badge', async () => {
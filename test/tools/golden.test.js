@@ -0,0 +1,111 @@
+// @vitest-environment node
+/**
+ * CHUCK - Golden Output Tests
+ * Replays every recorded fixture and compares the updates with its golden file
+ *
+ * A failure here means a parser now turns recorded traffic into different
+ * updates. If the change is intended, regenerate the golden files with
+ * `npx vitest run test/tools/golden.test.js -u` and review the diff.
+ */
+
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import kickRecording from '../fixtures/kick-recording.json';
+
+const { RECORDINGS_DIR, extractFixture, renderGolden } = await import('../../tools/golden.js');
+const { validate } = await import('../../src/core/schema.js');
+const { loadRecording, replayRecording } = await import('../../tools/replay.js');
+
+const fixtures = readdirSync(RECORDINGS_DIR).filter(file => file.endsWith('.json') && !file.endsWith('.golden.json'));
+
+describe('recorded sessions', () => {
+    beforeAll(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('should have recordings to replay', () => {
+        expect(fixtures.length).toBeGreaterThan(0);
+    });
+
+    it.each(fixtures)('%s should replay to its golden output', async (file) => {
+        const result = await replayRecording(await loadRecording(join(RECORDINGS_DIR, file)));
+
+        await expect(renderGolden(result)).toMatchFileSnapshot(join(RECORDINGS_DIR, file.replace(/\.json$/, '.golden.json')));
+    });
+
+    it.each(fixtures)('%s should produce updates that match the schema', async (file) => {
+        const { updates } = await replayRecording(await loadRecording(join(RECORDINGS_DIR, file)));
+
+        // As sent: undefined fields dropped, NaN turned into null
+        const errors = updates.flatMap((update, index) => validate(JSON.parse(JSON.stringify(update)))
+            .map(({ path, message }) => `updates[${index}].${path} ${message}`));
+        expect(errors).toEqual([]);
+    });
+});
+
+describe('extractFixture', () => {
+    it('should keep handled and unhandled traffic with a payload', () => {
+        const fixture = extractFixture(kickRecording);
+
+        // Pusher protocol, the parsed chat_message and the fetch without a body are dropped
+        expect(fixture.events.map(event => event.meta.eventName ?? event.url)).toEqual([
+            'App\\Events\\ChatMessageEvent',
+            'App\\Events\\ChatMessageEvent',
+            'https://kick.com/current-viewers?ids[]=55512345',
+            'App\\Events\\MessageDeletedEvent',
+        ]);
+        expect(fixture.events.every(event => event.status === 'handled')).toBe(true);
+    });
+
+    it('should keep only the fields replay reads', () => {
+        const [event] = extractFixture(kickRecording).events;
+
+        expect(Object.keys(event)).toEqual(['timestamp', 'type', 'status', 'url', 'payload', 'meta']);
+        expect(Object.keys(event.meta)).toEqual(['method', 'statusCode', 'eventName']);
+        expect(event.timestamp).toBe(kickRecording.events[2].timestamp);
+    });
+
+    it('should keep the page and take the channel from options', () => {
+        expect(extractFixture(kickRecording)).toMatchObject({ platform: 'Kick', url: 'https://kick.com/testchannel', channel: null });
+        expect(extractFixture(kickRecording, { url: 'https://kick.com/other', channel: 'picked' }))
+            .toMatchObject({ url: 'https://kick.com/other', channel: 'picked' });
+    });
+});
+
+describe('renderGolden', () => {
+    beforeAll(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('should render the same text for every replay of a recording', async () => {
+        const fixture = extractFixture(kickRecording);
+
+        const first = renderGolden(await replayRecording(fixture));
+        const second = renderGolden(await replayRecording(fixture));
+
+        expect(second).toBe(first);
+    });
+
+    it('should stamp messages with the time their event was recorded', async () => {
+        const fixture = extractFixture(kickRecording);
+        const golden = JSON.parse(renderGolden(await replayRecording(fixture)));
+
+        expect(golden.updates[0].messages[0].received_at).toBe(fixture.events[0].timestamp);
+    });
+
+    it('should list failed events by where they happened and their message', async () => {
+        const fixture = {
+            platform: 'Kick',
+            url: 'https://kick.com/testchannel',
+            events: [{ timestamp: 1, type: 'ws_message', status: 'error', url: 'wss://example/ws', payload: 'not json', meta: {} }],
+        };
+        const golden = JSON.parse(renderGolden(await replayRecording(fixture)));
+
+        expect(golden.errors).toEqual([
+            { type: 'ws_message', url: 'wss://example/ws', timestamp: 1, message: expect.stringMatching(/^SyntaxError: /) },
+        ]);
+        expect(golden.updates).toEqual([]);
+    });
+});
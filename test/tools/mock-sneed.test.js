@@ -0,0 +1,179 @@
+/**
+ * CHUCK - Mock SNEED Tests
+ * Drives a real Seed and its backend socket against the mock server
+ *
+ * The jsdom WebSocket opens real connections, so everything between
+ * queueLivestreamUpdate and the server's parsed update is exercised: batching,
+ * the outbound queue, hello, welcome, acks, authentication and commands.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+
+// jsdom has no EventSource; the Seed patches it on start
+window.EventSource ??= class {
+    addEventListener() {}
+};
+
+const { Seed } = await import('../../src/core/seed.js');
+const { Config } = await import('../../src/core/config.js');
+const { ConnectionState } = await import('../../src/core/connection.js');
+const { ChatMessage, LivestreamUpdate } = await import('../../src/core/message.js');
+const { MockSneed, formatUpdate } = await import('../../tools/mock-sneed.js');
+
+class TestSeed extends Seed {
+    injected = [];
+
+    constructor() {
+        super('00000000-0000-0000-0000-000000000000', 'Test', 'testchannel');
+    }
+
+    injectMessage(message) {
+        this.injected.push(message);
+    }
+}
+
+function chatMessage(fields = {}) {
+    const message = new ChatMessage('msg-1', 'Test', 'testchannel');
+    Object.assign(message, { username: 'TestUser', message: 'Hello world!', sent_at: Date.now() }, fields);
+    return message;
+}
+
+async function startServer(options = {}) {
+    const server = new MockSneed({ host: '127.0.0.1', port: 0, log: null, ...options });
+    await server.listen();
+    servers.push(server);
+    return server;
+}
+
+const servers = [];
+let seed;
+let server;
+
+describe('MockSneed with a real Seed', () => {
+    beforeAll(async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        server = await startServer();
+        await Config.update({ serverUrl: server.url, batchInterval: 0, deliveryAcks: true, reconnectBaseDelay: 10 });
+        seed = new TestSeed();
+        // Connect to the mock rather than the default target
+        await seed.configLoaded;
+        seed.connect();
+        await vi.waitFor(() => expect(server.clients.size).toBe(1));
+    });
+
+    afterAll(async () => {
+        seed.stop();
+        await Promise.all(servers.map(mock => mock.close()));
+        vi.restoreAllMocks();
+    });
+
+    it('should receive the hello and welcome the Seed', async () => {
+        const connection = seed.connections[0];
+
+        await vi.waitFor(() => expect(connection.server).not.toBeNull());
+        expect(connection.state).toBe(ConnectionState.OPEN);
+        expect(connection.server.features).toContain('inject_message');
+    });
+
+    it('should list what the Seed can do in the hello', async () => {
+        const [hello] = await new Promise((resolve) => {
+            seed.connections[0].socket.close();
+            server.once('hello', (...args) => resolve(args));
+        });
+
+        expect(hello).toMatchObject({ platform: 'Test', channel: 'testchannel', protocol: 1 });
+        expect(hello.features).toEqual(expect.arrayContaining(['messages', 'inject_message', 'ack']));
+    });
+
+    it('should receive and validate chat messages', async () => {
+        seed.sendChatMessages([chatMessage({ id: 'valid-1' })]);
+
+        const update = await server.waitForUpdate(update => update.messages?.[0]?.id === 'valid-1');
+        expect(update).toMatchObject({ platform: 'Test', channel: 'testchannel' });
+        expect(update.messages[0].username).toBe('TestUser');
+        expect(server.invalid.find(entry => entry.update === update)).toBeUndefined();
+    });
+
+    it('should flag updates that break the schema', async () => {
+        seed.sendChatMessages([chatMessage({ id: 'seconds-1', sent_at: Math.floor(Date.now() / 1000) })]);
+
+        const update = await server.waitForUpdate(update => update.messages?.[0]?.id === 'seconds-1');
+        expect(server.invalid.find(entry => entry.update === update).errors).toEqual([
+            { path: 'messages[0].sent_at', message: expect.stringMatching(/^must be at least/) },
+        ]);
+    });
+
+    it('should acknowledge numbered updates', async () => {
+        const connection = seed.connections[0];
+        seed.sendViewerCount(42);
+
+        const update = await server.waitForUpdate(update => update.viewers === 42);
+        expect(Number.isInteger(update.seq)).toBe(true);
+        await vi.waitFor(() => expect(connection.getStatus().unacked).toBe(0));
+    });
+
+    it('should deliver inject_message to the Seed', async () => {
+        expect(server.injectMessage({ username: 'Admin', message: 'Injected' })).toBe(1);
+
+        await vi.waitFor(() => expect(seed.injected).toHaveLength(1));
+        expect(seed.injected[0]).toMatchObject({ username: 'Admin', message: 'Injected' });
+        expect(typeof seed.injected[0].id).toBe('string');
+    });
+
+    it('should pass other commands to handleServerCommand', async () => {
+        const handle = vi.spyOn(seed, 'handleServerCommand');
+
+        server.send('future_command', { value: 1 });
+
+        await vi.waitFor(() => expect(handle).toHaveBeenCalledWith('future_command', { value: 1 }));
+        handle.mockRestore();
+    });
+
+    describe('authentication', () => {
+        it.each(['message', 'query', 'subprotocol', 'challenge'])('should accept the right token by %s', async (authMethod) => {
+            const secured = await startServer({ token: 'secret', authMethod });
+
+            await Config.update({ serverUrl: secured.url, authToken: 'secret', authMethod });
+
+            await vi.waitFor(() => expect(secured.clients.size).toBe(1));
+            seed.sendViewerCount(7);
+            await secured.waitForUpdate(update => update.viewers === 7);
+            expect(seed.connections[0].state).toBe(ConnectionState.OPEN);
+        });
+
+        it('should refuse the wrong token', async () => {
+            const secured = await startServer({ token: 'secret', authMethod: 'challenge' });
+
+            await Config.update({ serverUrl: secured.url, authToken: 'wrong', authMethod: 'challenge' });
+
+            await vi.waitFor(() => expect(seed.connections[0].state).toBe(ConnectionState.AUTH_FAILED));
+            expect(secured.clients.size).toBe(0);
+            expect(secured.updates).toEqual([]);
+        });
+    });
+});
+
+describe('formatUpdate', () => {
+    it('should print messages, events, removals and viewers as chat lines', () => {
+        const update = Object.assign(new LivestreamUpdate('Kick', 'testchannel'), {
+            messages: [chatMessage({ username: 'BigDonor', message: 'Thanks!', amount: 5, currency: 'USD' })],
+            removals: ['msg-0'],
+            viewers: 1234,
+            events: [{ type: 'subscription', actor: { username: 'court' }, amount: 0 }],
+        });
+
+        expect(formatUpdate(update)).toEqual([
+            '[Kick/testchannel] BigDonor: Thanks! (5 USD)',
+            '[Kick/testchannel] subscription event by court',
+            '[Kick/testchannel] removed msg-0',
+            '[Kick/testchannel] 1234 viewers',
+        ]);
+    });
+
+    it('should survive updates that are not LivestreamUpdates', () => {
+        expect(formatUpdate(null)).toEqual(['[?/?] empty update']);
+        expect(formatUpdate({ platform: 'X', messages: [null] })).toEqual(['[X/?] undefined: undefined']);
+    });
+});
@@ -0,0 +1,140 @@
+// @vitest-environment node
+/**
+ * CHUCK - Replay Tool Tests
+ * Tests for feeding Recorder downloads back through the platforms in Node
+ */
+
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import kickRecording from '../fixtures/kick-recording.json';
+import xmrchatEvents from '../fixtures/xmrchat-events.json';
+import rumbleEvents from '../fixtures/rumble-events.json';
+
+const { replayRecording, isReplayable } = await import('../../tools/replay.js');
+
+function recording(platform, events, url = undefined) {
+    return {
+        platform,
+        url,
+        events: events.map(([type, eventUrl, payload, meta = {}]) => ({
+            type,
+            status: 'handled',
+            url: eventUrl,
+            payload,
+            meta: { method: null, statusCode: null, headers: null, eventName: null, ...meta },
+        })),
+    };
+}
+
+describe('replayRecording', () => {
+    beforeAll(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('should collect the updates a Kick session produced', async () => {
+        const { updates, replayed, skipped, errors } = await replayRecording(kickRecording);
+
+        expect(errors).toEqual([]);
+        expect(replayed).toBe(7);
+        // The parsed chat_message and the ignored fetch without a body
+        expect(skipped).toBe(2);
+
+        expect(updates.flatMap(update => update.messages ?? []).map(message => message.id))
+            .toEqual(['test-message-id-123', 'reply-message-id-321']);
+        expect(updates.find(update => update.viewers !== undefined).viewers).toBe(1234);
+        expect(updates.at(-1).removals).toEqual(['deleted-msg-id']);
+    });
+
+    it('should take the channel from the page the recording was made on', async () => {
+        const { updates } = await replayRecording(kickRecording);
+
+        expect(updates.every(update => update.channel === 'testchannel')).toBe(true);
+    });
+
+    it('should let the caller choose the page and channel', async () => {
+        const fromUrl = await replayRecording(kickRecording, { url: 'https://kick.com/otherchannel' });
+        expect(fromUrl.seed.channel).toBe('otherchannel');
+
+        const fromOption = await replayRecording(kickRecording, { channel: 'picked' });
+        expect(fromOption.updates[0].channel).toBe('picked');
+    });
+
+    it('should produce the same updates on every replay', async () => {
+        const strip = updates => updates.map(update => ({
+            ...update,
+            messages: update.messages?.map(({ received_at, ...message }) => message),
+        }));
+
+        const first = await replayRecording(kickRecording);
+        const second = await replayRecording(kickRecording);
+
+        expect(strip(second.updates)).toEqual(strip(first.updates));
+    });
+
+    it('should run recorded XHRs through open and readystatechange', async () => {
+        const tip = { ...xmrchatEvents.TipMessage, createdAt: new Date().toISOString() };
+        const { updates, errors } = await replayRecording(recording('XMRChat', [
+            ['xhr_response', 'https://xmrchat.com/api/tips/page/streamer', JSON.stringify([tip]), { method: 'GET', statusCode: 200 }],
+        ]));
+
+        expect(errors).toEqual([]);
+        expect(updates).toHaveLength(1);
+        expect(updates[0].messages[0].username).toBe('GenerousDonor');
+        expect(updates[0].messages[0].message).toBe(tip.message);
+    });
+
+    it('should replay EventSource messages', async () => {
+        const payload = JSON.stringify({
+            type: 'messages',
+            data: { messages: [rumbleEvents.ChatMessage], users: [rumbleEvents.User] },
+        });
+        const { updates, errors } = await replayRecording(recording('Rumble', [
+            ['eventsource_message', 'https://web7.rumble.com/chat/api/chat/123456/stream', payload, { eventName: 'messages' }],
+        ]), { channel: 123456 });
+
+        expect(errors).toEqual([]);
+        expect(updates[0].channel).toBe(123456);
+        expect(updates[0].messages[0].username).toBe('TestViewer');
+        expect(updates[0].messages[0].message).toBe('Hello from Rumble!');
+    });
+
+    it('should note a handler that throws and carry on', async () => {
+        const ws = 'wss://ws-us2.pusher.com/app/key';
+        const { updates, replayed, errors } = await replayRecording(recording('Kick', [
+            ['ws_message', ws, 'not json'],
+            ['ws_message', ws, kickRecording.events[2].payload],
+        ], 'https://kick.com/testchannel'));
+
+        expect(replayed).toBe(1);
+        expect(errors).toHaveLength(1);
+        expect(errors[0].event.payload).toBe('not json');
+        expect(errors[0].error).toBeInstanceOf(SyntaxError);
+        expect(updates[0].messages[0].id).toBe('test-message-id-123');
+    });
+
+    it('should refuse a recording from an unknown platform', async () => {
+        await expect(replayRecording(recording('Myspace', []))).rejects.toThrow('Unknown platform in recording: Myspace');
+    });
+});
+
+describe('isReplayable', () => {
+    it('should replay intercepted traffic with a payload', () => {
+        expect(isReplayable({ type: 'ws_message', payload: '{}' })).toBe(true);
+        expect(isReplayable({ type: 'ws_send', payload: '{}' })).toBe(true);
+        expect(isReplayable({ type: 'fetch_response', payload: '{}' })).toBe(true);
+        expect(isReplayable({ type: 'xhr_response', payload: '[]' })).toBe(true);
+        expect(isReplayable({ type: 'eventsource_message', payload: '{}' })).toBe(true);
+    });
+
+    it('should skip CHUCK output and traffic recorded without a body', () => {
+        expect(isReplayable({ type: 'chat_message', payload: '{}' })).toBe(false);
+        expect(isReplayable({ type: 'stream_event', payload: '{}' })).toBe(false);
+        expect(isReplayable({ type: 'fetch_response', payload: null })).toBe(false);
+        expect(isReplayable({ type: 'fetch_response', payload: '[Response object - clone to read body]' })).toBe(false);
+    });
+
+    it('should skip payloads the recorder cut short', () => {
+        expect(isReplayable({ type: 'ws_message', payload: '{"event":"chat_mes', truncated: true })).toBe(false);
+        expect(isReplayable({ type: 'ws_message', payload: '{}', truncated: false })).toBe(true);
+    });
+});
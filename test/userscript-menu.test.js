@@ -0,0 +1,198 @@
+/**
+ * CHUCK - Userscript Menu Tests
+ * Tests for menu entries and the in-page settings dialog
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const { registerUserscriptMenu, openSettings } = await import('../src/userscript-menu.js');
+const { Config, DEFAULTS } = await import('../src/core/config.js');
+
+function createSeed() {
+    const listeners = new Set();
+    const seed = {
+        connectionState: 'open',
+        recorder: { recording: false },
+        onConnectionStateChange: vi.fn(listener => listeners.add(listener)),
+        startRecording: vi.fn(() => { seed.recorder.recording = true; }),
+        stopRecording: vi.fn(() => { seed.recorder.recording = false; }),
+        downloadRecording: vi.fn(),
+        getStatus: vi.fn(() => ({
+            platform: 'Kick',
+            channel: 'somechannel',
+            reconnectAttempts: 0,
+            sent: { messages: 12 },
+            messagesPerMinute: 3,
+            queued: 0,
+            dropped: 0,
+            recorder: { recording: seed.recorder.recording, continuous: seed.recorder.continuous, totalEvents: 0 },
+        })),
+        changeState(state) {
+            seed.connectionState = state;
+            listeners.forEach(listener => listener({ state }));
+        },
+    };
+    return seed;
+}
+
+describe('Userscript menu', () => {
+    let menu;
+
+    beforeEach(() => {
+        menu = new Map();
+        let nextId = 1;
+        vi.stubGlobal('GM_registerMenuCommand', vi.fn((caption, command) => {
+            const id = nextId++;
+            menu.set(id, { caption, command });
+            return id;
+        }));
+        vi.stubGlobal('GM_unregisterMenuCommand', vi.fn(id => menu.delete(id)));
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        Config._cache = null;
+        Config._listeners.clear();
+    });
+
+    const captions = () => [...menu.values()].map(entry => entry.caption);
+    const run = (caption) => [...menu.values()].find(entry => entry.caption === caption).command();
+
+    it('should list status, settings and recorder entries', () => {
+        registerUserscriptMenu(createSeed());
+
+        expect(captions()).toEqual(['Status: Connected', 'Settings…', 'Start recording', 'Download recording']);
+    });
+
+    it('should update the status entry when the connection state changes', () => {
+        const seed = createSeed();
+        registerUserscriptMenu(seed);
+
+        seed.changeState('backing_off');
+
+        expect(captions()[0]).toBe('Status: Reconnecting');
+        expect(menu.size).toBe(4);
+    });
+
+    it('should toggle between start and stop recording', () => {
+        const seed = createSeed();
+        registerUserscriptMenu(seed);
+
+        run('Start recording');
+
+        expect(seed.startRecording).toHaveBeenCalled();
+        expect(captions()).toContain('Stop recording');
+
+        run('Stop recording');
+
+        expect(seed.stopRecording).toHaveBeenCalled();
+        expect(captions()).toContain('Start recording');
+    });
+
+    it('should still offer settings when no platform is running', () => {
+        registerUserscriptMenu(null);
+
+        expect(captions()).toEqual(['Status: No platform running', 'Settings…']);
+    });
+
+    it('should do nothing outside a userscript manager', () => {
+        vi.stubGlobal('GM_registerMenuCommand', undefined);
+
+        expect(() => registerUserscriptMenu(createSeed())).not.toThrow();
+    });
+
+    describe('settings dialog', () => {
+        const openDialog = async (seed) => {
+            await openSettings(seed);
+            const host = [...document.documentElement.children].find(el => el.shadowRoot);
+            return host.shadowRoot;
+        };
+
+        it('should show the current config and status', async () => {
+            Config._cache = { ...DEFAULTS, serverUrl: 'ws://example.test/chat.ws', platforms: { ...DEFAULTS.platforms, kick: false } };
+
+            const root = await openDialog(createSeed());
+
+            expect(root.getElementById('serverUrl').value).toBe('ws://example.test/chat.ws');
+            expect(root.querySelector('[data-platform="kick"]').checked).toBe(false);
+            expect(root.querySelector('[data-platform="twitch"]').checked).toBe(true);
+            expect(root.getElementById('status').textContent).toContain('Kick / somechannel');
+            root.getElementById('close').click();
+        });
+
+        it('should save edits through Config and close', async () => {
+            const listener = vi.fn();
+            Config._cache = { ...DEFAULTS };
+            Config.onChange(listener);
+            const update = vi.spyOn(Config, 'update');
+
+            const root = await openDialog(createSeed());
+            root.getElementById('serverUrl').value = 'ws://example.test/chat.ws';
+            root.getElementById('debug').checked = true;
+            root.querySelector('[data-platform="rumble"]').checked = false;
+            root.getElementById('save').click();
+            await vi.waitFor(() => expect(update).toHaveBeenCalled());
+
+            expect(update).toHaveBeenCalledWith({
+                serverUrl: 'ws://example.test/chat.ws',
+                authToken: null,
+                authMethod: 'message',
+                debug: true,
+                recorderContinuous: false,
+                platforms: { ...DEFAULTS.platforms, rumble: false },
+            });
+            await vi.waitFor(() => expect(listener).toHaveBeenCalled());
+            expect(listener.mock.calls[0][1]).toEqual(['serverUrl', 'debug', 'platforms']);
+            update.mockRestore();
+        });
+
+        it('should save the auth token and how to send it', async () => {
+            Config._cache = { ...DEFAULTS };
+            const update = vi.spyOn(Config, 'update');
+
+            const root = await openDialog(createSeed());
+            root.getElementById('authToken').value = ' secret ';
+            root.getElementById('authMethod').value = 'challenge';
+            root.getElementById('save').click();
+            await vi.waitFor(() => expect(update).toHaveBeenCalled());
+
+            expect(update.mock.calls[0][0]).toMatchObject({ authToken: 'secret', authMethod: 'challenge' });
+            update.mockRestore();
+        });
+
+        it('should turn background recording on and show it in the status', async () => {
+            Config._cache = { ...DEFAULTS };
+            const update = vi.spyOn(Config, 'update');
+            const seed = createSeed();
+            seed.recorder = { recording: true, continuous: true };
+
+            const root = await openDialog(seed);
+            expect(root.getElementById('status').textContent).toContain('Recorder: recording in background');
+            root.getElementById('recorderContinuous').checked = true;
+            root.getElementById('save').click();
+            await vi.waitFor(() => expect(update).toHaveBeenCalled());
+
+            expect(update.mock.calls[0][0]).toMatchObject({ recorderContinuous: true });
+            update.mockRestore();
+        });
+
+        it('should open only one dialog at a time', async () => {
+            const seed = createSeed();
+            await openSettings(seed);
+            await openSettings(seed);
+
+            const hosts = [...document.documentElement.children].filter(el => el.shadowRoot);
+            expect(hosts).toHaveLength(1);
+            hosts[0].shadowRoot.getElementById('close').click();
+        });
+
+        it('should open one dialog for clicks made while config loads', async () => {
+            const seed = createSeed();
+            await Promise.all([openSettings(seed), openSettings(seed)]);
+
+            const hosts = [...document.documentElement.children].filter(el => el.shadowRoot);
+            expect(hosts).toHaveLength(1);
+            hosts[0].shadowRoot.getElementById('close').click();
+        });
+    });
+});
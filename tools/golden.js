@@ -0,0 +1,123 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Golden-output fixtures from debug recordings
+ *
+ * Turns a Recorder download into a fixture of the payloads the platform
+ * handled or didn't recognise, and a golden file of what replaying them
+ * produces. test/tools/golden.test.js replays every fixture and compares the
+ * result with its golden file, so a change in any parser shows up as a diff.
+ *
+ * Usage: npm run golden -- <recording.json> <name> [--url <page url>] [--channel <channel>]
+ * Writes test/fixtures/recordings/<name>.json and <name>.golden.json.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { EventStatus } from '../src/core/recorder.js';
+import { isReplayable, loadRecording, replayRecording } from './replay.js';
+
+/**
+ * Directory of recorded fixtures and their golden files
+ */
+export const RECORDINGS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'test', 'fixtures', 'recordings');
+
+// Ignored traffic is heartbeats and protocol chatter; errors are kept as they may be fixed later
+const KEPT_STATUSES = new Set([EventStatus.HANDLED, EventStatus.UNHANDLED, EventStatus.ERROR]);
+
+/**
+ * Keep the payloads of a recording worth replaying
+ * CHUCK's own output, ignored traffic and anything recorded without a body
+ * are dropped, along with fields replay doesn't read.
+ * @param {Object} recording - Output of Recorder.export()
+ * @param {Object} options
+ * @param {string} options.url - Page URL, when the recording doesn't name one
+ * @param {string} options.channel - Channel, for platforms that read it from the page
+ * @returns {Object} Fixture that replayRecording() takes
+ */
+export function extractFixture(recording, options = {}) {
+    return {
+        platform: recording.platform,
+        url: options.url ?? recording.url ?? null,
+        channel: options.channel ?? null,
+        recordingStarted: recording.recordingStarted ?? null,
+        events: (recording.events ?? [])
+            .filter(event => KEPT_STATUSES.has(event.status) && isReplayable(event))
+            .map(({ timestamp, type, status, url, payload, meta }) => ({
+                timestamp,
+                type,
+                status,
+                url,
+                payload,
+                meta: {
+                    method: meta?.method ?? null,
+                    statusCode: meta?.statusCode ?? null,
+                    eventName: meta?.eventName ?? null,
+                },
+            })),
+    };
+}
+
+/**
+ * Golden file contents for a replay
+ * Updates are reduced to plain JSON, and errors to where they happened and
+ * their message.
+ * @param {Object} result - Result of replayRecording()
+ * @returns {string}
+ */
+export function renderGolden({ seed, updates, replayed, skipped, errors }) {
+    const golden = {
+        platform: seed.platform,
+        channel: seed.channel ?? null,
+        replayed,
+        skipped,
+        errors: errors.map(({ event, error }) => ({
+            type: event.type,
+            url: event.url,
+            timestamp: event.timestamp ?? null,
+            message: `${error?.name ?? 'Error'}: ${error?.message ?? error}`,
+        })),
+        updates: JSON.parse(JSON.stringify(updates)),
+    };
+    return `${JSON.stringify(golden, null, 2)}\n`;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            url: { type: 'string' },
+            channel: { type: 'string' },
+        },
+    });
+    if (positionals.length !== 2 || !/^[\w-]+$/.test(positionals[1])) {
+        console.error('Usage: npm run golden -- <recording.json> <name> [--url <page url>] [--channel <channel>]');
+        process.exitCode = 2;
+        return;
+    }
+    const [path, name] = positionals;
+
+    // Platforms log with console.log; keep stdout for the summary
+    const log = console.log;
+    console.log = console.error;
+
+    const fixture = extractFixture(await loadRecording(path), values);
+    const result = await replayRecording(fixture);
+
+    await mkdir(RECORDINGS_DIR, { recursive: true });
+    const fixturePath = join(RECORDINGS_DIR, `${name}.json`);
+    const goldenPath = join(RECORDINGS_DIR, `${name}.golden.json`);
+    await writeFile(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+    await writeFile(goldenPath, renderGolden(result));
+
+    log(`Kept ${fixture.events.length} events in ${fixturePath}`);
+    log(`Wrote ${result.updates.length} updates to ${goldenPath}`);
+    if (result.errors.length > 0) {
+        log(`${result.errors.length} events failed to replay; see the golden file`);
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    await main();
+}
@@ -0,0 +1,425 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Mock SNEED backend for development and integration tests
+ *
+ * Listens where CHUCK sends its updates by default, answers the hello,
+ * checks every LivestreamUpdate against the schema and prints it as chat
+ * lines. Commands such as inject_message can be typed in to reach the page.
+ *
+ * Usage: npm run sneed -- [--host <host>] [--port <port>] [--path <path>]
+ *        [--token <secret>] [--auth-method <method>] [--no-ack] [--json]
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import { inspect, parseArgs } from 'node:util';
+import { WebSocketServer } from 'ws';
+import { AuthMessage, AuthMethod } from '../src/core/auth.js';
+import { Feature, MessageType, PROTOCOL_VERSION } from '../src/core/protocol.js';
+import { validate } from '../src/core/schema.js';
+
+/**
+ * Where CHUCK connects unless configured otherwise
+ */
+export const DEFAULT_HOST = '127.0.0.2';
+export const DEFAULT_PORT = 1350;
+export const DEFAULT_PATH = '/chat.ws';
+
+// Subprotocol CHUCK offers next to the one carrying its token
+const SUBPROTOCOL = 'chuck';
+const SUBPROTOCOL_PREFIX = 'chuck.auth.';
+
+// Runs unbundled, so read the release straight from package.json
+const { version: VERSION } = JSON.parse(readFileSync(join(dirname(fileURLToPath(import.meta.url)), '..', 'package.json'), 'utf8'));
+
+/**
+ * WebSocket server speaking the backend side of the CHUCK protocol
+ *
+ * Emits 'connection' (client), 'hello' (data, client), 'update' (update, client)
+ * and 'invalid' (update, errors, client).
+ */
+export class MockSneed extends EventEmitter {
+    clients = new Set();  // Sockets that passed authentication
+    updates = [];         // Every update received, in order
+    invalid = [];         // { update, errors } for updates that failed validation
+
+    /**
+     * @param {Object} options
+     * @param {string} options.host - Interface to listen on
+     * @param {number} options.port - Port to listen on; 0 picks a free one
+     * @param {string} options.path - Path sockets must connect to
+     * @param {?string} options.token - Shared secret clients must present; null accepts anyone
+     * @param {string} options.authMethod - How the secret is presented, from AuthMethod
+     * @param {string[]} options.features - Features listed in the welcome
+     * @param {?Function} options.log - Called with each line to print; null keeps quiet
+     */
+    constructor({
+        host = DEFAULT_HOST,
+        port = DEFAULT_PORT,
+        path = DEFAULT_PATH,
+        token = null,
+        authMethod = AuthMethod.MESSAGE,
+        features = Object.values(Feature),
+        log = console.log,
+    } = {}) {
+        super();
+        this.host = host;
+        this.port = port;
+        this.path = path;
+        this.token = token;
+        this.authMethod = authMethod;
+        this.features = features;
+        this.log = log ?? (() => {});
+        this.server = null;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<{address: string, port: number}>}
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server = new WebSocketServer({
+                host: this.host,
+                port: this.port,
+                path: this.path,
+                handleProtocols: protocols => (protocols.has(SUBPROTOCOL) ? SUBPROTOCOL : false),
+            });
+            this.server.once('error', reject);
+            this.server.once('listening', () => {
+                this.server.off('error', reject);
+                this.server.on('connection', (ws, request) => this.onConnection(ws, request));
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    /**
+     * URL to point CHUCK's serverUrl at
+     */
+    get url() {
+        const { address, port } = this.server?.address() ?? { address: this.host, port: this.port };
+        return `ws://${address.includes(':') ? `[${address}]` : address}:${port}${this.path}`;
+    }
+
+    /**
+     * Disconnect every client and stop listening
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (!this.server) return Promise.resolve();
+        for (const ws of this.server.clients) {
+            ws.terminate();
+        }
+        this.clients.clear();
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * Send a command to every authenticated client
+     * @param {string} type - Command type, e.g. inject_message
+     * @param {*} data - Command payload
+     * @returns {number} Clients the command was sent to
+     */
+    send(type, data) {
+        const text = JSON.stringify({ type, data });
+        for (const ws of this.clients) {
+            ws.send(text);
+        }
+        return this.clients.size;
+    }
+
+    /**
+     * Show a message in the chat of every connected page that can inject
+     * Fields not given get placeholder values.
+     * @param {Object} message - ChatMessage-like fields, at least username and message
+     * @returns {number} Clients the message was sent to
+     */
+    injectMessage(message) {
+        return this.send(MessageType.INJECT_MESSAGE, {
+            id: randomUUID(),
+            username: 'SNEED',
+            message: '',
+            sent_at: Date.now(),
+            ...message,
+        });
+    }
+
+    /**
+     * Wait for an update, including ones already received
+     * @param {Function} predicate - Called with each update until it returns true
+     * @param {number} timeout - Milliseconds before giving up
+     * @returns {Promise<Object>} The first matching update
+     */
+    waitForUpdate(predicate = () => true, timeout = 5000) {
+        const received = this.updates.find(update => predicate(update));
+        if (received) return Promise.resolve(received);
+
+        return new Promise((resolve, reject) => {
+            const onUpdate = (update) => {
+                if (!predicate(update)) return;
+                clearTimeout(timer);
+                this.off('update', onUpdate);
+                resolve(update);
+            };
+            const timer = setTimeout(() => {
+                this.off('update', onUpdate);
+                reject(new Error(`No matching update within ${timeout}ms`));
+            }, timeout);
+            this.on('update', onUpdate);
+        });
+    }
+
+    onConnection(ws, request) {
+        const client = { ws, hello: null, authenticated: false, nonce: null };
+        ws.on('message', data => this.onMessage(client, data.toString()));
+        ws.on('close', () => {
+            this.clients.delete(ws);
+            this.log(`${describeClient(client)} disconnected`);
+        });
+
+        if (!this.token) {
+            this.accept(client);
+            return;
+        }
+
+        switch (this.authMethod) {
+            case AuthMethod.QUERY: {
+                const token = new URL(request.url, 'ws://localhost').searchParams.get('token');
+                this.checkCredentials(client, token === this.token);
+                break;
+            }
+            case AuthMethod.SUBPROTOCOL: {
+                const offered = (request.headers['sec-websocket-protocol'] ?? '').split(',').map(protocol => protocol.trim());
+                this.checkCredentials(client, offered.includes(`${SUBPROTOCOL_PREFIX}${base64url(this.token)}`));
+                break;
+            }
+            case AuthMethod.CHALLENGE:
+                client.nonce = randomBytes(16).toString('hex');
+                ws.send(JSON.stringify({ type: AuthMessage.CHALLENGE, data: { nonce: client.nonce } }));
+                break;
+            default:
+                // The auth message arrives first
+        }
+    }
+
+    onMessage(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            this.log(`${describeClient(client)} sent something that isn't JSON: ${text.slice(0, 200)}`);
+            return;
+        }
+
+        if (!client.authenticated) {
+            this.authenticate(client, message);
+            return;
+        }
+
+        switch (message?.type) {
+            case MessageType.HELLO:
+                this.onHello(client, message.data);
+                break;
+            case undefined:
+                this.onUpdate(client, message);
+                break;
+            default:
+                this.log(`${describeClient(client)} sent an unknown message: ${message.type}`);
+        }
+    }
+
+    authenticate(client, message) {
+        if (this.authMethod === AuthMethod.MESSAGE && message?.type === AuthMessage.AUTH) {
+            this.checkCredentials(client, message.data?.token === this.token);
+        } else if (this.authMethod === AuthMethod.CHALLENGE && message?.type === AuthMessage.RESPONSE) {
+            const expected = createHmac('sha256', this.token).update(client.nonce).digest('hex');
+            const signature = String(message.data?.signature ?? '');
+            const matches = signature.length === expected.length && timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+            if (matches) {
+                client.ws.send(JSON.stringify({ type: AuthMessage.OK }));
+            }
+            this.checkCredentials(client, matches);
+        } else {
+            this.refuse(client, 'Authenticate first');
+        }
+    }
+
+    checkCredentials(client, valid) {
+        if (valid) {
+            this.accept(client);
+        } else {
+            this.refuse(client, 'Invalid credentials');
+        }
+    }
+
+    accept(client) {
+        client.authenticated = true;
+        this.clients.add(client.ws);
+        this.log('Client connected');
+        this.emit('connection', client);
+    }
+
+    refuse(client, reason) {
+        this.log(`Refused a client: ${reason}`);
+        client.ws.send(JSON.stringify({ type: AuthMessage.FAILED, data: { reason } }));
+        client.ws.close(4401, reason);
+    }
+
+    onHello(client, data) {
+        client.hello = data ?? {};
+        this.log(`${describeClient(client)} said hello: CHUCK ${client.hello.version}, protocol ${client.hello.protocol}, features ${client.hello.features?.join(', ')}`);
+        client.ws.send(JSON.stringify({
+            type: MessageType.WELCOME,
+            data: { protocol: PROTOCOL_VERSION, version: `mock-sneed/${VERSION}`, features: this.features },
+        }));
+        this.emit('hello', client.hello, client);
+    }
+
+    onUpdate(client, update) {
+        this.updates.push(update);
+
+        for (const line of formatUpdate(update)) {
+            this.log(line);
+        }
+        const errors = validate(update);
+        if (errors.length > 0) {
+            this.invalid.push({ update, errors });
+            for (const { path, message } of errors) {
+                this.log(`  ! ${path} ${message}`);
+            }
+            this.emit('invalid', update, errors, client);
+        }
+
+        if (Number.isInteger(update.seq) && this.features.includes(Feature.ACK) && client.hello?.features?.includes(Feature.ACK)) {
+            client.ws.send(JSON.stringify({ type: MessageType.ACK, data: { seq: update.seq } }));
+        }
+        this.emit('update', update, client);
+    }
+}
+
+/**
+ * Chat-log lines for an update
+ * @param {Object} update - LivestreamUpdate as received
+ * @returns {string[]}
+ */
+export function formatUpdate(update) {
+    const prefix = `[${update?.platform ?? '?'}/${update?.channel ?? '?'}]`;
+    const lines = [];
+
+    for (const message of update?.messages ?? []) {
+        const amount = message?.amount > 0 ? ` (${message.amount} ${message.currency})` : '';
+        lines.push(`${prefix} ${message?.username}: ${message?.message}${amount}`);
+    }
+    for (const event of update?.events ?? []) {
+        const actor = event?.actor?.username ? ` by ${event.actor.username}` : '';
+        const amount = event?.amount > 0 ? ` (${event.amount} ${event.currency})` : '';
+        lines.push(`${prefix} ${event?.type} event${actor}${amount}`);
+    }
+    if (update?.removals?.length > 0) {
+        lines.push(`${prefix} removed ${update.removals.join(', ')}`);
+    }
+    if (update?.viewers !== undefined) {
+        lines.push(`${prefix} ${update.viewers} viewers`);
+    }
+    if (lines.length === 0) {
+        lines.push(`${prefix} empty update`);
+    }
+    return lines;
+}
+
+function describeClient(client) {
+    return client.hello ? `${client.hello.platform}/${client.hello.channel}` : 'Client';
+}
+
+function base64url(text) {
+    return Buffer.from(text).toString('base64url');
+}
+
+/**
+ * Run a line typed into the console
+ *   inject <username>: <text>   Show a message in the page's chat
+ *   send <type> [json]          Send any command
+ *   clients                     Count connected clients
+ */
+function runCommand(server, line) {
+    const [, command = '', rest = ''] = line.trim().match(/^(\S*)\s*(.*)$/);
+    switch (command) {
+        case '':
+            return;
+        case 'inject': {
+            const [, username, message] = rest.match(/^([^:]+):\s*(.*)$/) ?? [null, undefined, rest];
+            console.log(`Injected into ${server.injectMessage({ ...(username && { username: username.trim() }), message })} clients`);
+            return;
+        }
+        case 'send': {
+            const [, type, json] = rest.match(/^(\S+)\s*(.*)$/) ?? [];
+            if (!type) {
+                console.log('Usage: send <type> [json]');
+                return;
+            }
+            try {
+                console.log(`Sent to ${server.send(type, json ? JSON.parse(json) : {})} clients`);
+            } catch (e) {
+                console.log(`Not valid JSON: ${e.message}`);
+            }
+            return;
+        }
+        case 'clients':
+            console.log(`${server.clients.size} clients connected`);
+            return;
+        default:
+            console.log('Commands: inject <username>: <text> | send <type> [json] | clients');
+    }
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            host: { type: 'string', default: DEFAULT_HOST },
+            port: { type: 'string', default: String(DEFAULT_PORT) },
+            path: { type: 'string', default: DEFAULT_PATH },
+            token: { type: 'string' },
+            'auth-method': { type: 'string', default: AuthMethod.MESSAGE },
+            'no-ack': { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+        },
+    });
+    if (!Object.values(AuthMethod).includes(values['auth-method'])) {
+        console.error(`Unknown auth method: ${values['auth-method']}. Use one of ${Object.values(AuthMethod).join(', ')}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    const server = new MockSneed({
+        host: values.host,
+        port: Number(values.port),
+        path: values.path,
+        token: values.token ?? null,
+        authMethod: values['auth-method'],
+        features: Object.values(Feature).filter(feature => !(values['no-ack'] && feature === Feature.ACK)),
+    });
+    if (values.json) {
+        server.on('update', update => console.log(inspect(update, { depth: null, colors: process.stdout.isTTY })));
+    }
+
+    await server.listen();
+    console.log(`Mock SNEED listening on ${server.url}`);
+
+    const input = createInterface({ input: process.stdin });
+    input.on('line', line => runCommand(server, line));
+    process.on('SIGINT', () => {
+        input.close();
+        server.close().then(() => process.exit(0));
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    await main();
+}
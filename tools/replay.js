@@ -0,0 +1,310 @@
+/**
+ * CHUCK - Chat Harvesting Universal Connection Kit
+ * Offline replay of debug recordings
+ *
+ * Feeds a Recorder download back through the platform that made it, in Node,
+ * and collects the LivestreamUpdates it produces. A captured session checked
+ * into test/fixtures can then be replayed as a regression test.
+ *
+ * Usage: npm run replay -- <recording.json> [--url <page url>] [--channel <channel>]
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { JSDOM } from 'jsdom';
+import { EventType } from '../src/core/recorder.js';
+
+// Body the base Seed records for fetches no platform looked into
+const UNREAD_FETCH_PAYLOAD = '[Response object - clone to read body]';
+
+// Recorded traffic that goes back into the platform; the rest is CHUCK's own output
+const REPLAYED_TYPES = new Set([
+    EventType.WS_MESSAGE,
+    EventType.WS_SEND,
+    EventType.FETCH_RESPONSE,
+    EventType.XHR_RESPONSE,
+    EventType.EVENTSOURCE_MESSAGE,
+]);
+
+/**
+ * Socket that never connects
+ * Stands in for the page's sockets and for the Seed's own backend connection.
+ */
+class ReplaySocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    readyState = ReplaySocket.CONNECTING;
+
+    constructor(url) {
+        this.url = url;
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+    send() {}
+
+    close() {
+        this.readyState = ReplaySocket.CLOSED;
+    }
+}
+
+class ReplayEventSource {
+    constructor(url) {
+        this.url = url;
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+    close() {}
+}
+
+// Time the platforms see, pinned to an event's recorded time while it is replayed
+const RealDate = Date;
+let pinnedTime = null;
+
+class ReplayDate extends RealDate {
+    constructor(...args) {
+        if (args.length === 0 && pinnedTime !== null) {
+            super(pinnedTime);
+        } else {
+            super(...args);
+        }
+    }
+
+    static now() {
+        return pinnedTime ?? RealDate.now();
+    }
+}
+
+let dom = null;
+
+/**
+ * Give Node the browser globals the platforms expect
+ * seed.js keeps the window it first sees, so the globals are installed once
+ * per process and later replays only move the page to another URL.
+ * @param {string} url - Page the recording was made on
+ * @returns {Window}
+ */
+export function installBrowserGlobals(url) {
+    if (dom) {
+        dom.reconfigure({ url });
+        return dom.window;
+    }
+
+    dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', { url });
+    const { window } = dom;
+
+    // Nothing the Seed opens itself may reach the network; requests it makes never answer
+    window.WebSocket = ReplaySocket;
+    window.EventSource = ReplayEventSource;
+    window.fetch = () => new Promise(() => {});
+
+    globalThis.window = window;
+    globalThis.document = window.document;
+    globalThis.Date = ReplayDate;
+    // As in a page, the bare globals are the window's, patches included
+    for (const name of ['fetch', 'WebSocket', 'EventSource', 'XMLHttpRequest']) {
+        Object.defineProperty(globalThis, name, { get: () => window[name], configurable: true });
+    }
+    return window;
+}
+
+/**
+ * Whether a recorded event can be fed back to the platform
+ * Ignored fetches and XHRs are recorded without their body, so there is
+ * nothing to replay for them. Payloads cut down to recorderMaxPayload
+ * wouldn't parse.
+ * @param {Object} event - Event from Recorder.export()
+ * @returns {boolean}
+ */
+export function isReplayable(event) {
+    if (!REPLAYED_TYPES.has(event?.type)) return false;
+    if (event.payload === null || event.payload === undefined || event.truncated) return false;
+    return !(event.type === EventType.FETCH_RESPONSE && event.payload === UNREAD_FETCH_PAYLOAD);
+}
+
+/**
+ * Replay a recording through the platform that made it
+ * Each update is collected as the platform produced it: batching is off and
+ * nothing is sent to a backend. While an event is replayed the clock reads
+ * the time it was recorded, so ids and timestamps come out the same on every
+ * run. A handler that throws is noted in errors and the replay carries on, as
+ * the page would.
+ * @param {Object} recording - Output of Recorder.export(), or a fixture from tools/golden.js
+ * @param {Object} options
+ * @param {string} options.url - Page URL, when the recording doesn't name one
+ * @param {string} options.channel - Channel to report, for platforms that read it from the page; defaults to the recording's
+ * @returns {Promise<{seed: Seed, updates: LivestreamUpdate[], replayed: number, skipped: number, errors: Array<{event: Object, error: Error}>}>}
+ */
+export async function replayRecording(recording, options = {}) {
+    // The platforms can only be loaded once a window exists
+    const window = installBrowserGlobals('about:blank');
+    const { getPlatforms, registerAllPlatforms } = await import('../src/platforms/index.js');
+
+    registerAllPlatforms();
+    const hostnames = [...getPlatforms()].filter(([, Platform]) => Platform.name === recording.platform);
+    if (hostnames.length === 0) {
+        throw new Error(`Unknown platform in recording: ${recording.platform}`);
+    }
+    const [[hostname, Platform]] = hostnames;
+
+    installBrowserGlobals(options.url ?? recording.url ?? `https://${hostname}/`);
+
+    const seed = new Platform();
+    const updates = [];
+    seed.connect = () => {};
+    // The page is already loaded; its DOM isn't the recorded one
+    seed.onDocumentReady = () => {};
+    seed.dispatchLivestreamUpdate = update => updates.push(update);
+    const channel = options.channel ?? recording.channel;
+    if (channel !== undefined && channel !== null) {
+        seed.channel = channel;
+    }
+
+    // Let the Seed load config before anything arrives
+    await seed.configLoaded;
+    seed.configureBatching({ batchInterval: 0 });
+
+    const sockets = new Map();
+    const socketFor = (url) => {
+        if (!sockets.has(url)) {
+            const ws = new ReplaySocket(url);
+            ws.readyState = ReplaySocket.OPEN;
+            ws._chuck_url = url;
+            sockets.set(url, ws);
+        }
+        return sockets.get(url);
+    };
+
+    let replayed = 0;
+    let skipped = 0;
+    const errors = [];
+
+    for (const event of recording.events ?? []) {
+        if (!isReplayable(event)) {
+            skipped++;
+            continue;
+        }
+
+        pinnedTime = event.timestamp ?? null;
+        try {
+            switch (event.type) {
+                case EventType.WS_MESSAGE:
+                    seed.onWebSocketMessage(socketFor(event.url), new window.MessageEvent('message', { data: event.payload }));
+                    break;
+                case EventType.WS_SEND:
+                    seed.onWebSocketSend(socketFor(event.url), event.payload);
+                    break;
+                case EventType.FETCH_RESPONSE:
+                    await seed.onFetchResponse(createResponse(event));
+                    break;
+                case EventType.XHR_RESPONSE:
+                    await replayXhr(seed, event);
+                    break;
+                case EventType.EVENTSOURCE_MESSAGE:
+                    seed.onEventSourceMessage(
+                        new ReplayEventSource(event.url),
+                        new window.MessageEvent(event.meta?.eventName ?? 'message', { data: event.payload })
+                    );
+                    break;
+            }
+            replayed++;
+        } catch (error) {
+            errors.push({ event, error });
+        }
+
+        // Handlers that don't return their promise still finish before the next event
+        await settle();
+        pinnedTime = null;
+    }
+
+    return { seed, updates, replayed, skipped, errors };
+}
+
+/**
+ * Read a recording downloaded from the popup, userscript menu or console
+ * @param {string} path - JSON file
+ * @returns {Promise<Object>}
+ */
+export async function loadRecording(path) {
+    return JSON.parse(await readFile(path, 'utf8'));
+}
+
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+function createResponse(event) {
+    const status = event.meta?.statusCode ?? 200;
+    return {
+        url: event.url,
+        status,
+        ok: status >= 200 && status < 300,
+        clone: () => createResponse(event),
+        json: async () => JSON.parse(event.payload),
+        text: async () => event.payload,
+    };
+}
+
+/**
+ * Run a recorded XHR through open and a finished readystatechange
+ * Platforms pick the handler when the request is opened, so both are replayed.
+ */
+async function replayXhr(seed, event) {
+    const listeners = [];
+    const xhr = {
+        readyState: XMLHttpRequest.OPENED,
+        addEventListener(type, listener) {
+            if (type === 'readystatechange') listeners.push(listener);
+        },
+        removeEventListener() {},
+    };
+
+    seed.onXhrOpen(xhr, event.meta?.method ?? 'GET', event.url, true);
+
+    Object.assign(xhr, {
+        readyState: XMLHttpRequest.DONE,
+        status: event.meta?.statusCode ?? 200,
+        responseURL: event.url,
+        responseType: '',
+        response: event.payload,
+        responseText: event.payload,
+    });
+    await Promise.all(listeners.map(listener => listener({ type: 'readystatechange', target: xhr })));
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            url: { type: 'string' },
+            channel: { type: 'string' },
+        },
+    });
+    if (positionals.length !== 1) {
+        console.error('Usage: npm run replay -- <recording.json> [--url <page url>] [--channel <channel>]');
+        process.exitCode = 2;
+        return;
+    }
+
+    // Platforms log with console.log; keep stdout for the updates
+    console.log = console.error;
+
+    const recording = await loadRecording(positionals[0]);
+    const { updates, replayed, skipped, errors } = await replayRecording(recording, values);
+
+    for (const { event, error } of errors) {
+        console.error(`Replaying ${event.type} from ${event.url} failed:`, error);
+    }
+    console.error(`Replayed ${replayed} events, skipped ${skipped}, ${errors.length} failed; ${updates.length} updates.`);
+    process.stdout.write(`${JSON.stringify(updates, null, 2)}\n`);
+    process.exitCode = errors.length > 0 ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    await main();
+}
@@ -1,6 +1,12 @@
+import { readFileSync } from 'node:fs';
 import { defineConfig } from 'vitest/config';
 
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
 export default defineConfig({
+    define: {
+        __CHUCK_VERSION__: JSON.stringify(version),
+    },
     test: {
         environment: 'jsdom',
         include: ['test/**/*.test.js'],
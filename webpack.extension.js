@@ -1,5 +1,7 @@
 const path = require('path');
+const webpack = require('webpack');
 const CopyPlugin = require('copy-webpack-plugin');
+const { version } = require('./package.json');
 
 module.exports = (env = {}) => {
     const target = env.target || 'chrome'; // 'chrome' or 'firefox'
@@ -24,12 +26,20 @@ module.exports = (env = {}) => {
         optimization: {
             minimize: false, // Keep readable for debugging
         },
+        performance: {
+            hints: false, // Loaded from the extension package, never downloaded by a page
+        },
         plugins: [
+            new webpack.DefinePlugin({
+                __CHUCK_VERSION__: JSON.stringify(version),
+            }),
             new CopyPlugin({
                 patterns: [
                     {
                         from: path.resolve(__dirname, `extension/manifest.${target}.json`),
                         to: 'manifest.json',
+                        // package.json holds the release version
+                        transform: content => JSON.stringify({ ...JSON.parse(content), version }, null, 4),
                     },
                     {
                         from: path.resolve(__dirname, 'extension/background.js'),
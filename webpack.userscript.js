@@ -1,12 +1,13 @@
 const path = require('path');
 const fs = require('fs');
 const webpack = require('webpack');
+const { version } = require('./package.json');
 
-// Read the userscript header
+// Read the userscript header, stamped with the package version
 const userscriptHeader = fs.readFileSync(
     path.resolve(__dirname, 'templates/userscript-header.txt'),
     'utf8'
-);
+).replace('{{version}}', version);
 
 module.exports = {
     mode: 'production',
@@ -23,10 +24,16 @@ module.exports = {
     optimization: {
         minimize: false, // Keep readable for userscript debugging
     },
+    performance: {
+        hints: false, // Unminified and installed locally, so web download size limits don't apply
+    },
     experiments: {
         outputModule: false,
     },
     plugins: [
+        new webpack.DefinePlugin({
+            __CHUCK_VERSION__: JSON.stringify(version),
+        }),
         new webpack.BannerPlugin({
             banner: userscriptHeader,
             raw: true,